@@ -0,0 +1,370 @@
+/**
+ * 분석 결과 비교 (회귀 분석)
+ * 두 분석 결과의 섹션/항목 점수 변화, 신규/해결 이슈, axe 위반 변화, 예외 적용 차이 계산
+ */
+
+const { normalizeUrl } = require('./analysisStore');
+const { calculateSectionScore } = require('./scoringPolicy');
+
+// 분석 결과 섹션 → 항목 이름 필드
+const SECTION_KEYS = {
+  designStyles: 'category',
+  components: 'type',
+  basicPatterns: 'name',
+  servicePatterns: 'name'
+};
+
+/**
+ * 이슈 지문 (같은 규칙/메시지/요소면 같은 이슈로 취급)
+ * 메시지의 숫자(개수 등)는 실행마다 달라질 수 있어 제외
+ */
+function issueFingerprint(issue) {
+  const message = String(issue.message || '').replace(/\d+(\.\d+)?/g, '#');
+  const selectors = (issue.evidence || []).map(e => e.selector).sort().join('|');
+  return `${issue.ruleId}::${message}::${selectors}`;
+}
+
+/**
+ * 섹션 점수 (분석 시 점수 정책으로 계산한 값, 기록이 없는 이전 결과는 default 정책으로 계산)
+ */
+function sectionScore(result, section) {
+  if (result.scoring?.sections && section in result.scoring.sections) return result.scoring.sections[section];
+  return calculateSectionScore(result[section], section);
+}
+
+const delta = (before, after) =>
+  (typeof before === 'number' && typeof after === 'number' ? after - before : null);
+
+/**
+ * 항목 식별자 (규칙 ID 우선)
+ */
+function itemId(section, item) {
+  return item.ruleId || `${section}:${item[SECTION_KEYS[section]]}`;
+}
+
+/**
+ * 섹션의 항목 맵 { id: { section, key, item } }
+ */
+function indexItems(result) {
+  const map = new Map();
+  Object.entries(SECTION_KEYS).forEach(([section, keyField]) => {
+    (result[section] || []).forEach(item => {
+      map.set(itemId(section, item), { section, key: item[keyField], item });
+    });
+  });
+  return map;
+}
+
+/**
+ * 섹션별 점수 변화
+ */
+function diffSections(base, head) {
+  return Object.fromEntries(Object.keys(SECTION_KEYS).map(section => {
+    const before = sectionScore(base, section);
+    const after = sectionScore(head, section);
+    return [section, { before, after, delta: delta(before, after) }];
+  }));
+}
+
+/**
+ * 항목(카테고리)별 변화 (점수/상태/해당 여부가 바뀐 항목만)
+ */
+function diffCategories(baseItems, headItems) {
+  const ids = new Set([...baseItems.keys(), ...headItems.keys()]);
+  const changes = [];
+
+  ids.forEach(id => {
+    const before = baseItems.get(id);
+    const after = headItems.get(id);
+    const source = after || before;
+
+    const change = {
+      ruleId: source.item.ruleId || null,
+      section: source.section,
+      key: source.key,
+      before: before ? before.item.score : null,
+      after: after ? after.item.score : null,
+      delta: delta(before?.item.score, after?.item.score),
+      statusBefore: before ? before.item.status || null : null,
+      statusAfter: after ? after.item.status || null : null,
+      change: !before ? 'added' : !after ? 'removed' : null
+    };
+
+    if (!change.change) {
+      // 예외 적용 여부가 바뀐 항목은 점수 변화가 실제 개선/악화가 아님
+      if (Boolean(before.item.excluded) !== Boolean(after.item.excluded)) {
+        change.change = after.item.excluded ? 'exceptionApplied' : 'exceptionRemoved';
+      } else if ((before.item.applicable === false) !== (after.item.applicable === false)) {
+        change.change = after.item.applicable === false ? 'notApplicable' : 'applicable';
+      } else if (change.delta > 0) {
+        change.change = 'improved';
+      } else if (change.delta < 0) {
+        change.change = 'regressed';
+      } else if (change.statusBefore !== change.statusAfter) {
+        change.change = 'statusChanged';
+      }
+    }
+
+    if (change.change) changes.push(change);
+  });
+
+  return changes.sort((a, b) => (a.delta ?? 0) - (b.delta ?? 0));
+}
+
+/**
+ * 신규/해결 이슈
+ * 예외 처리로 한쪽에서만 이슈가 비워진 항목은 신규/해결이 아니라 maskedByException 으로 분리
+ */
+function diffIssues(baseItems, headItems) {
+  const collect = (items) => {
+    const issues = new Map();
+    items.forEach(({ section, key, item }, id) => {
+      (item.issues || []).forEach(issue => {
+        issues.set(issueFingerprint(issue), { ...issue, section, item: key, itemId: id });
+      });
+    });
+    return issues;
+  };
+
+  const baseIssues = collect(baseItems);
+  const headIssues = collect(headItems);
+
+  const isExcluded = (items, id) => Boolean(items.get(id)?.item.excluded);
+
+  const added = [];
+  const resolved = [];
+  const maskedByException = [];
+
+  headIssues.forEach((issue, key) => {
+    if (baseIssues.has(key)) return;
+    if (isExcluded(baseItems, issue.itemId)) {
+      maskedByException.push({ ...issue, excludedIn: 'base' });
+    } else {
+      added.push(issue);
+    }
+  });
+
+  baseIssues.forEach((issue, key) => {
+    if (headIssues.has(key)) return;
+    if (isExcluded(headItems, issue.itemId)) {
+      maskedByException.push({ ...issue, excludedIn: 'head' });
+    } else {
+      resolved.push(issue);
+    }
+  });
+
+  const strip = ({ itemId: _, ...issue }) => issue;
+
+  return {
+    added: added.map(strip),
+    resolved: resolved.map(strip),
+    maskedByException: maskedByException.map(strip),
+    unchanged: Array.from(headIssues.keys()).filter(key => baseIssues.has(key)).length
+  };
+}
+
+/**
+ * axe 위반 변화 (규칙 ID + 대상 요소 기준)
+ * 한쪽 실행에서 예외 처리된 요소는 new/fixed 대신 maskedByException으로 분류
+ */
+function diffAxeViolations(base, head) {
+  const collect = (result, bucket = 'violations') => {
+    const nodes = new Map();
+    (result.axeResults?.[bucket] || []).forEach(violation => {
+      (violation.nodes || []).forEach(node => {
+        const target = (node.target || []).join(' ');
+        nodes.set(`${violation.id}::${target}`, {
+          ruleId: violation.id,
+          impact: node.impact || violation.impact,
+          help: violation.help,
+          target
+        });
+      });
+    });
+    return nodes;
+  };
+
+  const baseNodes = collect(base);
+  const headNodes = collect(head);
+  const baseExcepted = collect(base, 'excepted');
+  const headExcepted = collect(head, 'excepted');
+
+  // 규칙별로 묶기
+  const groupByRule = (entries) => {
+    const rules = new Map();
+    entries.forEach(entry => {
+      if (!rules.has(entry.ruleId)) {
+        rules.set(entry.ruleId, { ruleId: entry.ruleId, impact: entry.impact, help: entry.help, targets: [] });
+      }
+      rules.get(entry.ruleId).targets.push(entry.target);
+    });
+    return Array.from(rules.values());
+  };
+
+  const added = Array.from(headNodes).filter(([key]) => !baseNodes.has(key));
+  const fixed = Array.from(baseNodes).filter(([key]) => !headNodes.has(key));
+  const masked = [
+    ...added.filter(([key]) => baseExcepted.has(key)).map(([, entry]) => ({ ...entry, exceptedIn: 'base' })),
+    ...fixed.filter(([key]) => headExcepted.has(key)).map(([, entry]) => ({ ...entry, exceptedIn: 'head' }))
+  ];
+
+  return {
+    new: groupByRule(added.filter(([key]) => !baseExcepted.has(key)).map(([, entry]) => entry)),
+    fixed: groupByRule(fixed.filter(([key]) => !headExcepted.has(key)).map(([, entry]) => entry)),
+    maskedByException: masked,
+    totals: {
+      before: (base.axeResults?.violations || []).length,
+      after: (head.axeResults?.violations || []).length
+    }
+  };
+}
+
+/**
+ * 예외 적용 차이 (한쪽 실행에만 적용된 예외)
+ */
+function diffExceptions(base, head, baseItems, headItems) {
+  const excluded = (items) => new Map(
+    Array.from(items).filter(([, entry]) => entry.item.excluded)
+  );
+  const baseExcluded = excluded(baseItems);
+  const headExcluded = excluded(headItems);
+
+  const describe = (id, entry, otherItems) => ({
+    ruleId: entry.item.ruleId || null,
+    section: entry.section,
+    key: entry.key,
+    reason: entry.item.exclusionReason || null,
+    // 다른 실행에서의 실제 점수 (예외로 가려진 점수 차이를 보여주기 위함)
+    otherRunScore: otherItems.get(id)?.item.score ?? null
+  });
+
+  const info = (result) => (result.exceptionInfo
+    ? {
+      applied: Boolean(result.exceptionInfo.applied),
+      checklistId: result.exceptionInfo.checklistId || null,
+      originalScore: result.exceptionInfo.originalScore,
+      adjustedScore: result.exceptionInfo.adjustedScore,
+      scoreDifference: result.exceptionInfo.scoreDifference
+    }
+    : { applied: false });
+
+  const baseInfo = info(base);
+  const headInfo = info(head);
+
+  return {
+    base: baseInfo,
+    head: headInfo,
+    onlyInBase: Array.from(baseExcluded)
+      .filter(([id]) => !headExcluded.has(id))
+      .map(([id, entry]) => describe(id, entry, headItems)),
+    onlyInHead: Array.from(headExcluded)
+      .filter(([id]) => !baseExcluded.has(id))
+      .map(([id, entry]) => describe(id, entry, baseItems)),
+    // 예외 적용 전 원본 점수 기준 변화
+    rawScoreDelta: delta(
+      baseInfo.applied ? baseInfo.originalScore : base.overallScore,
+      headInfo.applied ? headInfo.originalScore : head.overallScore
+    )
+  };
+}
+
+/**
+ * 상태별 분석 비교 (이름이 같은 상태끼리, 분석 실패한 상태 제외)
+ * @returns {Object} { 상태 이름: 비교 결과 }
+ */
+function diffStates(base, head) {
+  const baseStates = new Map((base.states || []).filter(state => !state.error).map(state => [state.name, state]));
+  return Object.fromEntries((head.states || [])
+    .filter(state => !state.error && baseStates.has(state.name))
+    .map(state => [state.name, diffSingle(baseStates.get(state.name), state)]));
+}
+
+/**
+ * 단일 분석 결과 비교
+ */
+function diffSingle(base, head) {
+  const baseItems = indexItems(base);
+  const headItems = indexItems(head);
+  const exceptions = diffExceptions(base, head, baseItems, headItems);
+  const categories = diffCategories(baseItems, headItems);
+
+  return {
+    overallScore: {
+      before: base.overallScore,
+      after: head.overallScore,
+      delta: delta(base.overallScore, head.overallScore),
+      rawDelta: exceptions.rawScoreDelta,
+      // 점수 정책이 다르면 점수 변화가 페이지 변화만을 뜻하지 않음
+      policy: {
+        before: base.scoring?.policy?.name || null,
+        after: head.scoring?.policy?.name || null,
+        changed: (base.scoring?.policy?.name || null) !== (head.scoring?.policy?.name || null)
+      }
+    },
+    kwcagCompliance: {
+      before: base.kwcagReport?.overallCompliance ?? null,
+      after: head.kwcagReport?.overallCompliance ?? null,
+      delta: delta(base.kwcagReport?.overallCompliance, head.kwcagReport?.overallCompliance)
+    },
+    sections: diffSections(base, head),
+    categories: {
+      improved: categories.filter(c => c.change === 'improved'),
+      regressed: categories.filter(c => c.change === 'regressed'),
+      other: categories.filter(c => !['improved', 'regressed'].includes(c.change))
+    },
+    issues: diffIssues(baseItems, headItems),
+    axeViolations: diffAxeViolations(base, head),
+    exceptions,
+    ...(base.states || head.states ? { states: diffStates(base, head) } : {})
+  };
+}
+
+/**
+ * 🔀 두 분석 결과 비교
+ * @param {Object} base - 이전 분석 결과 (응답 data)
+ * @param {Object} head - 이후 분석 결과 (응답 data)
+ * @returns {Object} 비교 결과
+ * @throws {Error} 비교할 수 없는 결과 형식
+ */
+function diffAnalyses(base, head) {
+  if (base.aggregate || head.aggregate) {
+    throw new Error('Site crawl results cannot be compared');
+  }
+
+  const summary = (result) => ({
+    analysisId: result.analysisId || null,
+    url: result.url,
+    viewport: result.viewport,
+    timestamp: result.timestamp
+  });
+
+  // 다중 뷰포트: 공통 뷰포트별 비교
+  if (base.viewports || head.viewports) {
+    if (!base.viewports || !head.viewports) {
+      throw new Error('Cannot compare a multi-viewport result with a single-viewport result');
+    }
+    const common = Object.keys(head.viewports).filter(vp => base.viewports[vp]);
+    if (common.length === 0) {
+      throw new Error('No common viewport to compare');
+    }
+    return {
+      base: summary(base),
+      head: summary(head),
+      sameUrl: normalizeUrl(base.url) === normalizeUrl(head.url),
+      viewports: Object.fromEntries(common.map(vp => [vp, diffSingle(base.viewports[vp], head.viewports[vp])]))
+    };
+  }
+
+  return {
+    base: summary(base),
+    head: summary(head),
+    sameUrl: normalizeUrl(base.url) === normalizeUrl(head.url),
+    ...diffSingle(base, head)
+  };
+}
+
+module.exports = {
+  diffAnalyses,
+  issueFingerprint,
+  sectionScore
+};
@@ -0,0 +1,235 @@
+/**
+ * 분석 이력 저장소 (로컬 파일)
+ * 분석 결과는 analyses/<id>.json 에, 목록/추이 조회용 요약은 index.jsonl 에 한 줄씩 저장
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, 'data');
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * URL 비교용 정규화 (호스트 소문자, 해시 제거, 끝 슬래시 제거)
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+  } catch (error) {
+    return String(url || '').trim().replace(/\/$/, '');
+  }
+}
+
+/**
+ * 결과 종류별 대표 점수/KWCAG 준수율
+ */
+function summarize(result) {
+  // 사이트 크롤링
+  if (result.aggregate) {
+    return {
+      type: 'crawl',
+      overallScore: result.aggregate.overallScore,
+      kwcagCompliance: result.aggregate.kwcagCompliance ?? null,
+      wcagLevel: null,
+      scoringPolicy: result.scoringPolicy?.name || null
+    };
+  }
+
+  // 다중 뷰포트: 가장 낮은 값
+  if (result.viewports) {
+    const reports = Object.values(result.viewports).map(r => r.kwcagReport).filter(Boolean);
+    return {
+      type: 'viewports',
+      overallScore: result.overallScore,
+      kwcagCompliance: reports.length > 0 ? Math.min(...reports.map(r => r.overallCompliance)) : null,
+      wcagLevel: null,
+      scoringPolicy: Object.values(result.viewports)[0]?.scoring?.policy?.name || null
+    };
+  }
+
+  return {
+    type: 'analysis',
+    overallScore: result.overallScore,
+    kwcagCompliance: result.kwcagReport?.overallCompliance ?? null,
+    wcagLevel: result.kwcagReport?.wcagLevel || null,
+    scoringPolicy: result.scoring?.policy?.name || null
+  };
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 날짜 범위 필터 (from/to: ISO 문자열 또는 날짜, 날짜만 주면 UTC 기준 from은 그날 시작, to는 그날 끝까지 포함)
+ */
+function inRange(timestamp, from, to) {
+  const time = new Date(timestamp).getTime();
+  if (from && time < new Date(from).getTime()) return false;
+  if (to) {
+    const end = DATE_ONLY.test(to) ? new Date(to).getTime() + DAY_MS - 1 : new Date(to).getTime();
+    if (time > end) return false;
+  }
+  return true;
+}
+
+/**
+ * viewport 조건 정규화 ('desktop,mobile' 쿼리 문자열 → 배열)
+ */
+function parseViewport(viewport) {
+  if (typeof viewport !== 'string' || !viewport.includes(',')) return viewport;
+  return viewport.split(',').map(vp => vp.trim()).filter(Boolean);
+}
+
+/**
+ * 분석 이력 저장소 생성
+ * @param {Object} options - { dir } 저장 디렉터리 (DATA_DIR 환경 변수)
+ */
+function createAnalysisStore(options = {}) {
+  const dir = options.dir || DEFAULT_DIR;
+  const analysesDir = path.join(dir, 'analyses');
+  const indexFile = path.join(dir, 'index.jsonl');
+
+  fs.mkdirSync(analysesDir, { recursive: true });
+
+  // 요약 인덱스 메모리 적재 (손상된 줄은 건너뜀)
+  const index = [];
+  if (fs.existsSync(indexFile)) {
+    fs.readFileSync(indexFile, 'utf-8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        index.push(JSON.parse(line));
+      } catch (error) {
+        console.error('⚠️ [이력 저장소] 인덱스 줄 파싱 실패:', error.message);
+      }
+    });
+  }
+
+  const recordPath = (id) => path.join(analysesDir, `${id}.json`);
+
+  /**
+   * 분석 결과 저장
+   * @param {Object} result - 응답 데이터
+   * @param {Object} meta - { checklistId, source }
+   * @returns {Promise<String>} 분석 ID
+   */
+  async function save(result, meta = {}) {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+
+    const entry = {
+      id,
+      url: result.url,
+      normalizedUrl: normalizeUrl(result.url),
+      viewport: result.viewport,
+      timestamp: result.timestamp || createdAt,
+      createdAt,
+      checklistId: meta.checklistId || null,
+      source: meta.source || 'api',
+      ...summarize(result)
+    };
+
+    // 임시 파일에 쓴 뒤 이름 변경 (중간에 끊겨도 깨진 파일이 남지 않도록)
+    const file = recordPath(id);
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ ...entry, result }));
+    await fs.promises.rename(tmpFile, file);
+    await fs.promises.appendFile(indexFile, `${JSON.stringify(entry)}\n`);
+
+    index.push(entry);
+    return id;
+  }
+
+  /**
+   * 분석 결과 조회
+   */
+  async function get(id) {
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(recordPath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 목록 조회 (최신순, 페이지네이션)
+   * @param {Object} query - { url, from, to, page, limit }
+   */
+  function list({ url, from, to, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+    const target = url ? normalizeUrl(url) : null;
+
+    const filtered = index
+      .filter(entry => !target || entry.normalizedUrl === target)
+      .filter(entry => inRange(entry.timestamp, from, to))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return {
+      items: filtered.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      total: filtered.length,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(filtered.length / pageSize)
+    };
+  }
+
+  /**
+   * URL별 점수 추이 (오래된 순)
+   * @param {String} url
+   * @param {Object} query - { from, to, viewport }
+   */
+  function trend(url, { from, to, viewport } = {}) {
+    const target = normalizeUrl(url);
+    const viewportFilter = parseViewport(viewport);
+
+    const points = index
+      .filter(entry => entry.normalizedUrl === target)
+      .filter(entry => inRange(entry.timestamp, from, to))
+      .filter(entry => !viewportFilter || JSON.stringify(entry.viewport) === JSON.stringify(viewportFilter))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(entry => ({
+        id: entry.id,
+        timestamp: entry.timestamp,
+        type: entry.type,
+        viewport: entry.viewport,
+        overallScore: entry.overallScore,
+        kwcagCompliance: entry.kwcagCompliance,
+        wcagLevel: entry.wcagLevel,
+        scoringPolicy: entry.scoringPolicy || null
+      }));
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      url: target,
+      points,
+      change: points.length > 1
+        ? {
+          overallScore: last.overallScore - first.overallScore,
+          kwcagCompliance: last.kwcagCompliance !== null && first.kwcagCompliance !== null
+            ? last.kwcagCompliance - first.kwcagCompliance
+            : null
+        }
+        : null
+    };
+  }
+
+  return {
+    save,
+    get,
+    list,
+    trend
+  };
+}
+
+module.exports = {
+  createAnalysisStore,
+  normalizeUrl
+};
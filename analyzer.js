@@ -3,39 +3,140 @@
  * Playwright로 웹사이트 크롤링 및 KRDS 표준 검증
  */
 
-const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { KRDS_TOKENS } = require('./krdsTokens');
+const { injectPageHelpers } = require('./pageHelpers');
+const { findRule, RULES_VERSION } = require('./krdsRules');
+const { generateKWCAGReport } = require('./kwcagReport');
+const { createBrowserPool } = require('./browserPool');
+const { collectResponsiveMetrics, compareViewports } = require('./responsiveAnalyzer');
+const { routeLocalSite, describeLocalSite } = require('./localSite');
+const { getAuthContextOptions, applyAuth, describeAuth, redactSecrets } = require('./authSession');
+const { runActions } = require('./pageActions');
+const { auditKeyboardNavigation } = require('./keyboardAudit');
+const { resolveScoringPolicy, scoreResult } = require('./scoringPolicy');
 
 // axe-core 스크립트 로드
 const axeCorePath = require.resolve('axe-core');
 const axeCoreSource = fs.readFileSync(axeCorePath, 'utf-8');
 
+// 공용 브라우저 풀 (BROWSER_POOL_SIZE, BROWSER_MAX_USES 등 환경 변수로 설정)
+const browserPool = createBrowserPool({
+  maxSize: process.env.BROWSER_POOL_SIZE,
+  maxUses: process.env.BROWSER_MAX_USES,
+  acquireTimeout: process.env.BROWSER_ACQUIRE_TIMEOUT_MS,
+  healthInterval: process.env.BROWSER_HEALTH_INTERVAL_MS
+});
+
+// 뷰포트 크기
+const VIEWPORT_SIZES = {
+  desktop: { width: 1920, height: 1080 },
+  tablet: { width: 768, height: 1024 },
+  mobile: { width: 390, height: 844 }
+};
+
+// 컴포넌트 타입별 셀렉터
+const COMPONENT_SELECTORS = {
+  button: 'button, [role="button"]',
+  input: 'input',
+  select: 'select',
+  checkbox: 'input[type="checkbox"]',
+  radio: 'input[type="radio"]',
+  link: 'a',
+  card: '[class*="card"]',
+  table: 'table'
+};
+
+// 키보드로 조작할 수 있어야 하는 컴포넌트 (키보드 탐색 검사 대상)
+const KEYBOARD_SELECTORS = ['button', 'input', 'select', 'checkbox', 'radio', 'link']
+  .map(type => COMPONENT_SELECTORS[type]);
+
+// 분석 단계 (진행 이벤트의 stage / 완료 시 진행률)
+const ANALYSIS_STAGES = [
+  { stage: 'pageLoad', name: '페이지 로드', progress: 20 },
+  { stage: 'designStyles', name: '디자인 스타일', progress: 40 },
+  { stage: 'components', name: '컴포넌트', progress: 55 },
+  { stage: 'basicPatterns', name: '기본 패턴', progress: 65 },
+  { stage: 'servicePatterns', name: '서비스 패턴', progress: 75 },
+  { stage: 'axe', name: '접근성 (axe-core)', progress: 80 },
+  { stage: 'keyboard', name: '키보드 탐색', progress: 90 }
+];
+
+/**
+ * 단계 진행 알림 함수 생성
+ * @param {Function} onProgress - ({ stage, status, progress, message }) => void
+ */
+function createStageReporter(onProgress) {
+  return (stage, status) => {
+    if (typeof onProgress !== 'function') return;
+    const index = ANALYSIS_STAGES.findIndex(s => s.stage === stage);
+    const current = ANALYSIS_STAGES[index];
+    const progress = status === 'completed'
+      ? current.progress
+      : (index > 0 ? ANALYSIS_STAGES[index - 1].progress : 0);
+    try {
+      onProgress({
+        stage,
+        status,
+        progress,
+        message: `${current.name} ${status === 'completed' ? '완료' : '시작'}`
+      });
+    } catch (error) {
+      console.error('⚠️ 진행 알림 실패:', error.message);
+    }
+  };
+}
+
 /**
  * 웹사이트 분석 메인 함수
  * @param {String} url - 분석할 URL
- * @param {String} viewport - 'desktop', 'tablet', 'mobile'
+ * @param {String|Array} viewport - 'desktop', 'tablet', 'mobile' 또는 배열 (배열이면 뷰포트별 분석 + 반응형 비교)
+ * @param {Object} options - { onProgress } 단계별 진행 콜백, { collectLinks } 페이지 내 링크 수집 (사이트 크롤링용),
+ *   { responsive } 반응형 측정값 수집, { localSite } 로컬 콘텐츠 (createLocalSite 결과, 외부 요청 차단),
+ *   { auth } 인증 설정 (normalizeAuth 결과, 페이지 이동 전 적용),
+ *   { interactions } 분석 전 동작/상태별 분석 (normalizeInteractions 결과),
+ *   { exceptionSelectors } 셀렉터 예외 (getExceptionSelectors 결과),
+ *   { scoringPolicy } 점수 정책 (resolveScoringPolicy 결과, 기본 default)
  * @returns {Object} 분석 결과
  */
-async function analyzeWebsite(url, viewport = 'desktop') {
+async function analyzeWebsite(url, viewport = 'desktop', options = {}) {
+  if (Array.isArray(viewport)) {
+    return analyzeViewports(url, viewport, options);
+  }
+
   console.log(`🔍 [분석 시작] ${url} (${viewport})`);
   
   const startTime = Date.now();
-  let browser;
+  const reportStage = createStageReporter(options.onProgress);
+  let lease;
+  let context;
   
   try {
-    // Playwright 브라우저 실행
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    reportStage('pageLoad', 'started');
 
-    const context = await browser.newContext({
+    // 브라우저 풀에서 대여 (요청마다 독립된 컨텍스트 사용)
+    lease = await browserPool.acquire();
+
+    context = await lease.browser.newContext({
       viewport: getViewportSize(viewport),
-      userAgent: 'Mozilla/5.0 (compatible; ViewCheckerBot/1.0)'
+      userAgent: 'Mozilla/5.0 (compatible; ViewCheckerBot/1.0)',
+      // 로컬 콘텐츠는 서비스 워커가 요청 가로채기를 우회하지 못하도록 차단
+      serviceWorkers: options.localSite ? 'block' : 'allow',
+      ...getAuthContextOptions(options.auth)
     });
 
+    // 로컬 콘텐츠: 가상 출처에서 파일 응답, 외부 요청 차단
+    const localRequests = options.localSite
+      ? await routeLocalSite(context, options.localSite)
+      : null;
+
     const page = await context.newPage();
+
+    // 인증 (쿠키/헤더 설정 후 로그인 스크립트 실행)
+    if (options.auth) {
+      await applyAuth(context, page, options.auth, url);
+    }
     
     // 페이지 로드 (타임아웃 60초)
     await page.goto(url, { 
@@ -45,13 +146,48 @@ async function analyzeWebsite(url, viewport = 'desktop') {
 
     console.log('✅ 페이지 로드 완료');
 
+    // 분석 전 동작 (모달 열기, 탭 전환 등)
+    if (options.interactions?.actions.length > 0) {
+      await runActions(page, options.interactions.actions, {
+        baseUrl: url,
+        label: '사전 동작',
+        sanitize: (message) => redactSecrets(message, options.auth)
+      });
+      console.log(`▶️ 사전 동작 완료 (${options.interactions.actions.length}단계)`);
+    }
+    reportStage('pageLoad', 'completed');
+
     // KRDS 분석 실행
-    const analysisResults = await performKRDSAnalysis(page);
+    const analysisResults = await performKRDSAnalysis(page, reportStage, options);
+
+    // 크롤링용 링크 수집 (리다이렉트 후 최종 URL 기준)
+    const crawlData = options.collectLinks
+      ? { finalUrl: page.url(), links: await collectPageLinks(page) }
+      : {};
+
+    // 반응형 비교용 측정값
+    const responsiveData = options.responsive
+      ? { responsive: await collectResponsiveMetrics(page) }
+      : {};
+
+    const sourceData = options.localSite
+      ? { source: describeLocalSite(options.localSite, localRequests) }
+      : {};
+
+    const authData = options.auth
+      ? { authentication: describeAuth(options.auth) }
+      : {};
+
+    // 상태별 분석 (페이지를 다시 불러오므로 기본 분석/링크/반응형 측정 이후 실행)
+    const statesData = options.interactions?.states.length > 0
+      ? { states: await analyzeStates(page, url, options.interactions.states, options) }
+      : {};
 
     // 실행 시간 계산
     const executionTime = Date.now() - startTime;
 
-    await browser.close();
+    await context.close();
+    await lease.release();
 
     return {
       success: true,
@@ -60,81 +196,220 @@ async function analyzeWebsite(url, viewport = 'desktop') {
         viewport,
         timestamp: new Date().toISOString(),
         executionTime,
-        ...analysisResults
+        ...analysisResults,
+        ...crawlData,
+        ...responsiveData,
+        ...sourceData,
+        ...authData,
+        ...statesData
       }
     };
 
   } catch (error) {
-    console.error('❌ 분석 실패:', error.message);
+    // 페이지 오류 메시지에 인증 값이 섞이지 않도록 가림
+    const message = redactSecrets(error.message, options.auth);
+    console.error('❌ 분석 실패:', message);
     
-    if (browser) {
-      await browser.close();
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    if (lease) {
+      // 브라우저 연결이 끊겼으면 풀에서 폐기
+      await lease.release({ crashed: !lease.browser.isConnected() });
     }
 
     return {
       success: false,
-      error: error.message
+      error: message
     };
   }
 }
 
+/**
+ * 🎬 상태별 분석 (상태마다 페이지를 다시 불러온 뒤 동작 실행 → KRDS 분석)
+ * 한 상태의 동작이 실패해도 나머지 상태는 계속 분석
+ * @param {Array} states - [{ name, actions }]
+ * @returns {Array} [{ name, actions, ...분석 결과 }] 또는 [{ name, actions, error }]
+ */
+async function analyzeStates(page, url, states, options = {}) {
+  const results = [];
+
+  for (const [index, state] of states.entries()) {
+    console.log(`🎬 [상태 분석] ${state.name} (${index + 1}/${states.length})`);
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({
+        stage: 'states',
+        status: 'started',
+        progress: ANALYSIS_STAGES[ANALYSIS_STAGES.length - 1].progress,
+        message: `상태 분석: ${state.name} (${index + 1}/${states.length})`
+      });
+    }
+
+    const actions = state.actions.map(step => step.action);
+    try {
+      await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+      await runActions(page, state.actions, {
+        baseUrl: url,
+        label: `상태 "${state.name}"`,
+        sanitize: (message) => redactSecrets(message, options.auth)
+      });
+      results.push({ name: state.name, actions, ...(await performKRDSAnalysis(page, () => {}, options)) });
+    } catch (error) {
+      const message = redactSecrets(error.message, options.auth);
+      console.error(`❌ [상태 분석 실패] ${state.name}:`, message);
+      results.push({ name: state.name, actions, error: message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 페이지 내 링크 수집 (절대 URL, 중복 제거)
+ */
+async function collectPageLinks(page) {
+  return page.evaluate(() => {
+    const hrefs = Array.from(document.querySelectorAll('a[href]'))
+      .filter(a => !a.hasAttribute('download'))
+      .map(a => a.href)
+      .filter(href => /^https?:/i.test(href));
+    return Array.from(new Set(hrefs));
+  });
+}
+
+/**
+ * 📱 여러 뷰포트 분석 + 반응형 비교
+ * @param {Array} viewports - 예: ['desktop', 'mobile']
+ */
+async function analyzeViewports(url, viewports, options = {}) {
+  const list = Array.from(new Set(viewports));
+  console.log(`📱 [다중 뷰포트 분석] ${url} (${list.join(', ')})`);
+
+  const startTime = Date.now();
+  const results = {};
+
+  for (const [index, viewport] of list.entries()) {
+    // 뷰포트별 진행률을 전체 진행률로 환산
+    const onProgress = typeof options.onProgress === 'function'
+      ? (event) => options.onProgress({
+        ...event,
+        viewport,
+        progress: Math.round(((index + event.progress / 100) / list.length) * 100)
+      })
+      : undefined;
+
+    const result = await analyzeWebsite(url, viewport, { ...options, onProgress, responsive: true });
+    if (!result.success) {
+      return {
+        success: false,
+        error: `[${viewport}] ${result.error}`
+      };
+    }
+    results[viewport] = result.data;
+  }
+
+  const comparison = compareViewports(results);
+
+  // 비교 후에는 원본 측정값 제거 (터치 영역 목록이 커서 응답에서 제외)
+  Object.values(results).forEach(result => delete result.responsive);
+
+  return {
+    success: true,
+    data: {
+      url,
+      viewport: list,
+      timestamp: new Date().toISOString(),
+      executionTime: Date.now() - startTime,
+      // 모든 뷰포트에서 기준을 만족해야 하므로 가장 낮은 점수를 대표 점수로 사용
+      overallScore: Math.min(...Object.values(results).map(result => result.overallScore)),
+      viewports: results,
+      comparison
+    }
+  };
+}
+
 /**
  * Viewport 크기 반환
  */
 function getViewportSize(viewport) {
-  const sizes = {
-    desktop: { width: 1920, height: 1080 },
-    tablet: { width: 768, height: 1024 },
-    mobile: { width: 390, height: 844 }
-  };
-  
-  return sizes[viewport] || sizes.desktop;
+  return VIEWPORT_SIZES[viewport] || VIEWPORT_SIZES.desktop;
 }
 
 /**
  * KRDS 분석 실행
+ * @param {Function} reportStage - (stage, status) 단계 진행 알림
+ * @param {Object} options - { exceptionSelectors } 셀렉터 예외 (axe 위반 요소가 해당 셀렉터 안에 있는지 표시),
+ *   { scoringPolicy } 점수 정책 (섹션/항목 가중치, axe 위반 상한)
  */
-async function performKRDSAnalysis(page) {
+async function performKRDSAnalysis(page, reportStage = () => {}, { exceptionSelectors = [], scoringPolicy } = {}) {
   console.log('📊 KRDS 분석 실행 중...');
 
+  // 단계 실행 + 시작/완료 알림
+  const runStage = async (stage, fn) => {
+    reportStage(stage, 'started');
+    const result = await fn();
+    reportStage(stage, 'completed');
+    return result;
+  };
+
   // 1. 디자인 스타일 분석
-  const designStyles = await analyzeDesignStyles(page);
+  const designStyles = await runStage('designStyles', () => analyzeDesignStyles(page));
   
   // 2. 컴포넌트 분석
-  const components = await analyzeComponents(page);
+  const components = await runStage('components', () => analyzeComponents(page));
   
   // 3. 기본 패턴 분석
-  const basicPatterns = await analyzeBasicPatterns(page);
+  const basicPatterns = await runStage('basicPatterns', () => analyzeBasicPatterns(page));
   
   // 4. 서비스 패턴 분석
-  const servicePatterns = await analyzeServicePatterns(page);
+  const servicePatterns = await runStage('servicePatterns', () => analyzeServicePatterns(page));
 
   // 5. ♿ axe-core 접근성 분석 (KWCAG)
   console.log('♿ axe-core 접근성 분석 중...');
-  const { axeResults, kwcagReport } = await runAxeAnalysis(page);
+  const { axeResults, error: axeError } = await runStage('axe', () => runAxeAnalysis(page, exceptionSelectors));
+
+  // 6. ⌨️ 키보드 탐색 / 초점 검사 (KWCAG 운용의 용이성 항목에 반영)
+  // 건너뛰기 링크 동작 확인에서 Enter를 눌러 초점/스크롤/주소가 바뀌므로 axe 검사 뒤에 실행
+  const keyboardNavigation = await runStage('keyboard', async () => {
+    try {
+      return await auditKeyboardNavigation(page, KEYBOARD_SELECTORS);
+    } catch (error) {
+      console.error('⚠️ 키보드 탐색 검사 실패:', error.message);
+      return { error: error.message, checks: [] };
+    }
+  });
 
-  // 전체 점수 계산
-  const overallScore = calculateOverallScore({
+  // KWCAG 2.2 보고서 생성 (axe 결과 + 키보드 검사, 검사항목별 판정)
+  const kwcagReport = axeError
+    ? { ...generateKWCAGReport({}, keyboardNavigation.checks), error: axeError }
+    : generateKWCAGReport(axeResults, keyboardNavigation.checks);
+
+  // 전체 점수 계산 (점수 정책 적용, 남은 axe 위반으로 상한)
+  const { overallScore, scoring } = scoreResult({
     designStyles,
     components,
     basicPatterns,
-    servicePatterns
-  });
+    servicePatterns,
+    axeResults
+  }, resolveScoringPolicy(scoringPolicy));
 
   return {
     overallScore,
+    scoring,         // 🧮 사용한 점수 정책 + 섹션 점수 + 상한
     designStyles,
     components,
     basicPatterns,
     servicePatterns,
+    keyboardNavigation, // ⌨️ 초점 이동 순서 + 키보드 검사 결과
     axeResults,      // ♿ axe-core 원본 결과
     kwcagReport,     // ♿ KWCAG 형식 보고서
     krdsCompliance: {
       score: overallScore,
+      rulesVersion: RULES_VERSION,
       designTokensDetail: convertDesignStylesToTokens(designStyles),
       krdsComponents: components,
-      basicPatterns: { overallScore: calculateCategoryScore(basicPatterns) },
-      servicePatterns: { overallScore: calculateCategoryScore(servicePatterns) }
+      basicPatterns: { overallScore: scoring.sections.basicPatterns },
+      servicePatterns: { overallScore: scoring.sections.servicePatterns }
     }
   };
 }
@@ -148,17 +423,50 @@ async function analyzeDesignStyles(page) {
     '아이콘', '엘리베이션', '선명한 화면 모드', '링크', '버튼'
   ];
 
+  // 형태/레이아웃/아이콘/엘리베이션/선명한 화면 모드/링크 측정 (1회 실행)
+  let measured = {};
+  try {
+    await injectPageHelpers(page);
+    measured = await page.evaluate(collectDesignStyleChecks, KRDS_TOKENS);
+  } catch (error) {
+    console.warn('⚠️ 디자인 스타일 측정 실패:', error.message);
+  }
+
   const results = [];
 
   for (const category of categories) {
-    const score = await analyzeDesignStyleCategory(page, category);
+    const rule = findRule('designStyles', category);
+    const { score, issues, passed, measurements, applicable } =
+      await analyzeDesignStyleCategory(page, category, measured, rule);
+
+    // 적용되는 검사가 없는 카테고리(아이콘·그림자 없음 등)는 점수에서 제외
+    if (applicable === false) {
+      results.push({
+        category,
+        name: category,
+        applicable: false,
+        status: '해당없음',
+        score: null,
+        compliance: null,
+        issues: [],
+        passed: [],
+        measurements: measurements || null,
+        ruleId: rule.id,
+        krdsUrl: rule.url
+      });
+      continue;
+    }
+
     results.push({
       category,
       name: category,
       score,
       compliance: score,
-      issues: score < 80 ? [`${category} 개선 필요`] : [],
-      krdsUrl: getKRDSUrl('design', category)
+      issues: issues || [],
+      passed: passed || [],
+      measurements: measurements || null,
+      ruleId: rule.id,
+      krdsUrl: rule.url
     });
   }
 
@@ -167,272 +475,2415 @@ async function analyzeDesignStyles(page) {
 
 /**
  * 디자인 스타일 카테고리별 분석
+ * @returns {Object} { score, issues, passed?, measurements?, applicable? }
  */
-async function analyzeDesignStyleCategory(page, category) {
+async function analyzeDesignStyleCategory(page, category, measured = {}, rule = null) {
+  const measuredKeys = {
+    '형태': 'shape',
+    '레이아웃': 'layout',
+    '아이콘': 'icon',
+    '엘리베이션': 'elevation',
+    '선명한 화면 모드': 'highContrast',
+    '링크': 'link'
+  };
+
   try {
     switch (category) {
       case '색상':
-        return await analyzeColors(page);
+        return await analyzeColors(page, rule);
       case '타이포그래피':
-        return await analyzeTypography(page);
+        return await analyzeTypography(page, rule);
       case '버튼':
-        return await analyzeButtons(page);
-      default:
-        // 기본 점수
-        return Math.floor(Math.random() * 30) + 50; // 50-80점
+        return await analyzeButtons(page, rule);
+      default: {
+        const result = measured[measuredKeys[category]];
+        if (!result) throw new Error('측정 결과 없음');
+        return {
+          ...scoreChecks(result.checks, rule),
+          measurements: result.measurements
+        };
+      }
     }
   } catch (error) {
     console.warn(`⚠️ ${category} 분석 실패:`, error.message);
-    return 50;
+    return {
+      score: 50,
+      issues: [createIssue({
+        issue: `${category} 분석 실패: ${error.message}`,
+        remediation: '페이지 로드 상태를 확인한 뒤 다시 분석하세요.'
+      }, rule)]
+    };
   }
 }
 
 /**
- * 색상 분석
+ * 형태/레이아웃/아이콘/엘리베이션/선명한 화면 모드/링크 측정 (브라우저 컨텍스트에서 실행)
+ * @param {Object} tokens - KRDS_TOKENS
+ * @returns {Object} 카테고리별 { checks, measurements }
  */
-async function analyzeColors(page) {
-  const colors = await page.evaluate(() => {
-    const elements = document.querySelectorAll('*');
-    const colorSet = new Set();
-    
-    elements.forEach(el => {
-      const styles = window.getComputedStyle(el);
-      colorSet.add(styles.color);
-      colorSet.add(styles.backgroundColor);
-    });
-    
-    return Array.from(colorSet).filter(c => c !== 'rgba(0, 0, 0, 0)').length;
+function collectDesignStyleChecks(tokens) {
+  const {
+    query, list, isVisible, finalizeChecks, collectStyleRules, ratio, round, nearest, histogram, groupOffenders
+  } = window.__viewchecker;
+  const { styleRules, mediaConditions, readable: stylesReadable, hasRule } = collectStyleRules();
+
+  // 위반 목록 → evidence 대상 ({ el, measured })
+  const offenderElements = (offenders, unit = 'px') =>
+    offenders.map(({ value, el }) => ({ el, measured: `${value}${unit}` }));
+
+  const visibleElements = query('body *').filter(isVisible).slice(0, 3000);
+
+  // ─── 형태 (border-radius) ───
+  const radiusValues = [];
+  const offScaleRadius = [];
+  visibleElements.forEach(el => {
+    const style = window.getComputedStyle(el);
+    const radius = parseFloat(style.borderTopLeftRadius) || 0;
+    if (radius === 0) return;
+    const rect = el.getBoundingClientRect();
+    const isFull = style.borderTopLeftRadius.endsWith('%')
+      ? parseFloat(style.borderTopLeftRadius) >= 50
+      : radius >= Math.min(rect.width, rect.height) / 2 - 0.5;
+    if (isFull && tokens.shape.allowFull) {
+      radiusValues.push('full');
+      return;
+    }
+    const rounded = round(radius, 1);
+    radiusValues.push(rounded);
+    if (Math.abs(nearest(rounded, tokens.shape.radius) - rounded) > 0.5) {
+      offScaleRadius.push({ value: rounded, el });
+    }
   });
 
-  // 색상 수가 적절한지 평가 (10-30개가 이상적)
-  if (colors >= 10 && colors <= 30) return 90;
-  if (colors < 10) return 60;
-  return 70; // 너무 많음
-}
+  const shape = {
+    checks: finalizeChecks([
+      {
+        weight: 3,
+        applicable: radiusValues.length > 0,
+        ratio: ratio(radiusValues.length - offScaleRadius.length, radiusValues.length),
+        issue: `KRDS 모서리 반경 스케일(${tokens.shape.radius.join('/')}px)을 벗어난 값: ${groupOffenders(offScaleRadius)}`,
+        expected: `${tokens.shape.radius.join('/')}px 또는 원형`,
+        elements: offenderElements(offScaleRadius),
+        remediation: '모서리 반경을 가장 가까운 KRDS 형태 토큰 값으로 바꾸세요.',
+        pass: `모서리 반경 ${radiusValues.length}개 모두 KRDS 스케일 준수`
+      },
+      {
+        weight: 1,
+        applicable: radiusValues.length > 0,
+        passed: new Set(radiusValues).size <= 5,
+        issue: `서로 다른 모서리 반경이 ${new Set(radiusValues).size}개 사용됩니다 (5개 이하 권장)`,
+        expected: '5종 이하',
+        measured: Array.from(new Set(radiusValues)),
+        remediation: '컴포넌트 크기별로 KRDS 반경 토큰을 정해 사용하고 임의 값을 정리하세요.',
+        pass: `모서리 반경 종류 ${new Set(radiusValues).size}개`
+      }
+    ]),
+    measurements: {
+      total: radiusValues.length,
+      offScale: offScaleRadius.length,
+      histogram: histogram(radiusValues)
+    }
+  };
 
-/**
- * 타이포그래피 분석
- */
-async function analyzeTypography(page) {
-  const fonts = await page.evaluate(() => {
-    const elements = document.querySelectorAll('*');
-    const fontSet = new Set();
-    
-    elements.forEach(el => {
-      const styles = window.getComputedStyle(el);
-      fontSet.add(styles.fontFamily);
+  // ─── 레이아웃 (컨테이너/분기점/간격) ───
+  const containers = visibleElements.filter(el => {
+    const style = window.getComputedStyle(el);
+    return style.maxWidth.endsWith('px') &&
+      parseFloat(style.maxWidth) >= 960 &&
+      style.marginLeft === style.marginRight;
+  });
+  const containerWidths = containers.map(el => parseFloat(window.getComputedStyle(el).maxWidth));
+  const offScaleContainers = containers
+    .map(el => ({ value: parseFloat(window.getComputedStyle(el).maxWidth), el }))
+    .filter(({ value }) => !tokens.layout.containerWidths.includes(value));
+
+  const breakpoints = [];
+  mediaConditions.forEach(text => {
+    const matches = text.matchAll(/(min|max)-width\s*:\s*([\d.]+)(px|em|rem)/g);
+    for (const [, kind, raw, unit] of matches) {
+      let value = parseFloat(raw) * (unit === 'px' ? 1 : 16);
+      // max-width: 767px → 768 분기점
+      if (kind === 'max') value = Math.round(value + 1);
+      breakpoints.push(Math.round(value));
+    }
+  });
+  const uniqueBreakpoints = Array.from(new Set(breakpoints)).sort((a, b) => a - b);
+  const offScaleBreakpoints = uniqueBreakpoints.filter(bp =>
+    Math.abs(nearest(bp, tokens.layout.breakpoints) - bp) > tokens.layout.breakpointTolerance
+  );
+
+  // 간격 (margin/padding, 0과 가운데 정렬 auto 여백, 스케일 최댓값보다 큰 값 제외)
+  const spacingMax = Math.max(...tokens.spacing.scale);
+  const spacingValues = [];
+  const offScaleSpacing = [];
+  // margin: 0 auto로 가운데 정렬된 박스
+  // 계산값은 auto가 px로 바뀌므로 인라인 스타일과 읽을 수 있는 스타일시트 규칙에서 선언값을 찾음 (DOM은 바꾸지 않음)
+  const mediaApplies = (rule) => {
+    for (let parent = rule.parentRule; parent; parent = parent.parentRule) {
+      if (parent.media && !window.matchMedia(parent.media.mediaText).matches) return false;
+    }
+    const sheetMedia = rule.parentStyleSheet?.media?.mediaText;
+    return !sheetMedia || window.matchMedia(sheetMedia).matches;
+  };
+  const ruleMatches = (el, rule) => {
+    try {
+      return el.matches(rule.selectorText) && mediaApplies(rule);
+    } catch (e) {
+      // 의사 요소 등 matches()가 받지 않는 셀렉터
+      return false;
+    }
+  };
+  const marginRules = styleRules.filter(rule =>
+    rule.style && (rule.style.getPropertyValue('margin-left') || rule.style.getPropertyValue('margin-right'))
+  );
+  // 선언된 값: !important 우선, 같은 중요도면 인라인 스타일, 그다음 문서상 나중 규칙 (명시도는 비교하지 않음)
+  const declaredValue = (el, prop) => {
+    let declared = null;
+    marginRules.forEach(rule => {
+      const value = rule.style.getPropertyValue(prop);
+      if (!value) return;
+      const important = rule.style.getPropertyPriority(prop) === 'important';
+      if (declared?.important && !important) return;
+      if (ruleMatches(el, rule)) declared = { value, important };
     });
-    
-    return fontSet.size;
+    const inline = el.style.getPropertyValue(prop);
+    if (inline && (el.style.getPropertyPriority(prop) === 'important' || !declared?.important)) return inline;
+    return declared ? declared.value : null;
+  };
+  const isAutoCentered = (el, style) => {
+    if (style.marginLeft !== style.marginRight || !(parseFloat(style.marginLeft) > 0)) return false;
+    return declaredValue(el, 'margin-left') === 'auto' && declaredValue(el, 'margin-right') === 'auto';
+  };
+
+  visibleElements.forEach(el => {
+    const style = window.getComputedStyle(el);
+    const centered = isAutoCentered(el, style);
+    const seen = new Set();
+    ['marginTop', 'marginRight', 'marginBottom', 'marginLeft', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+      .forEach(prop => {
+        if (centered && (prop === 'marginLeft' || prop === 'marginRight')) return;
+        const value = round(Math.abs(parseFloat(style[prop]) || 0), 1);
+        if (value === 0 || value > spacingMax) return;
+        spacingValues.push(value);
+        if (Math.abs(nearest(value, tokens.spacing.scale) - value) > tokens.spacing.tolerance && !seen.has(value)) {
+          seen.add(value);
+          offScaleSpacing.push({ value, el, prop: prop.replace(/[A-Z]/, c => `-${c.toLowerCase()}`) });
+        }
+      });
   });
+  const offScaleSpacingCount = spacingValues.filter(value =>
+    Math.abs(nearest(value, tokens.spacing.scale) - value) > tokens.spacing.tolerance
+  ).length;
 
-  // 폰트 패밀리 수 (1-3개가 이상적)
-  if (fonts >= 1 && fonts <= 3) return 90;
-  return 65;
-}
+  const viewportMeta = document.querySelector('meta[name="viewport"]');
+  const viewportContent = viewportMeta ? viewportMeta.content.replace(/\s/g, '') : '';
+  const blocksZoom = /user-scalable=(no|0)|maximum-scale=1(\.0)?(,|$)/.test(viewportContent);
 
-/**
- * 버튼 분석
- */
-async function analyzeButtons(page) {
-  const buttonInfo = await page.evaluate(() => {
-    const buttons = document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"]');
-    let compliant = 0;
-    let total = buttons.length;
+  const layout = {
+    checks: finalizeChecks([
+      {
+        weight: 2,
+        passed: /width=device-width/.test(viewportContent),
+        issue: 'viewport 메타 태그(width=device-width)가 없어 반응형 레이아웃이 적용되지 않습니다',
+        expected: '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        measured: viewportContent || null,
+        remediation: '<head>에 width=device-width, initial-scale=1 viewport 메타 태그를 추가하세요.',
+        pass: `viewport 메타 태그: ${viewportContent}`
+      },
+      {
+        weight: 2,
+        applicable: Boolean(viewportMeta),
+        passed: !blocksZoom,
+        issue: `viewport 설정이 화면 확대를 막습니다: ${viewportContent}`,
+        expected: 'user-scalable/maximum-scale 제한 없음',
+        measured: viewportContent,
+        elements: viewportMeta ? [viewportMeta] : [],
+        remediation: 'viewport 메타 태그에서 user-scalable=no, maximum-scale=1을 제거하세요.',
+        pass: '화면 확대 허용'
+      },
+      {
+        weight: 2,
+        applicable: containers.length > 0,
+        ratio: ratio(containers.length - offScaleContainers.length, containers.length),
+        issue: `KRDS 컨테이너 너비(${tokens.layout.containerWidths.join('/')}px)와 다른 최대 너비: ${groupOffenders(offScaleContainers)}`,
+        expected: `${tokens.layout.containerWidths.join('/')}px`,
+        elements: offenderElements(offScaleContainers),
+        remediation: '콘텐츠 컨테이너 max-width를 KRDS 그리드 컨테이너 너비로 맞추세요.',
+        pass: `컨테이너 최대 너비 KRDS 준수 (${Array.from(new Set(containerWidths)).join('/')}px)`
+      },
+      {
+        weight: 2,
+        applicable: stylesReadable,
+        passed: uniqueBreakpoints.length > 0,
+        issue: '반응형 분기점(@media min/max-width)이 정의되어 있지 않습니다',
+        expected: `${tokens.layout.breakpoints.join('/')}px 분기점`,
+        measured: 0,
+        remediation: 'KRDS 분기점 기준으로 @media (min-width) 규칙을 정의하세요.',
+        pass: `반응형 분기점 ${uniqueBreakpoints.length}개 정의`
+      },
+      {
+        weight: 2,
+        applicable: uniqueBreakpoints.length > 0,
+        ratio: ratio(uniqueBreakpoints.length - offScaleBreakpoints.length, uniqueBreakpoints.length),
+        issue: `KRDS 분기점(${tokens.layout.breakpoints.join('/')}px)과 다른 분기점: ${offScaleBreakpoints.join(', ')}px`,
+        expected: `${tokens.layout.breakpoints.join('/')}px`,
+        measured: offScaleBreakpoints,
+        remediation: '임의 분기점을 가장 가까운 KRDS 분기점으로 통합하세요.',
+        pass: `분기점 KRDS 준수 (${uniqueBreakpoints.join('/')}px)`
+      },
+      {
+        weight: 2,
+        applicable: spacingValues.length > 0,
+        ratio: ratio(spacingValues.length - offScaleSpacingCount, spacingValues.length),
+        issue: `KRDS 간격 스케일(${tokens.spacing.scale.join('/')}px)을 벗어난 margin/padding ${offScaleSpacingCount}/${spacingValues.length}개: ${groupOffenders(offScaleSpacing)}`,
+        expected: `${tokens.spacing.scale.join('/')}px`,
+        elements: offScaleSpacing.map(({ value, el, prop }) => ({ el, measured: `${prop}: ${value}px` })),
+        remediation: '여백과 안쪽 여백을 가장 가까운 KRDS 간격 토큰으로 맞추세요.',
+        pass: `margin/padding ${spacingValues.length}개 KRDS 간격 스케일 준수`
+      }
+    ]),
+    measurements: {
+      containerWidths: histogram(containerWidths),
+      breakpoints: uniqueBreakpoints,
+      spacing: {
+        total: spacingValues.length,
+        offScale: offScaleSpacingCount,
+        histogram: histogram(spacingValues)
+      },
+      viewportMeta: viewportContent || null
+    }
+  };
 
-    buttons.forEach(btn => {
-      const styles = window.getComputedStyle(btn);
-      const height = parseInt(styles.height);
-      
-      // KRDS: 버튼 최소 높이 44px
-      if (height >= 44) compliant++;
-    });
+  // ─── 아이콘 (크기/대체 텍스트) ───
+  const icons = query(
+    'svg, i[class*="icon" i], span[class*="icon" i], [class^="ico"], [class*=" ico"], img[src*="icon" i], img[class*="icon" i]'
+  ).filter(el => isVisible(el) && !el.parentElement?.closest('svg'));
+  const iconSizes = [];
+  const offScaleIcons = [];
+  icons.forEach(el => {
+    const rect = el.getBoundingClientRect();
+    // 아이콘 크기 범위를 벗어나는 요소(일러스트/로고)는 제외
+    if (Math.max(rect.width, rect.height) > 64) return;
+    const size = Math.round(Math.max(rect.width, rect.height));
+    iconSizes.push(size);
+    if (Math.abs(nearest(size, tokens.icon.sizes) - size) > tokens.icon.tolerance) {
+      offScaleIcons.push({ value: size, el });
+    }
+  });
 
-    return { compliant, total };
+  const iconOnlyControls = query('a[href], button, [role="button"]').filter(el =>
+    isVisible(el) &&
+    !(el.textContent || '').trim() &&
+    el.querySelector('svg, img, i, span[class*="icon" i], [class^="ico"]')
+  );
+  const unnamedIconControls = iconOnlyControls.filter(el => {
+    if (el.getAttribute('aria-label')?.trim() || el.getAttribute('aria-labelledby') || el.title?.trim()) return false;
+    const img = el.querySelector('img[alt]:not([alt=""])');
+    const svgTitle = el.querySelector('svg title, svg[aria-label]');
+    return !img && !svgTitle;
+  });
+  const decorativeSvgs = query('a svg, button svg').filter(svg => {
+    const control = svg.closest('a, button');
+    return (control.textContent || '').trim() &&
+      svg.getAttribute('aria-hidden') !== 'true' &&
+      svg.getAttribute('role') !== 'presentation';
   });
 
-  if (buttonInfo.total === 0) return 50;
-  return Math.round((buttonInfo.compliant / buttonInfo.total) * 100);
-}
+  const icon = {
+    checks: finalizeChecks([
+      {
+        weight: 2,
+        applicable: iconSizes.length > 0,
+        ratio: ratio(iconSizes.length - offScaleIcons.length, iconSizes.length),
+        issue: `KRDS 아이콘 크기(${tokens.icon.sizes.join('/')}px)를 벗어난 아이콘: ${groupOffenders(offScaleIcons)}`,
+        expected: `${tokens.icon.sizes.join('/')}px`,
+        elements: offenderElements(offScaleIcons),
+        remediation: '아이콘 크기를 KRDS 아이콘 크기 단계로 맞추세요.',
+        pass: `아이콘 ${iconSizes.length}개 크기 KRDS 준수`
+      },
+      {
+        weight: 3,
+        applicable: iconOnlyControls.length > 0,
+        ratio: ratio(iconOnlyControls.length - unnamedIconControls.length, iconOnlyControls.length),
+        issue: `이름이 없는 아이콘 전용 버튼/링크 ${unnamedIconControls.length}개: ${list(unnamedIconControls)}`,
+        expected: 'aria-label 또는 대체 텍스트',
+        elements: unnamedIconControls,
+        remediation: '아이콘만 있는 버튼/링크에 aria-label을 지정하거나 숨김 텍스트를 제공하세요.',
+        pass: `아이콘 전용 컨트롤 ${iconOnlyControls.length}개 모두 이름 제공`
+      },
+      {
+        weight: 1,
+        applicable: decorativeSvgs.length > 0 || query('a svg, button svg').length > 0,
+        passed: decorativeSvgs.length === 0,
+        issue: `텍스트와 함께 쓰인 장식용 SVG에 aria-hidden="true"가 없습니다: ${list(decorativeSvgs)}`,
+        expected: 'aria-hidden="true" focusable="false"',
+        elements: decorativeSvgs,
+        remediation: '텍스트와 함께 쓰인 장식용 SVG에 aria-hidden="true"를 지정하세요.',
+        pass: '장식용 아이콘 보조기술 숨김 처리'
+      }
+    ]),
+    measurements: {
+      total: iconSizes.length,
+      offScale: offScaleIcons.length,
+      histogram: histogram(iconSizes),
+      iconOnlyControls: iconOnlyControls.length
+    }
+  };
 
-/**
- * 컴포넌트 분석
- */
-async function analyzeComponents(page) {
-  const componentTypes = [
-    'button', 'input', 'select', 'checkbox', 
-    'radio', 'link', 'card', 'table'
-  ];
+  // ─── 엘리베이션 (box-shadow) ───
+  const parseShadow = (value) => {
+    const first = value.split(/,(?![^(]*\))/)[0];
+    if (/inset/.test(first)) return null;
+    const lengths = first.replace(/rgba?\([^)]*\)/, '').match(/-?[\d.]+px/g) || [];
+    const [, offsetY = 0, blur = 0] = lengths.map(parseFloat);
+    return { offsetY, blur };
+  };
+  const shadowLevels = [];
+  const offScaleShadows = [];
+  visibleElements.forEach(el => {
+    const boxShadow = window.getComputedStyle(el).boxShadow;
+    if (!boxShadow || boxShadow === 'none') return;
+    const shadow = parseShadow(boxShadow);
+    if (!shadow || (shadow.offsetY === 0 && shadow.blur === 0)) return;
+    const match = tokens.elevation.levels.find(level =>
+      Math.abs(level.offsetY - Math.abs(shadow.offsetY)) <= tokens.elevation.tolerance &&
+      Math.abs(level.blur - shadow.blur) <= tokens.elevation.tolerance * 2
+    );
+    if (match) {
+      shadowLevels.push(`level${match.level}`);
+    } else {
+      shadowLevels.push('custom');
+      offScaleShadows.push({ value: `${shadow.offsetY}/${shadow.blur}`, el });
+    }
+  });
 
-  const results = [];
+  const elevation = {
+    checks: finalizeChecks([
+      {
+        weight: 3,
+        applicable: shadowLevels.length > 0,
+        ratio: ratio(shadowLevels.length - offScaleShadows.length, shadowLevels.length),
+        issue: `KRDS 엘리베이션 단계와 맞지 않는 그림자(offsetY/blur): ${groupOffenders(offScaleShadows)}`,
+        expected: tokens.elevation.levels.map(l => `level${l.level}: ${l.offsetY}/${l.blur}px`).join(', '),
+        elements: offenderElements(offScaleShadows),
+        remediation: 'box-shadow를 KRDS 엘리베이션 토큰 단계 중 하나로 바꾸세요.',
+        pass: `그림자 ${shadowLevels.length}개 KRDS 엘리베이션 단계 준수`
+      },
+      {
+        weight: 1,
+        applicable: shadowLevels.length > 0,
+        passed: new Set(shadowLevels).size <= 3,
+        issue: `그림자 단계가 ${new Set(shadowLevels).size}종 사용됩니다 (3종 이하 권장)`,
+        expected: '3종 이하',
+        measured: Array.from(new Set(shadowLevels)),
+        remediation: '화면 층위(카드/드롭다운/모달)별로 엘리베이션 단계를 정해 사용하세요.',
+        pass: `그림자 단계 ${new Set(shadowLevels).size}종`
+      }
+    ]),
+    measurements: {
+      total: shadowLevels.length,
+      offScale: offScaleShadows.length,
+      histogram: histogram(shadowLevels)
+    }
+  };
 
-  for (const type of componentTypes) {
-    const score = await analyzeComponentType(page, type);
-    results.push({
-      type,
-      name: type,
-      score,
-      compliance: score >= 80 ? '준수' : '미준수',
-      issues: score < 80 ? [`${type} 개선 필요`] : [],
-      krdsUrl: getKRDSUrl('component', type),
-      count: await getComponentCount(page, type)
-    });
-  }
+  // ─── 선명한 화면 모드 (고대비) ───
+  const highContrastMedia = mediaConditions.filter(text =>
+    /forced-colors|prefers-contrast|-ms-high-contrast/.test(text)
+  );
+  const controls = query('button, input:not([type="hidden"]), select, textarea, [role="button"]').filter(isVisible);
+  // 테두리 없이 배경색만으로 경계를 표현하는 컨트롤은 고대비 모드에서 사라짐
+  const borderlessControls = controls.filter(el => {
+    const style = window.getComputedStyle(el);
+    const hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some(side =>
+      style[`border${side}Style`] !== 'none' && parseFloat(style[`border${side}Width`]) > 0
+    );
+    const hasBackground = style.backgroundColor !== 'rgba(0, 0, 0, 0)' && style.backgroundColor !== 'transparent';
+    return !hasBorder && hasBackground;
+  });
+  const forcedAdjustNone = visibleElements.filter(el =>
+    window.getComputedStyle(el).forcedColorAdjust === 'none'
+  );
 
-  return results;
+  const highContrast = {
+    checks: finalizeChecks([
+      {
+        weight: 2,
+        applicable: stylesReadable,
+        passed: highContrastMedia.length > 0,
+        issue: '선명한 화면 모드(forced-colors/prefers-contrast) 대응 스타일이 없습니다',
+        expected: '@media (forced-colors: active) 규칙',
+        measured: 0,
+        remediation: '@media (forced-colors: active)에서 포커스/버튼 경계/아이콘이 시스템 색상으로 보이도록 스타일을 보완하세요.',
+        pass: `고대비 미디어 쿼리 ${highContrastMedia.length}개 정의`
+      },
+      {
+        weight: 2,
+        applicable: controls.length > 0 && highContrastMedia.length === 0,
+        ratio: ratio(controls.length - borderlessControls.length, controls.length),
+        issue: `테두리 없이 배경색으로만 구분되는 컨트롤 ${borderlessControls.length}개 (고대비 모드에서 경계가 사라짐): ${list(borderlessControls)}`,
+        expected: '투명 테두리(1px solid transparent) 이상',
+        elements: borderlessControls.map(el => ({ el, measured: `background ${window.getComputedStyle(el).backgroundColor}, border none` })),
+        remediation: '배경색 버튼/입력에도 1px solid transparent 테두리를 지정하면 고대비 모드에서 경계가 표시됩니다.',
+        pass: '컨트롤 경계가 테두리로 표현됨'
+      },
+      {
+        weight: 1,
+        passed: forcedAdjustNone.length === 0,
+        issue: `forced-color-adjust: none으로 고대비 모드를 무시하는 요소: ${list(forcedAdjustNone)}`,
+        expected: 'forced-color-adjust: auto',
+        elements: forcedAdjustNone,
+        remediation: 'forced-color-adjust: none을 제거하거나 꼭 필요한 요소(색상 견본 등)로 한정하세요.',
+        pass: 'forced-color-adjust: none 미사용'
+      }
+    ]),
+    measurements: {
+      mediaQueries: highContrastMedia,
+      borderlessControls: borderlessControls.length
+    }
+  };
+
+  // ─── 링크 (밑줄/방문/포커스) ───
+  const links = query('a[href]').filter(isVisible);
+  // 본문 문장 안의 링크: 부모 요소 텍스트가 링크 텍스트보다 긴 경우
+  const inlineLinks = links.filter(a => {
+    const parent = a.parentElement;
+    if (!parent || a.closest('nav, header, footer, [role="navigation"]')) return false;
+    const display = window.getComputedStyle(a).display;
+    return display.startsWith('inline') &&
+      (parent.textContent || '').trim().length > (a.textContent || '').trim().length + 10;
+  });
+  const nonUnderlined = inlineLinks.filter(a => {
+    const style = window.getComputedStyle(a);
+    return !style.textDecorationLine.includes('underline') &&
+      !(style.borderBottomStyle !== 'none' && parseFloat(style.borderBottomWidth) > 0);
+  });
+  const newWindowLinks = links.filter(a => a.target === '_blank');
+  const unannouncedNewWindow = newWindowLinks.filter(a =>
+    !/새\s*창|새창|new window|외부/i.test(
+      `${a.textContent} ${a.title} ${a.getAttribute('aria-label') || ''} ${a.querySelector('img')?.alt || ''}`
+    )
+  );
+  const removesFocusOutline = styleRules.some(r =>
+    /(^|,|\s)a[^,]*:focus/.test(r.selectorText) &&
+    /^(none|0(px)?)$/.test(r.style.outlineStyle || r.style.outline || '') &&
+    !r.style.boxShadow && !r.style.textDecoration && !r.style.borderBottom
+  );
+
+  const link = {
+    checks: finalizeChecks([
+      {
+        weight: 3,
+        applicable: inlineLinks.length > 0,
+        ratio: ratio(inlineLinks.length - nonUnderlined.length, inlineLinks.length),
+        issue: `본문 링크 ${nonUnderlined.length}개가 밑줄 없이 색상으로만 구분됩니다: ${list(nonUnderlined)}`,
+        expected: 'text-decoration: underline',
+        elements: nonUnderlined.map(el => ({ el, measured: `text-decoration: ${window.getComputedStyle(el).textDecorationLine}` })),
+        remediation: '본문 안의 링크는 색상 외에 밑줄로도 구분되도록 text-decoration: underline을 유지하세요.',
+        pass: `본문 링크 ${inlineLinks.length}개 밑줄 표시`
+      },
+      {
+        weight: 1,
+        applicable: stylesReadable,
+        passed: hasRule(/:visited/),
+        issue: '방문한 링크(:visited) 스타일이 정의되어 있지 않습니다',
+        expected: 'a:visited 스타일 규칙',
+        remediation: '방문한 링크를 구분할 수 있도록 a:visited 색상을 KRDS 링크 방문 색상으로 지정하세요.',
+        pass: ':visited 스타일 정의됨'
+      },
+      {
+        weight: 2,
+        applicable: stylesReadable,
+        passed: !removesFocusOutline,
+        issue: '링크 포커스 시 outline을 제거하고 대체 표시를 제공하지 않습니다 (a:focus { outline: none })',
+        expected: 'a:focus-visible에 outline 또는 대체 표시',
+        measured: 'outline: none',
+        remediation: 'a:focus { outline: none }을 제거하거나 :focus-visible에 2px 이상의 outline을 지정하세요.',
+        pass: '링크 포커스 표시 유지'
+      },
+      {
+        weight: 2,
+        applicable: newWindowLinks.length > 0,
+        ratio: ratio(newWindowLinks.length - unannouncedNewWindow.length, newWindowLinks.length),
+        issue: `새 창 열림을 알리지 않는 링크 ${unannouncedNewWindow.length}개 (target="_blank"): ${list(unannouncedNewWindow)}`,
+        expected: 'title="새 창 열림" 또는 "(새 창)" 텍스트',
+        elements: unannouncedNewWindow,
+        remediation: '새 창으로 열리는 링크에 "새 창 열림" 안내를 텍스트나 title로 제공하세요.',
+        pass: `새 창 링크 ${newWindowLinks.length}개 안내 제공`
+      }
+    ]),
+    measurements: {
+      total: links.length,
+      inline: inlineLinks.length,
+      nonUnderlined: nonUnderlined.length,
+      newWindow: newWindowLinks.length
+    }
+  };
+
+  return { shape, layout, icon, elevation, highContrast, link };
 }
 
 /**
- * 컴포넌트 타입별 분석
+ * 색상 분석 (텍스트 명도 대비 + KRDS 팔레트 준수)
  */
-async function analyzeComponentType(page, type) {
-  const count = await getComponentCount(page, type);
-  if (count === 0) return 100; // 없으면 통과
-  
-  // 간단한 준수율 계산 (실제로는 더 복잡한 로직 필요)
-  return Math.floor(Math.random() * 30) + 60; // 60-90점
+async function analyzeColors(page, rule) {
+  await injectPageHelpers(page);
+  const { checks, measurements } = await page.evaluate(collectColorChecks, KRDS_TOKENS.color);
+  return {
+    ...scoreChecks(checks, rule),
+    measurements
+  };
 }
 
 /**
- * 컴포넌트 개수 확인
+ * 색상 측정 (브라우저 컨텍스트에서 실행)
+ * - 텍스트 요소마다 실제 배경(조상 배경색 합성) 대비 명도 대비, 큰 텍스트는 완화 기준
+ * - 글자/배경/테두리 색상마다 가장 가까운 KRDS 색상 토큰과 색차(CIE76 ΔE)
+ * @param {Object} tokens - KRDS_TOKENS.color
+ * @returns {Object} { checks, measurements }
  */
-async function getComponentCount(page, type) {
-  return await page.evaluate((componentType) => {
-    const selectors = {
-      button: 'button, [role="button"]',
-      input: 'input',
-      select: 'select',
-      checkbox: 'input[type="checkbox"]',
-      radio: 'input[type="radio"]',
-      link: 'a',
-      card: '[class*="card"]',
-      table: 'table'
-    };
+function collectColorChecks(tokens) {
+  const { query, isVisible, hasOwnText, evidence, finalizeChecks, ratio, round } = window.__viewchecker;
 
-    const selector = selectors[componentType] || componentType;
-    return document.querySelectorAll(selector).length;
-  }, type);
-}
+  // rgb()/rgba() → { r, g, b, a } (color()/oklch() 등 다른 형식은 null)
+  const parseColor = (value) => {
+    const match = /^rgba?\(([^)]+)\)$/.exec(String(value).trim());
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return [r, g, b, a].some(Number.isNaN) ? null : { r, g, b, a };
+  };
+  const parseHex = (hex) => {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 1 };
+  };
+  const toHex = ({ r, g, b }) => `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
 
-/**
- * 기본 패턴 분석
- */
-async function analyzeBasicPatterns(page) {
-  const patterns = [
-    '레이아웃', '네비게이션', '정보구조', 
-    '인터랙션', '상태관리', '피드백'
-  ];
+  // 위 색상(top)을 아래 불투명 색상(bottom)에 합성
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  });
 
-  const results = [];
+  // WCAG 상대 휘도 / 명도 대비
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(c => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const contrastRatio = (fg, bg) => {
+    const [light, dark] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+  };
 
-  for (const pattern of patterns) {
-    results.push({
-      name: pattern,
-      englishName: pattern,
-      score: Math.floor(Math.random() * 30) + 60,
-      issues: [],
-      krdsUrl: getKRDSUrl('pattern', pattern)
+  // sRGB → CIE Lab (D65)
+  const toLab = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(c => {
+      const s = c / 255;
+      return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
     });
-  }
+    const xyz = [
+      (R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047,
+      (R * 0.2126 + G * 0.7152 + B * 0.0722) / 1.00000,
+      (R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883
+    ].map(v => (v > 0.008856 ? Math.cbrt(v) : 7.787 * v + 16 / 116));
+    return { L: 116 * xyz[1] - 16, a: 500 * (xyz[0] - xyz[1]), b: 200 * (xyz[1] - xyz[2]) };
+  };
 
-  return results;
-}
+  const paletteLab = Object.entries(tokens.palette).map(([token, hex]) => ({ token, hex, lab: toLab(parseHex(hex)) }));
+  const nearestToken = (color) => {
+    const lab = toLab(color);
+    return paletteLab.reduce((best, entry) => {
+      const distance = Math.hypot(lab.L - entry.lab.L, lab.a - entry.lab.a, lab.b - entry.lab.b);
+      return !best || distance < best.distance ? { token: entry.token, hex: entry.hex, distance } : best;
+    }, null);
+  };
 
-/**
- * 서비스 패턴 분석
- */
-async function analyzeServicePatterns(page) {
-  const patterns = [
-    '로그인', '검색', '목록/상세', '등록/수정', '알림'
-  ];
+  // 실제 배경: 조상 배경색을 흰 캔버스부터 합성 (배경 이미지/그라디언트가 있으면 판정 불가)
+  const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+  const effectiveBackground = (el) => {
+    const layers = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return { unknown: true, reason: 'background-image', at: node };
+      const color = parseColor(style.backgroundColor);
+      if (!color && style.backgroundColor !== 'transparent') return { unknown: true, reason: style.backgroundColor, at: node };
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    return { color: layers.reverse().reduce((bottom, top) => blend(top, bottom), WHITE) };
+  };
 
-  const results = [];
+  // 직접 텍스트가 있는 요소 (비활성 컨트롤과 화면 밖 숨김 텍스트 제외)
+  const textElements = query('body *')
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(el.tagName))
+    .filter(el => hasOwnText(el) && isVisible(el))
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 1 && rect.height > 1;
+    })
+    .filter(el => !el.closest(':disabled, [aria-disabled="true"]'))
+    .slice(0, 3000);
 
-  for (const pattern of patterns) {
-    results.push({
-      name: pattern,
-      englishName: pattern,
-      score: Math.floor(Math.random() * 30) + 60,
-      issues: [],
-      krdsUrl: getKRDSUrl('service', pattern)
-    });
-  }
+  const failures = [];
+  const review = [];
+  let largeTextCount = 0;
+  let minRatio = null;
 
-  return results;
-}
+  textElements.forEach(el => {
+    const style = window.getComputedStyle(el);
+    const fg = parseColor(style.color);
+    const background = effectiveBackground(el);
+    if (!fg || background.unknown) {
+      review.push({ el, reason: fg ? background.reason : style.color });
+      return;
+    }
 
-/**
- * KRDS URL 생성
- */
-function getKRDSUrl(type, name) {
-  const baseUrl = 'https://krds.go.kr';
-  return `${baseUrl}/${type}/${encodeURIComponent(name)}`;
-}
+    const fontSize = parseFloat(style.fontSize) || 0;
+    const bold = (parseInt(style.fontWeight, 10) || 400) >= tokens.contrast.boldWeight;
+    const large = fontSize >= tokens.contrast.largeFontSize || (bold && fontSize >= tokens.contrast.largeBoldFontSize);
+    if (large) largeTextCount++;
 
-/**
- * 디자인 스타일 → 디자인 토큰 변환
- */
-function convertDesignStylesToTokens(designStyles) {
-  const tokens = {};
-  
-  designStyles.forEach(style => {
-    const key = style.category.toLowerCase();
-    tokens[key] = {
-      score: style.score,
-      compliance: [],
-      issues: style.issues,
-      passed: style.score >= 80 ? ['준수'] : []
+    const text = blend(fg, background.color);
+    const value = contrastRatio(text, background.color);
+    const required = large ? tokens.contrast.large : tokens.contrast.normal;
+    minRatio = minRatio === null ? value : Math.min(minRatio, value);
+
+    if (value < required) {
+      failures.push({
+        el,
+        ratio: round(value),
+        required,
+        large,
+        measured: `${round(value)}:1 < ${required}:1 (${toHex(text)} / ${toHex(background.color)}, ${round(fontSize, 1)}px${bold ? ' bold' : ''})`
+      });
+    }
+  });
+  failures.sort((a, b) => a.ratio - b.ratio);
+
+  // 사용 색상 수집 (글자/배경/테두리, 불투명 색상만 팔레트와 비교)
+  const usage = new Map();
+  let translucent = 0;
+  let unparsed = 0;
+  const addColor = (value, type, el) => {
+    if (value === 'transparent') return;
+    const color = parseColor(value);
+    if (!color) {
+      unparsed++;
+      return;
+    }
+    if (color.a === 0) return;
+    if (color.a < 1) {
+      translucent++;
+      return;
+    }
+    const hex = toHex(color);
+    if (!usage.has(hex)) usage.set(hex, { hex, color, count: 0, types: new Set(), el });
+    const entry = usage.get(hex);
+    entry.count++;
+    entry.types.add(type);
+  };
+
+  query('body, body *').filter(isVisible).slice(0, 3000).forEach(el => {
+    const style = window.getComputedStyle(el);
+    if (hasOwnText(el)) addColor(style.color, 'text', el);
+    addColor(style.backgroundColor, 'background', el);
+    if (parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none') addColor(style.borderTopColor, 'border', el);
+  });
+
+  const colors = Array.from(usage.values())
+    .map(entry => ({ ...entry, nearest: nearestToken(entry.color) }))
+    .sort((a, b) => b.count - a.count);
+  const offPalette = colors.filter(entry => entry.nearest.distance > tokens.maxDistance);
+  const describeColor = (entry) => ({
+    color: entry.hex,
+    count: entry.count,
+    usage: Array.from(entry.types),
+    nearestToken: entry.nearest.token,
+    tokenColor: entry.nearest.hex,
+    distance: round(entry.nearest.distance, 1)
+  });
+
+  const tokenUsage = colors
+    .filter(entry => entry.nearest.distance <= tokens.maxDistance)
+    .reduce((acc, entry) => {
+      acc[entry.nearest.token] = (acc[entry.nearest.token] || 0) + entry.count;
+      return acc;
+    }, {});
+
+  const checks = finalizeChecks([
+    {
+      weight: 4,
+      applicable: textElements.length - review.length > 0,
+      ratio: ratio(textElements.length - review.length - failures.length, textElements.length - review.length),
+      issue: `명도 대비 기준 미달 텍스트 ${failures.length}/${textElements.length - review.length}개 (최저 ${failures[0]?.ratio}:1)`,
+      expected: `${tokens.contrast.normal}:1 이상 (큰 텍스트 ${tokens.contrast.large}:1)`,
+      elements: failures,
+      remediation: '글자색 또는 배경색을 KRDS 팔레트에서 명도 차이가 큰 단계(예: gray-70 이상 글자색)로 바꾸세요.',
+      pass: `텍스트 ${textElements.length - review.length}개 명도 대비 기준 충족`
+    },
+    {
+      weight: 2,
+      applicable: colors.length > 0,
+      ratio: ratio(colors.length - offPalette.length, colors.length),
+      issue: `KRDS 색상 토큰에 없는 색상 ${offPalette.length}/${colors.length}개: ${offPalette.slice(0, 5)
+        .map(entry => `${entry.hex} (가까운 토큰 ${entry.nearest.token} ${entry.nearest.hex}, ΔE ${round(entry.nearest.distance, 1)})`)
+        .join(', ')}`,
+      expected: `KRDS 색상 토큰 (ΔE ${tokens.maxDistance} 이내)`,
+      elements: offPalette.map(entry => ({
+        el: entry.el,
+        measured: `${entry.hex} → ${entry.nearest.token} ${entry.nearest.hex} (ΔE ${round(entry.nearest.distance, 1)})`
+      })),
+      remediation: '임의 색상을 가장 가까운 KRDS 색상 토큰으로 바꾸세요.',
+      pass: `사용 색상 ${colors.length}개 모두 KRDS 색상 토큰`
+    }
+  ]);
+
+  return {
+    checks,
+    measurements: {
+      contrast: {
+        evaluated: textElements.length - review.length,
+        failed: failures.length,
+        largeText: largeTextCount,
+        minRatio: minRatio === null ? null : round(minRatio),
+        // 배경 이미지/그라디언트 위 텍스트 등 자동 판정 불가 (수동 확인)
+        needsReview: review.length,
+        failures: failures.slice(0, 20).map(({ el, measured, ratio: value, required, large }) => ({
+          ...evidence(el, measured),
+          ratio: value,
+          required,
+          large
+        }))
+      },
+      palette: {
+        distinctColors: colors.length,
+        onPalette: colors.length - offPalette.length,
+        offPalette: offPalette.slice(0, 30).map(describeColor),
+        tokenUsage,
+        translucent,
+        unparsed
+      }
+    }
+  };
+}
+
+/**
+ * 타이포그래피 분석 (글꼴, 글자 크기 스케일, 본문 최소 크기, 줄 간격, 제목 위계)
+ */
+async function analyzeTypography(page, rule) {
+  await injectPageHelpers(page);
+  const { checks, measurements } = await page.evaluate(collectTypographyChecks, KRDS_TOKENS.typography);
+  return {
+    ...scoreChecks(checks, rule),
+    measurements
+  };
+}
+
+/**
+ * 타이포그래피 측정 (브라우저 컨텍스트에서 실행)
+ * @param {Object} tokens - KRDS_TOKENS.typography
+ * @returns {Object} { checks, measurements }
+ */
+function collectTypographyChecks(tokens) {
+  const {
+    query, isVisible, hasOwnText, finalizeChecks, ratio, round, nearest, histogram, groupOffenders
+  } = window.__viewchecker;
+
+  // 글자 크기는 0.5px 단위로 비교
+  const halfPixel = (value) => Math.round(value * 2) / 2;
+  const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  };
+
+  const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]';
+  const headingLevel = (el) => (/^H[1-6]$/.test(el.tagName)
+    ? Number(el.tagName[1])
+    : Number(el.getAttribute('aria-level')) || null);
+
+  const textElements = query('body *')
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(el.tagName))
+    .filter(el => hasOwnText(el) && isVisible(el))
+    .slice(0, 3000)
+    .map(el => {
+      const style = window.getComputedStyle(el);
+      const fontSize = parseFloat(style.fontSize) || 0;
+      const heading = el.closest(HEADING_SELECTOR);
+      // line-height → 글자 크기 대비 배수 (normal은 약 1.2배)
+      const rawLineHeight = parseFloat(style.lineHeight);
+      const lineHeight = Number.isNaN(rawLineHeight)
+        ? 1.2
+        : style.lineHeight.endsWith('px') ? rawLineHeight / fontSize
+          : style.lineHeight.endsWith('%') ? rawLineHeight / 100 : rawLineHeight;
+      return { el, style, fontSize: halfPixel(fontSize), lineHeight: round(lineHeight), heading };
+    })
+    .filter(({ fontSize }) => fontSize > 0);
+
+  // ─── 글꼴 ───
+  const families = (value) => value.split(',').map(f => f.trim().replace(/^["']|["']$/g, '').toLowerCase()).filter(Boolean);
+  const approved = [...tokens.primaryFamilies, ...tokens.fallbackFamilies];
+  const fontTargets = textElements.filter(({ el }) => !el.closest(tokens.monospaceSelector));
+  const unapprovedFonts = [];
+  const nonPrimaryFonts = [];
+  fontTargets.forEach(({ el, style }) => {
+    const stack = families(style.fontFamily);
+    const unknown = stack.filter(family => !approved.includes(family));
+    if (unknown.length > 0) unapprovedFonts.push({ el, measured: `font-family: ${style.fontFamily}`, value: unknown[0] });
+    if (!tokens.primaryFamilies.includes(stack[0])) nonPrimaryFonts.push({ el, measured: `font-family: ${style.fontFamily}` });
+  });
+
+  // ─── 글자 크기 스케일 / 본문 최소 크기 ───
+  const offScaleSizes = textElements
+    .filter(({ fontSize }) => Math.abs(nearest(fontSize, tokens.scale) - fontSize) > tokens.scaleTolerance)
+    .map(({ el, fontSize }) => ({ value: fontSize, el }));
+
+  const bodyText = textElements.filter(({ el, heading }) =>
+    !heading && el.closest('p, li, dd, td, th, blockquote, figcaption, label') && !el.closest('nav, footer, sup, sub'));
+  const smallBodyText = bodyText
+    .filter(({ fontSize }) => fontSize < tokens.minBodySize)
+    .map(({ el, fontSize }) => ({ value: fontSize, el }));
+
+  // ─── 줄 간격 (본문 / 제목) ───
+  const tightLines = [
+    ...bodyText
+      .filter(({ lineHeight }) => lineHeight < tokens.lineHeight.body - tokens.lineHeight.tolerance)
+      .map(({ el, lineHeight }) => ({ el, value: lineHeight, measured: `본문 line-height ${lineHeight}` })),
+    ...textElements
+      .filter(({ heading }) => heading)
+      .filter(({ lineHeight }) => lineHeight < tokens.lineHeight.heading - tokens.lineHeight.tolerance)
+      .map(({ el, lineHeight }) => ({ el, value: lineHeight, measured: `제목 line-height ${lineHeight}` }))
+  ];
+  const lineHeightTargets = bodyText.length + textElements.filter(({ heading }) => heading).length;
+
+  // ─── 제목 위계 (상위 수준보다 크거나 본문보다 작은 제목) ───
+  const bodySize = median(bodyText.map(({ fontSize }) => fontSize));
+  const headings = query(HEADING_SELECTOR)
+    .filter(el => isVisible(el) && (el.textContent || '').trim())
+    .map(el => ({ el, level: headingLevel(el), fontSize: halfPixel(parseFloat(window.getComputedStyle(el).fontSize) || 0) }))
+    .filter(({ level }) => level >= 1 && level <= 6);
+  const minSizeByLevel = {};
+  headings.forEach(({ level, fontSize }) => {
+    minSizeByLevel[level] = Math.min(minSizeByLevel[level] ?? Infinity, fontSize);
+  });
+  const misorderedHeadings = headings
+    .map(heading => {
+      const higher = Object.entries(minSizeByLevel)
+        .filter(([level]) => Number(level) < heading.level)
+        .map(([level, size]) => ({ level: Number(level), size }))
+        .find(({ size }) => heading.fontSize > size);
+      if (higher) {
+        return { el: heading.el, measured: `h${heading.level} ${heading.fontSize}px > h${higher.level} ${higher.size}px` };
+      }
+      if (bodySize !== null && heading.fontSize < bodySize) {
+        return { el: heading.el, measured: `h${heading.level} ${heading.fontSize}px < 본문 ${bodySize}px` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  const headingSizes = Object.fromEntries(Object.keys(minSizeByLevel).sort().map(level => [
+    `h${level}`,
+    histogram(headings.filter(h => h.level === Number(level)).map(h => h.fontSize))
+  ]));
+
+  const checks = finalizeChecks([
+    {
+      weight: 3,
+      applicable: fontTargets.length > 0,
+      ratio: ratio(fontTargets.length - unapprovedFonts.length, fontTargets.length),
+      issue: `KRDS 글꼴 스택에 없는 글꼴 사용 ${unapprovedFonts.length}/${fontTargets.length}개: ${Array.from(new Set(unapprovedFonts.map(f => f.value))).slice(0, 5).join(', ')}`,
+      expected: `Pretendard GOV + 대체 글꼴 (${tokens.fallbackFamilies.slice(0, 6).join(', ')} 등)`,
+      elements: unapprovedFonts,
+      remediation: 'font-family를 "Pretendard GOV"로 시작하는 KRDS 글꼴 스택으로 지정하세요.',
+      pass: `텍스트 ${fontTargets.length}개 KRDS 글꼴 스택 사용`
+    },
+    {
+      weight: 1,
+      applicable: fontTargets.length > 0,
+      ratio: ratio(fontTargets.length - nonPrimaryFonts.length, fontTargets.length),
+      issue: `Pretendard GOV가 첫 글꼴이 아닌 텍스트 ${nonPrimaryFonts.length}/${fontTargets.length}개`,
+      expected: 'font-family: "Pretendard GOV", …',
+      elements: nonPrimaryFonts,
+      remediation: '대체 글꼴은 Pretendard GOV 뒤에 두세요.',
+      pass: 'Pretendard GOV 우선 지정'
+    },
+    {
+      weight: 2,
+      applicable: textElements.length > 0,
+      ratio: ratio(textElements.length - offScaleSizes.length, textElements.length),
+      issue: `KRDS 글자 크기(${tokens.scale.join('/')}px)를 벗어난 텍스트 ${offScaleSizes.length}/${textElements.length}개: ${groupOffenders(offScaleSizes)}`,
+      expected: `${tokens.scale.join('/')}px`,
+      elements: offScaleSizes.map(({ value, el }) => ({ el, measured: `${value}px` })),
+      remediation: '글자 크기를 가장 가까운 KRDS 타이포그래피 단계로 맞추세요.',
+      pass: `텍스트 ${textElements.length}개 글자 크기 KRDS 준수`
+    },
+    {
+      weight: 3,
+      applicable: bodyText.length > 0,
+      ratio: ratio(bodyText.length - smallBodyText.length, bodyText.length),
+      issue: `본문 최소 크기(${tokens.minBodySize}px)보다 작은 본문 ${smallBodyText.length}/${bodyText.length}개: ${groupOffenders(smallBodyText)}`,
+      expected: `${tokens.minBodySize}px 이상`,
+      elements: smallBodyText.map(({ value, el }) => ({ el, measured: `${value}px` })),
+      remediation: `본문 글자 크기를 ${tokens.minBodySize}px 이상(기본 17px)으로 지정하세요.`,
+      pass: `본문 ${bodyText.length}개 ${tokens.minBodySize}px 이상`
+    },
+    {
+      weight: 2,
+      applicable: lineHeightTargets > 0,
+      ratio: ratio(lineHeightTargets - tightLines.length, lineHeightTargets),
+      issue: `줄 간격이 좁은 텍스트 ${tightLines.length}/${lineHeightTargets}개 (본문 ${tokens.lineHeight.body}배, 제목 ${tokens.lineHeight.heading}배 미만)`,
+      expected: `본문 line-height ${tokens.lineHeight.body} 이상, 제목 ${tokens.lineHeight.heading} 이상`,
+      elements: tightLines,
+      remediation: `본문 line-height를 ${tokens.lineHeight.body}(150%) 이상으로 지정하세요.`,
+      pass: '본문/제목 줄 간격 KRDS 준수'
+    },
+    {
+      weight: 2,
+      applicable: headings.length > 0,
+      passed: misorderedHeadings.length === 0,
+      issue: `제목 수준과 글자 크기가 맞지 않는 제목 ${misorderedHeadings.length}개`,
+      expected: '상위 제목일수록 큰 글자 (h1 > h2 > … > h6 ≥ 본문)',
+      elements: misorderedHeadings,
+      remediation: '제목 크기를 수준 순서(h1 > h2 > h3 …)대로 지정하고, 모양 때문에 제목 수준을 바꾸지 마세요.',
+      pass: '제목 수준별 글자 크기 위계 준수'
+    }
+  ]);
+
+  return {
+    checks,
+    measurements: {
+      textElements: textElements.length,
+      fontFamilies: histogram(fontTargets.map(({ style }) => style.fontFamily)),
+      fontSizes: histogram(textElements.map(({ fontSize }) => fontSize)),
+      lineHeights: histogram(bodyText.map(({ lineHeight }) => lineHeight)),
+      bodySize,
+      headingSizes
+    }
+  };
+}
+
+/**
+ * 버튼 분석
+ */
+async function analyzeButtons(page, rule) {
+  await injectPageHelpers(page);
+  const buttonInfo = await page.evaluate(() => {
+    const { evidence } = window.__viewchecker;
+    const buttons = document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"]');
+    let compliant = 0;
+    let total = buttons.length;
+    const offenders = [];
+
+    buttons.forEach(btn => {
+      const styles = window.getComputedStyle(btn);
+      const height = parseInt(styles.height);
+      
+      // KRDS: 버튼 최소 높이 44px
+      if (height >= 44) {
+        compliant++;
+      } else if (offenders.length < 10) {
+        offenders.push(evidence(btn, `${height}px`));
+      }
+    });
+
+    return { compliant, total, offenders };
+  });
+
+  if (buttonInfo.total === 0) {
+    return {
+      score: 50,
+      issues: [createIssue({
+        issue: '버튼을 찾을 수 없습니다',
+        expected: '<button> 요소',
+        measured: 0,
+        remediation: '동작을 실행하는 요소는 <button>으로 제공하세요.'
+      }, rule)]
+    };
+  }
+
+  const failed = buttonInfo.total - buttonInfo.compliant;
+  return {
+    score: Math.round((buttonInfo.compliant / buttonInfo.total) * 100),
+    issues: failed > 0 ? [createIssue({
+      issue: `높이 44px 미만 버튼 ${failed}/${buttonInfo.total}개`,
+      expected: '높이 44px 이상',
+      remediation: '버튼 높이(패딩 포함)를 KRDS 버튼 크기 기준 44px 이상으로 조정하세요.',
+      evidence: buttonInfo.offenders
+    }, rule)] : [],
+    measurements: { total: buttonInfo.total, compliant: buttonInfo.compliant }
+  };
+}
+
+/**
+ * 컴포넌트 분석
+ */
+async function analyzeComponents(page) {
+  const componentTypes = [
+    'button', 'input', 'select', 'checkbox', 
+    'radio', 'link', 'card', 'table'
+  ];
+
+  let checked = {};
+  let analysisError = null;
+  try {
+    await injectPageHelpers(page);
+    checked = await page.evaluate(collectComponentChecks, {
+      selectors: COMPONENT_SELECTORS,
+      tokens: KRDS_TOKENS.component
+    });
+  } catch (error) {
+    console.warn('⚠️ 컴포넌트 규칙 검사 실패:', error.message);
+    analysisError = error.message;
+  }
+
+  const results = [];
+
+  for (const type of componentTypes) {
+    const rule = findRule('components', type);
+    const result = analyzeComponentType(type, checked[type], rule);
+
+    // 측정 실패 / 페이지에 없는 컴포넌트는 점수를 매기지 않음 (점수 정책에서 제외)
+    if (analysisError || result.evaluated === 0) {
+      results.push({
+        type,
+        name: type,
+        applicable: false,
+        status: analysisError ? '분석 실패' : '해당없음',
+        score: null,
+        compliance: analysisError ? '분석 실패' : '해당없음',
+        ...(analysisError ? { error: analysisError } : {}),
+        issues: [],
+        ruleId: rule.id,
+        krdsUrl: rule.url,
+        count: analysisError ? 0 : await getComponentCount(page, type),
+        evaluated: 0,
+        passedCount: 0,
+        failedCount: 0,
+        rules: []
+      });
+      continue;
+    }
+
+    results.push({
+      type,
+      name: type,
+      applicable: true,
+      score: result.score,
+      compliance: result.score >= 80 ? '준수' : '미준수',
+      issues: result.issues,
+      ruleId: rule.id,
+      krdsUrl: rule.url,
+      count: await getComponentCount(page, type),
+      evaluated: result.evaluated,
+      passedCount: result.passedCount,
+      failedCount: result.failedCount,
+      rules: result.rules
+    });
+  }
+
+  return results;
+}
+
+/**
+ * 컴포넌트 타입별 분석
+ * 인스턴스별로 모든 규칙을 통과한 비율을 점수로 사용
+ */
+function analyzeComponentType(type, checked, rule = null) {
+  if (!checked || checked.evaluated === 0) {
+    // 검사한 인스턴스 없음 (호출부에서 해당없음 처리)
+    return { score: null, issues: [], evaluated: 0, passedCount: 0, failedCount: 0, rules: [] };
+  }
+
+  const rules = checked.rules.map(check => ({
+    id: check.id,
+    description: check.description,
+    passed: check.passed,
+    failed: check.failed
+  }));
+
+  const issues = checked.rules
+    .filter(check => check.failed > 0)
+    .map(check => createIssue({
+      issue: `${check.description}: ${check.failed}/${check.passed + check.failed}개 위반`,
+      expected: check.expected,
+      remediation: check.remediation,
+      evidence: check.offenders
+    }, rule));
+
+  return {
+    score: Math.round((checked.passedCount / checked.evaluated) * 100),
+    issues,
+    evaluated: checked.evaluated,
+    passedCount: checked.passedCount,
+    failedCount: checked.evaluated - checked.passedCount,
+    rules
+  };
+}
+
+/**
+ * 컴포넌트 규칙 검사 (브라우저 컨텍스트에서 실행)
+ * @param {Object} options - { selectors: COMPONENT_SELECTORS, tokens: KRDS_TOKENS.component }
+ * @returns {Object} 타입별 { evaluated, passedCount, rules: [{ id, description, passed, failed, offenders }] }
+ */
+function collectComponentChecks({ selectors, tokens }) {
+  const { query, isVisible, accessibleName, evidence } = window.__viewchecker;
+
+  // 그룹 컨테이너(fieldset+legend 또는 이름 있는 role=group/radiogroup)
+  const inNamedGroup = (el) => {
+    const fieldset = el.closest('fieldset');
+    if (fieldset && fieldset.querySelector('legend')?.textContent.trim()) return true;
+    const group = el.closest('[role="group"], [role="radiogroup"]');
+    return Boolean(group && (group.getAttribute('aria-label') || group.getAttribute('aria-labelledby')));
+  };
+
+  const groupSize = (el) => {
+    if (el.name) {
+      const scope = el.form || document;
+      return query(`input[type="${el.type}"]`, scope).filter(other => other.name === el.name).length;
+    }
+    return query(`input[type="${el.type}"]`, el.parentElement?.parentElement || document).length;
+  };
+
+  const fieldHeightOk = (el) => {
+    const height = el.getBoundingClientRect().height;
+    return tokens.fieldHeights.some(h => Math.abs(h - height) <= tokens.fieldHeightTolerance);
+  };
+
+  const ambiguousLinkText = /^(더\s*보기|자세히(\s*보기)?|바로\s*가기|여기|클릭|more|click here|read more|here)$/i;
+
+  // 타입별 규칙: { id, description, test(el) → boolean }
+  const ruleSets = {
+    button: [
+      {
+        id: 'button-name',
+        description: '버튼에 접근 가능한 이름 제공',
+        expected: '텍스트 또는 aria-label',
+        remediation: '버튼에 동작을 설명하는 텍스트를 넣거나 아이콘 버튼에는 aria-label을 지정하세요.',
+        test: el => Boolean(accessibleName(el))
+      },
+      {
+        id: 'button-target-size',
+        description: `버튼 크기 ${tokens.minTargetSize}×${tokens.minTargetSize}px 이상`,
+        expected: `${tokens.minTargetSize}×${tokens.minTargetSize}px 이상`,
+        remediation: '패딩을 늘려 버튼 조작 영역을 최소 크기 이상으로 확보하세요.',
+        test: el => {
+          const rect = el.getBoundingClientRect();
+          return rect.width >= tokens.minTargetSize && rect.height >= tokens.minTargetSize;
+        }
+      },
+      {
+        id: 'button-type',
+        description: '양식 안의 버튼에 type 속성 명시',
+        expected: 'type="button|submit|reset"',
+        remediation: '양식 안의 <button>에 type을 명시해 의도치 않은 제출을 막으세요.',
+        test: el => el.tagName !== 'BUTTON' || !el.form || el.hasAttribute('type')
+      }
+    ],
+    input: [
+      {
+        id: 'input-label',
+        description: '입력 필드에 레이블 연결',
+        expected: '<label for> 연결',
+        remediation: '입력 필드마다 <label for="id">를 연결하세요. placeholder는 레이블을 대신할 수 없습니다.',
+        test: el => Boolean(accessibleName(el))
+      },
+      {
+        id: 'input-height',
+        description: `입력 필드 높이 KRDS 규격(${tokens.fieldHeights.join('/')}px)`,
+        expected: `${tokens.fieldHeights.join('/')}px`,
+        remediation: '입력 필드 높이를 KRDS 입력 필드 크기(대/중/소) 중 하나로 맞추세요.',
+        test: el => ['checkbox', 'radio', 'file', 'range', 'color', 'image', 'submit', 'button', 'reset'].includes(el.type) ||
+          fieldHeightOk(el)
+      }
+    ],
+    select: [
+      {
+        id: 'select-label',
+        description: '선택 목록에 레이블 연결',
+        expected: '<label for> 연결',
+        remediation: '선택 목록에 <label for="id">를 연결하세요.',
+        test: el => Boolean(accessibleName(el))
+      },
+      {
+        id: 'select-height',
+        description: `선택 목록 높이 KRDS 규격(${tokens.fieldHeights.join('/')}px)`,
+        expected: `${tokens.fieldHeights.join('/')}px`,
+        remediation: '선택 목록 높이를 입력 필드와 같은 KRDS 크기로 맞추세요.',
+        test: el => el.multiple || el.size > 1 || fieldHeightOk(el)
+      }
+    ],
+    checkbox: [
+      {
+        id: 'checkbox-label',
+        description: '체크박스에 레이블 연결',
+        expected: '<label for> 연결',
+        remediation: '체크박스마다 <label>을 연결해 레이블 클릭으로도 선택되게 하세요.',
+        test: el => Boolean(accessibleName(el))
+      },
+      {
+        id: 'checkbox-group',
+        description: '체크박스 그룹을 fieldset/legend로 묶음',
+        expected: '<fieldset><legend>',
+        remediation: '관련 체크박스를 <fieldset>으로 묶고 <legend>로 그룹 제목을 제공하세요.',
+        test: el => groupSize(el) < 2 || inNamedGroup(el)
+      }
+    ],
+    radio: [
+      {
+        id: 'radio-label',
+        description: '라디오 버튼에 레이블 연결',
+        expected: '<label for> 연결',
+        remediation: '라디오 버튼마다 <label>을 연결하세요.',
+        test: el => Boolean(accessibleName(el))
+      },
+      {
+        id: 'radio-group',
+        description: '라디오 버튼 그룹을 fieldset/legend로 묶음',
+        expected: '<fieldset><legend> 또는 role="radiogroup"',
+        remediation: '같은 name의 라디오 버튼을 <fieldset>으로 묶고 <legend>로 질문을 제공하세요.',
+        test: el => inNamedGroup(el)
+      }
+    ],
+    link: [
+      {
+        id: 'link-name',
+        description: '링크에 식별 가능한 텍스트 제공',
+        expected: '링크 텍스트 또는 이미지 alt',
+        remediation: '링크에 목적지를 설명하는 텍스트를 제공하고, 이미지 링크는 alt를 지정하세요.',
+        test: el => Boolean(accessibleName(el))
+      },
+      {
+        id: 'link-purpose',
+        description: '링크 텍스트만으로 목적 파악 가능 ("더보기" 등 단독 사용 금지)',
+        expected: '목적지를 설명하는 링크 텍스트',
+        remediation: '"더보기" 대신 "공지사항 더보기"처럼 쓰거나 aria-label로 맥락을 보완하세요.',
+        test: el => !ambiguousLinkText.test((el.textContent || '').trim()) ||
+          Boolean(el.getAttribute('aria-label') || el.getAttribute('aria-labelledby') || el.title)
+      },
+      {
+        id: 'link-href',
+        description: '링크에 유효한 href 제공 (#, javascript: 금지)',
+        expected: '유효한 URL href',
+        remediation: '페이지 이동이 아니면 <button>을 사용하고, 링크에는 실제 URL을 지정하세요.',
+        test: el => el.getAttribute('role') === 'button' ||
+          (el.hasAttribute('href') && !/^(#|javascript:)/i.test(el.getAttribute('href').trim()))
+      }
+    ],
+    card: [
+      {
+        id: 'card-heading',
+        description: '카드에 제목(h2~h6) 구조 제공',
+        expected: '카드 제목에 h2~h6',
+        remediation: '카드 제목을 문서 구조에 맞는 제목 요소(h2~h6)로 마크업하세요.',
+        test: el => Boolean(el.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+      },
+      {
+        id: 'card-image-alt',
+        description: '카드 이미지에 alt 속성 제공',
+        expected: 'img alt 속성',
+        remediation: '카드 이미지에 alt를 지정하세요. 장식용이면 alt=""를 사용하세요.',
+        test: el => query('img', el).every(img => img.hasAttribute('alt'))
+      },
+      {
+        id: 'card-link-name',
+        description: '카드 링크에 이름 제공',
+        expected: '이름 있는 링크',
+        remediation: '카드 링크에 카드 제목을 포함한 링크 텍스트를 제공하세요.',
+        test: el => query('a[href]', el).every(a => Boolean(accessibleName(a)))
+      }
+    ],
+    table: [
+      {
+        id: 'table-caption',
+        description: '표에 caption 제공',
+        expected: '<caption>',
+        remediation: '표 첫 자식으로 <caption>을 두어 표 제목을 제공하세요.',
+        test: el => Boolean(el.caption?.textContent.trim())
+      },
+      {
+        id: 'table-th',
+        description: '표에 제목 셀(th) 제공',
+        expected: '<th> 제목 셀',
+        remediation: '행/열 제목 셀을 <td> 대신 <th>로 마크업하세요.',
+        test: el => query('th', el).length > 0
+      },
+      {
+        id: 'table-scope',
+        description: '제목 셀(th)에 scope 또는 id/headers 지정',
+        expected: 'th scope="col|row"',
+        remediation: 'th에 scope="col" 또는 scope="row"를 지정하세요.',
+        test: el => query('th', el).every(th => th.hasAttribute('scope') || th.id)
+      }
+    ]
+  };
+
+  // 인스턴스 선별: 보이지 않는 요소, 중첩 카드, 레이아웃 표 제외
+  const instancesOf = (type) => {
+    let elements = query(selectors[type]);
+    if (type === 'input') {
+      elements = elements.filter(el => !['hidden', 'checkbox', 'radio'].includes(el.type));
+    }
+    if (type === 'card') {
+      elements = elements.filter(el =>
+        el.children.length > 0 && !el.parentElement?.closest(selectors.card)
+      );
+    }
+    if (type === 'table') {
+      elements = elements.filter(el => !['presentation', 'none'].includes(el.getAttribute('role')));
+    }
+    // 체크박스/라디오는 시각적으로 숨기고 커스텀 UI를 쓰는 경우가 많아 가시성 검사 생략
+    if (type === 'checkbox' || type === 'radio') return elements;
+    return elements.filter(isVisible);
+  };
+
+  const results = {};
+
+  Object.entries(ruleSets).forEach(([type, rules]) => {
+    const instances = instancesOf(type);
+    const ruleStats = rules.map(rule => ({
+      id: rule.id,
+      description: rule.description,
+      expected: rule.expected,
+      remediation: rule.remediation,
+      passed: 0,
+      failed: 0,
+      offenders: []
+    }));
+    let passedCount = 0;
+
+    instances.forEach(el => {
+      let allPassed = true;
+      rules.forEach((rule, i) => {
+        let ok;
+        try {
+          ok = rule.test(el);
+        } catch (e) {
+          ok = false;
+        }
+        if (ok) {
+          ruleStats[i].passed++;
+        } else {
+          allPassed = false;
+          ruleStats[i].failed++;
+          if (ruleStats[i].offenders.length < 10) ruleStats[i].offenders.push(evidence(el));
+        }
+      });
+      if (allPassed) passedCount++;
+    });
+
+    results[type] = {
+      evaluated: instances.length,
+      passedCount,
+      rules: ruleStats
     };
   });
 
-  return tokens;
+  return results;
 }
 
 /**
- * 전체 점수 계산
+ * 컴포넌트 개수 확인
+ */
+async function getComponentCount(page, type) {
+  return await page.evaluate(({ selectors, componentType }) => {
+    const selector = selectors[componentType] || componentType;
+    return document.querySelectorAll(selector).length;
+  }, { selectors: COMPONENT_SELECTORS, componentType: type });
+}
+
+/**
+ * 기본 패턴 분석
  */
-function calculateOverallScore(data) {
-  const scores = [
-    calculateCategoryScore(data.designStyles),
-    calculateCategoryScore(data.components),
-    calculateCategoryScore(data.basicPatterns),
-    calculateCategoryScore(data.servicePatterns)
+async function analyzeBasicPatterns(page) {
+  const patterns = [
+    { name: '레이아웃', englishName: 'Layout', key: 'layout' },
+    { name: '네비게이션', englishName: 'Navigation', key: 'navigation' },
+    { name: '정보구조', englishName: 'Information Architecture', key: 'informationArchitecture' },
+    { name: '인터랙션', englishName: 'Interaction', key: 'interaction' },
+    { name: '상태관리', englishName: 'State Management', key: 'stateManagement' },
+    { name: '피드백', englishName: 'Feedback', key: 'feedback' }
   ];
 
-  const average = scores.reduce((a, b) => a + b, 0) / scores.length;
-  return Math.round(average);
+  let checksByPattern = {};
+  let analysisError = null;
+  try {
+    await injectPageHelpers(page);
+    checksByPattern = await page.evaluate(collectBasicPatternChecks);
+  } catch (error) {
+    console.warn('⚠️ 기본 패턴 분석 실패:', error.message);
+    analysisError = error.message;
+  }
+
+  return patterns.map(pattern => {
+    const checks = checksByPattern[pattern.key] || [];
+    const rule = findRule('basicPatterns', pattern.name);
+
+    // 측정 실패는 통과가 아니라 점수 제외 (점수 정책에서 해당없음과 같이 빠짐)
+    if (analysisError) {
+      return {
+        name: pattern.name,
+        englishName: pattern.englishName,
+        applicable: false,
+        status: '분석 실패',
+        score: null,
+        error: analysisError,
+        issues: [],
+        passed: [],
+        checks: 0,
+        ruleId: rule.id,
+        krdsUrl: rule.url
+      };
+    }
+
+    const { applicable, score, issues, passed } = scoreChecks(checks, rule);
+
+    return {
+      name: pattern.name,
+      englishName: pattern.englishName,
+      ...(applicable === false && { applicable: false, status: '해당없음' }),
+      score,
+      issues,
+      passed,
+      checks: checks.length,
+      ruleId: rule.id,
+      krdsUrl: rule.url
+    };
+  });
+}
+
+/**
+ * 구조화된 이슈 생성
+ * @param {Object} check - { issue, expected, measured, remediation, evidence }
+ * @param {Object} rule - 관련 KRDS 규칙 (krdsRules)
+ * @returns {Object} { ruleId, message, expected, measured, remediation, guideline, evidence }
+ */
+function createIssue(check, rule = null) {
+  return {
+    ruleId: rule ? rule.id : null,
+    message: check.issue,
+    expected: check.expected !== undefined ? check.expected : null,
+    measured: check.measured !== undefined ? check.measured : null,
+    remediation: check.remediation || null,
+    guideline: rule ? rule.url : null,
+    evidence: check.evidence || []
+  };
 }
 
 /**
- * 카테고리 점수 계산
+ * 검사 항목 목록 → 점수/이슈 변환
+ * 각 검사: { passed, ratio, weight, issue, expected, measured, remediation, evidence, pass, applicable }
+ * ratio(0~1)가 있으면 부분 점수, applicable === false 인 항목은 점수에서 제외
+ * 적용되는 검사가 하나도 없으면 { applicable: false, score: null } (호출부에서 해당없음 처리)
  */
-function calculateCategoryScore(items) {
-  if (!items || items.length === 0) return 0;
+function scoreChecks(checks, rule = null) {
+  const applicable = checks
+    .filter(c => c.applicable !== false)
+    .map(c => (typeof c.ratio === 'number' ? { ...c, passed: c.ratio >= 1 } : c));
+
+  if (applicable.length === 0) {
+    return { applicable: false, score: null, issues: [], passed: [] };
+  }
+
+  const totalWeight = applicable.reduce((sum, c) => sum + (c.weight || 1), 0);
+  const passedWeight = applicable.reduce((sum, c) => {
+    const earned = typeof c.ratio === 'number' ? c.ratio : (c.passed ? 1 : 0);
+    return sum + (c.weight || 1) * earned;
+  }, 0);
+
+  return {
+    score: Math.round((passedWeight / totalWeight) * 100),
+    issues: applicable.filter(c => !c.passed).map(c => createIssue(c, rule)),
+    passed: applicable.filter(c => c.passed && c.pass).map(c => c.pass)
+  };
+}
+
+/**
+ * 기본 패턴 DOM 검사 (브라우저 컨텍스트에서 실행)
+ * 레이아웃/네비게이션/정보구조/인터랙션/상태관리/피드백 검사 항목 반환
+ */
+function collectBasicPatternChecks() {
+  const {
+    query, describe, list, isVisible, fragmentId, isRequiredField, hasRequiredMarker, finalizeChecks, collectStyleRules
+  } = window.__viewchecker;
+  const { readable: stylesReadable, hasRule } = collectStyleRules();
+
+  // ─── 레이아웃 ───
+  const headers = query('header, [role="banner"]');
+  const mains = query('main, [role="main"]');
+  const footers = query('footer, [role="contentinfo"]');
+  const overflowWidth = document.documentElement.scrollWidth - window.innerWidth;
+  const overflowing = overflowWidth > 1
+    ? query('body *').filter(el => {
+      // 부모는 화면 안에 있는데 자신이 넘치는 요소 (원인 요소)
+      const parent = el.parentElement;
+      return el.getBoundingClientRect().right > window.innerWidth + 1 &&
+        parent && parent.getBoundingClientRect().right <= window.innerWidth + 1;
+    })
+    : [];
+
+  const layout = [
+    {
+      weight: 2,
+      passed: headers.length > 0,
+      issue: '헤더 영역(<header> 또는 role="banner")이 없습니다',
+      expected: '<header> 또는 role="banner" 1개',
+      measured: 0,
+      remediation: '사이트 로고와 주 메뉴를 <header> 요소로 감싸세요.',
+      pass: `헤더 영역 확인: ${describe(headers[0])}`
+    },
+    {
+      weight: 3,
+      passed: mains.length === 1,
+      issue: mains.length === 0
+        ? '본문 영역(<main> 또는 role="main")이 없습니다'
+        : `본문 영역(main)이 ${mains.length}개 있습니다: ${list(mains)}`,
+      expected: '<main> 1개',
+      measured: mains.length,
+      elements: mains,
+      remediation: '페이지 고유 콘텐츠를 하나의 <main> 요소로 감싸고 중복된 main을 제거하세요.',
+      pass: `본문 영역 확인: ${describe(mains[0])}`
+    },
+    {
+      weight: 2,
+      passed: footers.length > 0,
+      issue: '푸터 영역(<footer> 또는 role="contentinfo")이 없습니다',
+      expected: '<footer> 또는 role="contentinfo" 1개',
+      measured: 0,
+      remediation: '기관 정보/저작권/관련 사이트 링크를 <footer> 요소로 감싸세요.',
+      pass: `푸터 영역 확인: ${describe(footers[0])}`
+    },
+    {
+      weight: 2,
+      passed: overflowWidth <= 1,
+      issue: `가로 스크롤 발생: 문서 너비가 화면보다 ${overflowWidth}px 넓습니다`,
+      expected: `문서 너비 ≤ ${window.innerWidth}px`,
+      measured: `${document.documentElement.scrollWidth}px`,
+      elements: overflowing.map(el => ({ el, measured: `right ${Math.round(el.getBoundingClientRect().right)}px` })),
+      remediation: '고정 너비(px) 대신 max-width:100%와 유연한 그리드를 사용해 화면 밖으로 넘치는 요소를 없애세요.',
+      pass: '가로 스크롤 없음'
+    }
+  ];
+
+  // ─── 네비게이션 ───
+  const navs = query('nav, [role="navigation"]');
+  const skipLinks = query('a[href^="#"]').slice(0, 5).filter(a => {
+    const targetId = fragmentId(a.getAttribute('href'));
+    return targetId && document.getElementById(targetId) &&
+      /건너뛰기|바로가기|본문|skip/i.test(a.textContent);
+  });
+  const gnb = query('header nav, header [role="navigation"], [id*="gnb" i], [class*="gnb" i]');
+  const breadcrumbs = query(
+    'nav[aria-label*="breadcrumb" i], nav[aria-label*="경로"], nav[aria-label*="위치"], ' +
+    '[class*="breadcrumb" i], [id*="breadcrumb" i], [class*="location" i] ol'
+  );
+  const unlabeledNavs = navs.filter(n =>
+    !n.getAttribute('aria-label') && !n.getAttribute('aria-labelledby')
+  );
+  const isSubPage = location.pathname.replace(/\/(index\.[a-z]+)?$/i, '') !== '';
+
+  const navigation = [
+    {
+      weight: 3,
+      passed: skipLinks.length > 0,
+      issue: '본문 바로가기(건너뛰기) 링크가 없거나 대상 요소를 가리키지 않습니다',
+      expected: '페이지 첫 링크로 본문(main)을 가리키는 건너뛰기 링크',
+      elements: query('a[href]').slice(0, 1),
+      remediation: '<body> 바로 다음에 <a href="#main">본문 바로가기</a>를 두고 본문 요소에 id="main"을 지정하세요.',
+      pass: `건너뛰기 링크 확인: ${describe(skipLinks[0])} → ${skipLinks[0]?.getAttribute('href')}`
+    },
+    {
+      weight: 2,
+      passed: navs.length > 0,
+      issue: '내비게이션 랜드마크(<nav> 또는 role="navigation")가 없습니다',
+      expected: '<nav> 1개 이상',
+      measured: 0,
+      remediation: '주 메뉴와 보조 메뉴를 <nav> 요소로 감싸세요.',
+      pass: `내비게이션 ${navs.length}개 확인`
+    },
+    {
+      weight: 2,
+      passed: gnb.length > 0,
+      issue: '헤더 내 주 메뉴(GNB)를 찾을 수 없습니다',
+      expected: '<header> 안의 <nav> 주 메뉴',
+      elements: headers.slice(0, 1),
+      remediation: '헤더 영역 안에 주 메뉴를 <nav aria-label="주 메뉴">로 제공하세요.',
+      pass: `주 메뉴(GNB) 확인: ${describe(gnb[0])}`
+    },
+    {
+      weight: 1,
+      applicable: isSubPage,
+      passed: breadcrumbs.length > 0,
+      issue: `하위 페이지(${location.pathname})에 브레드크럼(현재 위치)이 없습니다`,
+      expected: '<nav aria-label="현재 위치"> 브레드크럼',
+      measured: location.pathname,
+      remediation: '본문 상단에 <nav aria-label="현재 위치"><ol>…</ol></nav> 형태의 브레드크럼을 제공하세요.',
+      pass: `브레드크럼 확인: ${describe(breadcrumbs[0])}`
+    },
+    {
+      weight: 1,
+      applicable: navs.length > 1,
+      passed: unlabeledNavs.length === 0,
+      issue: `내비게이션이 여러 개인데 aria-label로 구분되지 않습니다: ${list(unlabeledNavs)}`,
+      expected: '각 <nav>에 고유한 aria-label',
+      elements: unlabeledNavs,
+      remediation: '각 <nav>에 aria-label="주 메뉴", "하위 메뉴"처럼 서로 다른 이름을 지정하세요.',
+      pass: '복수 내비게이션 레이블 구분됨'
+    }
+  ];
+
+  // ─── 정보구조 ───
+  const h1s = query('h1');
+  const headings = query('h1, h2, h3, h4, h5, h6').filter(isVisible);
+  const skippedHeadings = [];
+  headings.reduce((prevLevel, h) => {
+    const level = Number(h.tagName[1]);
+    if (prevLevel && level > prevLevel + 1) {
+      skippedHeadings.push({ el: h, measured: `h${prevLevel} → h${level}` });
+    }
+    return level;
+  }, 0);
+  const lang = document.documentElement.getAttribute('lang');
+
+  const informationArchitecture = [
+    {
+      weight: 3,
+      passed: h1s.length === 1,
+      issue: h1s.length === 0
+        ? '페이지 제목(h1)이 없습니다'
+        : `h1이 ${h1s.length}개 있습니다: ${list(h1s)}`,
+      expected: 'h1 1개',
+      measured: h1s.length,
+      elements: h1s,
+      remediation: '페이지 주제를 나타내는 h1을 하나만 두고 나머지는 h2 이하로 조정하세요.',
+      pass: `h1 확인: "${h1s[0]?.textContent.trim().slice(0, 40)}"`
+    },
+    {
+      weight: 2,
+      passed: skippedHeadings.length === 0,
+      issue: `제목 수준을 건너뜁니다: ${skippedHeadings.slice(0, 5).map(s => `${describe(s.el)} (${s.measured})`).join(', ')}`,
+      expected: '제목 수준을 한 단계씩 증가',
+      elements: skippedHeadings,
+      remediation: '제목 수준을 건너뛰지 않도록 h2 다음에는 h3을 사용하세요. 크기 조절은 CSS로 하세요.',
+      pass: `제목 계층 순서 준수 (${headings.length}개)`
+    },
+    {
+      weight: 2,
+      passed: document.title.trim().length > 0,
+      issue: '문서 제목(<title>)이 비어 있습니다',
+      expected: '"페이지명 | 기관명" 형식의 <title>',
+      measured: document.title,
+      remediation: '<title>에 현재 페이지명과 기관명을 함께 제공하세요.',
+      pass: `문서 제목: "${document.title.trim().slice(0, 60)}"`
+    },
+    {
+      weight: 1,
+      passed: Boolean(lang),
+      issue: '<html> 요소에 lang 속성이 없습니다',
+      expected: '<html lang="ko">',
+      measured: lang,
+      elements: [document.documentElement],
+      remediation: '<html lang="ko">로 주 언어를 지정하세요.',
+      pass: `문서 언어: ${lang}`
+    }
+  ];
+
+  // ─── 인터랙션 ───
+  const focusables = query(
+    'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])'
+  ).filter(el => isVisible(el) && !el.disabled).slice(0, 20);
+
+  const noFocusIndicator = [];
+  const activeBefore = document.activeElement;
+  focusables.forEach(el => {
+    const before = window.getComputedStyle(el);
+    const snapshot = {
+      outline: `${before.outlineStyle} ${before.outlineWidth} ${before.outlineColor}`,
+      boxShadow: before.boxShadow,
+      border: before.borderColor,
+      background: before.backgroundColor
+    };
+    el.focus({ preventScroll: true });
+    if (document.activeElement !== el) return;
+    const after = window.getComputedStyle(el);
+    const changed =
+      (after.outlineStyle !== 'none' && parseFloat(after.outlineWidth) > 0 &&
+        `${after.outlineStyle} ${after.outlineWidth} ${after.outlineColor}` !== snapshot.outline) ||
+      after.boxShadow !== snapshot.boxShadow ||
+      after.borderColor !== snapshot.border ||
+      after.backgroundColor !== snapshot.background;
+    if (!changed) noFocusIndicator.push({ el, measured: `outline: ${after.outlineStyle} ${after.outlineWidth}` });
+    el.blur();
+  });
+  if (activeBefore && activeBefore.focus) activeBefore.focus({ preventScroll: true });
+
+  const fakeButtons = query('[role="button"]:not(button):not(a[href]):not(input)')
+    .filter(el => !el.hasAttribute('tabindex'));
+
+  const interaction = [
+    {
+      weight: 3,
+      applicable: focusables.length > 0,
+      passed: noFocusIndicator.length === 0,
+      issue: `포커스 표시가 보이지 않는 요소 ${noFocusIndicator.length}개: ${noFocusIndicator.slice(0, 5).map(f => describe(f.el)).join(', ')}`,
+      expected: '포커스 시 outline/box-shadow/테두리 변화',
+      elements: noFocusIndicator,
+      remediation: ':focus-visible에 2px 이상의 outline 또는 box-shadow를 지정하고 outline: none을 제거하세요.',
+      pass: `포커스 표시 확인 (${focusables.length}개 요소 검사)`
+    },
+    {
+      weight: 1,
+      applicable: stylesReadable,
+      passed: hasRule(/:hover/),
+      issue: '마우스 오버(:hover) 상태 스타일이 정의되어 있지 않습니다',
+      expected: ':hover 스타일 규칙',
+      remediation: '링크와 버튼에 :hover 상태 스타일(색상/배경/밑줄 변화)을 정의하세요.',
+      pass: ':hover 상태 스타일 정의됨'
+    },
+    {
+      weight: 2,
+      passed: fakeButtons.length === 0,
+      issue: `role="button" 요소가 키보드로 접근할 수 없습니다(tabindex 없음): ${list(fakeButtons)}`,
+      expected: 'tabindex="0"과 Enter/Space 키 처리',
+      elements: fakeButtons,
+      remediation: '가능하면 <button>을 사용하고, 그렇지 않으면 tabindex="0"과 Enter/Space 키 이벤트를 추가하세요.',
+      pass: '사용자 정의 버튼 키보드 접근 가능'
+    }
+  ];
+
+  // ─── 상태관리 ───
+  const disabledEls = query('[disabled], [aria-disabled="true"]');
+  const toggles = query('button[aria-controls], [role="button"][aria-controls]');
+  const togglesWithoutExpanded = toggles.filter(el => !el.hasAttribute('aria-expanded'));
+  const tabs = query('[role="tab"]');
+  const tabsWithoutSelected = tabs.filter(el => !el.hasAttribute('aria-selected'));
+  const currentMarkers = query('[aria-current]');
+
+  const stateManagement = [
+    {
+      weight: 2,
+      applicable: disabledEls.length > 0 && stylesReadable,
+      passed: hasRule(/:disabled|\[disabled\]|\[aria-disabled/),
+      issue: `비활성 요소 ${disabledEls.length}개가 있으나 비활성 상태 스타일(:disabled)이 정의되어 있지 않습니다: ${list(disabledEls)}`,
+      expected: ':disabled 또는 [aria-disabled] 스타일 규칙',
+      elements: disabledEls,
+      remediation: ':disabled, [aria-disabled="true"]에 KRDS 비활성 색상 토큰을 적용해 상태를 구분하세요.',
+      pass: '비활성 상태 스타일 정의됨'
+    },
+    {
+      weight: 2,
+      applicable: toggles.length > 0,
+      passed: togglesWithoutExpanded.length === 0,
+      issue: `펼침/접힘 버튼에 aria-expanded가 없습니다: ${list(togglesWithoutExpanded)}`,
+      expected: 'aria-expanded="true|false"',
+      elements: togglesWithoutExpanded,
+      remediation: '메뉴/아코디언을 여닫는 버튼에 aria-expanded를 지정하고 상태에 맞춰 갱신하세요.',
+      pass: `펼침/접힘 상태 표시 (${toggles.length}개)`
+    },
+    {
+      weight: 2,
+      applicable: tabs.length > 0,
+      passed: tabsWithoutSelected.length === 0,
+      issue: `탭에 aria-selected가 없습니다: ${list(tabsWithoutSelected)}`,
+      expected: 'aria-selected="true|false"',
+      elements: tabsWithoutSelected,
+      remediation: 'role="tab" 요소에 aria-selected를 지정하고 선택된 탭만 true로 설정하세요.',
+      pass: `탭 선택 상태 표시 (${tabs.length}개)`
+    },
+    {
+      weight: 1,
+      applicable: navs.length > 0,
+      passed: currentMarkers.length > 0,
+      issue: '내비게이션에 현재 위치 표시(aria-current)가 없습니다',
+      expected: '현재 메뉴 링크에 aria-current="page"',
+      elements: navs.slice(0, 3),
+      remediation: '현재 페이지에 해당하는 메뉴 링크에 aria-current="page"를 지정하세요.',
+      pass: `현재 위치 표시: ${describe(currentMarkers[0])}`
+    }
+  ];
+
+  // ─── 피드백 ───
+  const liveRegions = query('[aria-live]:not([aria-live="off"]), [role="status"], [role="alert"], [role="log"], output');
+  const forms = query('form');
+  const requiredFields = query('input:not([type="hidden"]), select, textarea').filter(isRequiredField);
+  const unmarkedRequired = requiredFields.filter(el => !hasRequiredMarker(el));
+  const invalidFields = query('[aria-invalid="true"]');
+  const invalidWithoutMessage = invalidFields.filter(el =>
+    !el.getAttribute('aria-describedby') && !el.getAttribute('aria-errormessage')
+  );
+
+  const feedback = [
+    {
+      weight: 3,
+      applicable: forms.length > 0,
+      passed: liveRegions.length > 0,
+      issue: `입력 양식 ${forms.length}개가 있으나 결과를 알리는 aria-live/role="status" 영역이 없습니다`,
+      expected: 'aria-live 또는 role="status"/"alert" 영역',
+      measured: 0,
+      elements: forms,
+      remediation: '제출 결과와 오류 요약을 표시할 role="status"(또는 role="alert") 영역을 미리 배치하세요.',
+      pass: `피드백 영역 확인: ${describe(liveRegions[0])}`
+    },
+    {
+      weight: 1,
+      applicable: requiredFields.length > 0,
+      passed: unmarkedRequired.length === 0,
+      issue: `필수 입력 항목의 레이블에 필수 표시가 없습니다: ${list(unmarkedRequired)}`,
+      expected: '필수 항목 레이블에 "(필수)" 또는 * 표시',
+      elements: unmarkedRequired,
+      remediation: '필수 항목의 레이블에 "(필수)" 또는 * 표시를 보이게 추가하고, 기호를 쓰면 양식 상단에 의미를 안내하세요.',
+      pass: `필수 입력 표시 ${requiredFields.length}개`
+    },
+    {
+      weight: 2,
+      applicable: invalidFields.length > 0,
+      passed: invalidWithoutMessage.length === 0,
+      issue: `오류 상태 필드에 오류 메시지가 연결되지 않았습니다(aria-describedby): ${list(invalidWithoutMessage)}`,
+      expected: 'aria-describedby로 오류 메시지 연결',
+      elements: invalidWithoutMessage,
+      remediation: '오류 메시지 요소에 id를 부여하고 입력 필드의 aria-describedby로 연결하세요.',
+      pass: '오류 메시지 연결됨'
+    }
+  ];
+
+  return {
+    layout: finalizeChecks(layout),
+    navigation: finalizeChecks(navigation),
+    informationArchitecture: finalizeChecks(informationArchitecture),
+    interaction: finalizeChecks(interaction),
+    stateManagement: finalizeChecks(stateManagement),
+    feedback: finalizeChecks(feedback)
+  };
+}
+
+/**
+ * 서비스 패턴 분석
+ */
+async function analyzeServicePatterns(page) {
+  const patterns = [
+    { name: '로그인', englishName: 'Login', key: 'login' },
+    { name: '검색', englishName: 'Search', key: 'search' },
+    { name: '목록/상세', englishName: 'List/Detail', key: 'listDetail' },
+    { name: '등록/수정', englishName: 'Create/Edit', key: 'createEdit' },
+    { name: '알림', englishName: 'Notification', key: 'notification' }
+  ];
+
+  let detections = {};
+  let analysisError = null;
+  try {
+    await injectPageHelpers(page);
+    detections = await page.evaluate(collectServicePatternChecks);
+  } catch (error) {
+    console.warn('⚠️ 서비스 패턴 분석 실패:', error.message);
+    analysisError = error.message;
+  }
+
+  return patterns.map(pattern => {
+    const detection = detections[pattern.key] || { detected: false, instances: 0, checks: [] };
+    const rule = findRule('servicePatterns', pattern.name);
+    const base = {
+      name: pattern.name,
+      englishName: pattern.englishName,
+      ruleId: rule.id,
+      krdsUrl: rule.url
+    };
+
+    // 측정 실패는 패턴 없음(해당없음)과 구분해 점수 없이 보고
+    if (analysisError) {
+      return {
+        ...base,
+        applicable: false,
+        status: '분석 실패',
+        score: null,
+        error: analysisError,
+        instances: 0,
+        issues: [],
+        passed: []
+      };
+    }
+
+    // 페이지에 해당 패턴이 없으면 점수를 매기지 않음
+    if (!detection.detected) {
+      return {
+        ...base,
+        applicable: false,
+        status: '해당없음',
+        score: null,
+        instances: 0,
+        issues: [],
+        passed: []
+      };
+    }
+
+    const { applicable, score, issues, passed } = scoreChecks(detection.checks, rule);
+
+    return {
+      ...base,
+      applicable: applicable !== false,
+      status: applicable === false ? '해당없음' : (score >= 80 ? '준수' : '미준수'),
+      score,
+      instances: detection.instances,
+      issues,
+      passed
+    };
+  });
+}
+
+/**
+ * 서비스 패턴 탐지 및 검사 (브라우저 컨텍스트에서 실행)
+ * 로그인/검색/목록·상세/등록·수정/알림 패턴별 { detected, instances, checks } 반환
+ */
+function collectServicePatternChecks() {
+  const { query, describe, list, accessibleName, isRequiredField, hasRequiredMarker, finalizeChecks } = window.__viewchecker;
+
+  const fieldsOf = (root) => query(
+    'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea',
+    root
+  );
+
+  const submitOf = (form) => query(
+    'button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]',
+    form
+  );
+
+  // ─── 로그인 ───
+  const loginForms = Array.from(new Set(
+    query('input[type="password"]').map(input => input.form || input.closest('section, div') || document.body)
+  ));
+  const loginFields = loginForms.flatMap(fieldsOf);
+  const passwordFields = loginForms.flatMap(f => query('input[type="password"]', f));
+  const idFields = loginForms.flatMap(f =>
+    query('input[type="text"], input[type="email"], input:not([type])', f)
+  );
+  const unlabeledLogin = loginFields.filter(el => !accessibleName(el));
+  const placeholderOnlyLogin = loginFields.filter(el =>
+    el.placeholder && !(el.labels && el.labels.length) &&
+    !el.getAttribute('aria-label') && !el.getAttribute('aria-labelledby')
+  );
+  const missingAutocomplete = [
+    ...idFields.filter(el => !/username|email/.test(el.getAttribute('autocomplete') || '')),
+    ...passwordFields.filter(el => !/current-password|new-password/.test(el.getAttribute('autocomplete') || ''))
+  ];
+  const loginWithoutSubmit = loginForms.filter(f => submitOf(f).length === 0);
+  const recoveryLinks = query('a, button').filter(el =>
+    /(아이디|비밀번호|ID|PW).{0,4}찾기|비밀번호.{0,4}재설정|forgot/i.test(el.textContent || '')
+  );
+
+  const login = {
+    detected: loginForms.length > 0,
+    instances: loginForms.length,
+    checks: finalizeChecks([
+      {
+        weight: 3,
+        passed: unlabeledLogin.length === 0,
+        issue: `로그인 입력 필드에 레이블이 없습니다: ${list(unlabeledLogin)}`,
+        expected: '<label for> 또는 aria-label로 연결된 레이블',
+        elements: unlabeledLogin,
+        remediation: '아이디/비밀번호 입력 필드마다 화면에 보이는 <label>을 제공하고 for/id로 연결하세요.',
+        pass: '로그인 입력 필드 레이블 제공'
+      },
+      {
+        weight: 1,
+        passed: placeholderOnlyLogin.length === 0,
+        issue: `placeholder만으로 레이블을 대신하고 있습니다: ${list(placeholderOnlyLogin)}`,
+        expected: 'placeholder와 별도로 표시되는 레이블',
+        elements: placeholderOnlyLogin.map(el => ({ el, measured: `placeholder="${el.placeholder}"` })),
+        remediation: 'placeholder는 입력 시 사라지므로 레이블을 입력 필드 위에 별도로 표시하세요.',
+        pass: 'placeholder를 레이블로 대체하지 않음'
+      },
+      {
+        weight: 2,
+        passed: missingAutocomplete.length === 0,
+        issue: `로그인 필드에 autocomplete(username/current-password)가 지정되지 않았습니다: ${list(missingAutocomplete)}`,
+        expected: 'autocomplete="username" / "current-password"',
+        elements: missingAutocomplete.map(el => ({ el, measured: `autocomplete="${el.getAttribute('autocomplete') || ''}"` })),
+        remediation: '아이디 필드에 autocomplete="username", 비밀번호 필드에 autocomplete="current-password"를 지정하세요.',
+        pass: '자동완성 속성 지정됨'
+      },
+      {
+        weight: 2,
+        passed: loginWithoutSubmit.length === 0,
+        issue: `로그인 제출 버튼이 없습니다: ${list(loginWithoutSubmit)}`,
+        expected: '<button type="submit">로그인</button>',
+        elements: loginWithoutSubmit,
+        remediation: '로그인 양식 안에 type="submit" 버튼을 두어 Enter 키로도 제출되게 하세요.',
+        pass: '로그인 제출 버튼 제공'
+      },
+      {
+        weight: 1,
+        passed: recoveryLinks.length > 0,
+        issue: '아이디/비밀번호 찾기 링크가 없습니다',
+        expected: '아이디 찾기/비밀번호 재설정 링크',
+        elements: loginForms,
+        remediation: '로그인 버튼 아래에 아이디 찾기, 비밀번호 재설정 링크를 제공하세요.',
+        pass: `계정 찾기 링크 확인: ${describe(recoveryLinks[0])}`
+      }
+    ])
+  };
+
+  // ─── 검색 ───
+  const searchInputs = query(
+    'input[type="search"], [role="search"] input, input[name="q"], input[name*="query" i], ' +
+    'input[name*="keyword" i], input[name*="search" i], input[id*="search" i]'
+  ).filter(el => el.type !== 'hidden');
+  const searchRoots = Array.from(new Set(
+    searchInputs.map(input => input.closest('[role="search"], search, form') || input.parentElement)
+  ));
+  const searchWithoutLandmark = searchRoots.filter(root =>
+    !root.matches('[role="search"], search') && !root.closest('[role="search"], search')
+  );
+  const unlabeledSearch = searchInputs.filter(el => !accessibleName(el));
+  const searchWithoutButton = searchRoots.filter(root => {
+    const buttons = query('button, input[type="submit"], input[type="image"]', root);
+    return buttons.length === 0 || buttons.every(btn => !accessibleName(btn));
+  });
+  const nonSearchType = searchInputs.filter(el => el.type !== 'search');
+
+  const search = {
+    detected: searchInputs.length > 0,
+    instances: searchRoots.length,
+    checks: finalizeChecks([
+      {
+        weight: 2,
+        passed: searchWithoutLandmark.length === 0,
+        issue: `검색 영역에 role="search"가 지정되지 않았습니다: ${list(searchWithoutLandmark)}`,
+        expected: '<form role="search"> 또는 <search>',
+        elements: searchWithoutLandmark,
+        remediation: '검색 양식에 role="search"를 지정해 검색 랜드마크로 제공하세요.',
+        pass: '검색 랜드마크(role="search") 지정'
+      },
+      {
+        weight: 3,
+        passed: unlabeledSearch.length === 0,
+        issue: `검색어 입력 필드에 레이블이 없습니다: ${list(unlabeledSearch)}`,
+        expected: '<label> 또는 aria-label="검색어"',
+        elements: unlabeledSearch,
+        remediation: '검색어 입력 필드에 <label>(숨김 처리 가능) 또는 aria-label="검색어 입력"을 제공하세요.',
+        pass: '검색어 입력 필드 레이블 제공'
+      },
+      {
+        weight: 2,
+        passed: searchWithoutButton.length === 0,
+        issue: `검색 실행 버튼이 없거나 버튼 이름이 없습니다: ${list(searchWithoutButton)}`,
+        expected: '이름이 있는 검색 버튼',
+        elements: searchWithoutButton,
+        remediation: '검색 버튼을 제공하고 아이콘만 있는 경우 aria-label="검색"을 지정하세요.',
+        pass: '검색 버튼 제공'
+      },
+      {
+        weight: 1,
+        passed: nonSearchType.length === 0,
+        issue: `검색어 입력 필드가 type="search"가 아닙니다: ${list(nonSearchType)}`,
+        expected: 'type="search"',
+        elements: nonSearchType.map(el => ({ el, measured: `type="${el.type}"` })),
+        remediation: '검색어 입력 필드에 type="search"를 사용하세요.',
+        pass: 'type="search" 사용'
+      }
+    ])
+  };
+
+  // ─── 목록/상세 ───
+  const paginations = query(
+    '[class*="pagination" i], [class*="paging" i], [id*="paging" i], ' +
+    'nav[aria-label*="페이지"], nav[aria-label*="pagination" i]'
+  ).filter(el => !el.parentElement?.closest('[class*="pagination" i], [class*="paging" i]'));
+  const dataTables = query('table').filter(t =>
+    t.getAttribute('role') !== 'presentation' && t.rows.length > 1 && query('th', t).length > 0
+  );
+  const paginationWithoutNav = paginations.filter(p =>
+    !p.matches('nav, [role="navigation"]') && !p.closest('nav, [role="navigation"]')
+  );
+  const paginationWithoutCurrent = paginations.filter(p => !p.querySelector('[aria-current]'));
+  const unnamedPageLinks = paginations.flatMap(p => query('a, button', p)).filter(el => !accessibleName(el));
+  const tablesWithoutCaption = dataTables.filter(t => !t.caption?.textContent.trim());
+  const tablesWithoutScope = dataTables.filter(t =>
+    query('th', t).some(th => !th.hasAttribute('scope') && !th.id)
+  );
+  const bodyText = document.body?.innerText || '';
+  const hasTotalCount = /(총|전체)\s*[\d,]+\s*(건|개|개의)/.test(bodyText);
+
+  const listDetail = {
+    detected: paginations.length > 0 || dataTables.length > 0,
+    instances: paginations.length + dataTables.length,
+    checks: finalizeChecks([
+      {
+        weight: 2,
+        applicable: paginations.length > 0,
+        passed: paginationWithoutNav.length === 0,
+        issue: `페이지 내비게이션이 <nav> 랜드마크로 제공되지 않습니다: ${list(paginationWithoutNav)}`,
+        expected: '<nav aria-label="페이지">',
+        elements: paginationWithoutNav,
+        remediation: '페이지 번호 목록을 <nav aria-label="페이지 이동">으로 감싸세요.',
+        pass: '페이지 내비게이션 랜드마크 제공'
+      },
+      {
+        weight: 2,
+        applicable: paginations.length > 0,
+        passed: paginationWithoutCurrent.length === 0,
+        issue: `현재 페이지 번호에 aria-current가 없습니다: ${list(paginationWithoutCurrent)}`,
+        expected: '현재 페이지에 aria-current="page"',
+        elements: paginationWithoutCurrent,
+        remediation: '현재 페이지 번호 요소에 aria-current="page"를 지정하세요.',
+        pass: '현재 페이지 표시(aria-current)'
+      },
+      {
+        weight: 2,
+        applicable: paginations.length > 0,
+        passed: unnamedPageLinks.length === 0,
+        issue: `이름이 없는 이전/다음 페이지 링크 ${unnamedPageLinks.length}개: ${list(unnamedPageLinks)}`,
+        expected: '"이전 페이지", "다음 페이지" 등 이름',
+        elements: unnamedPageLinks,
+        remediation: '아이콘만 있는 이전/다음/처음/마지막 링크에 aria-label을 지정하세요.',
+        pass: '페이지 링크 이름 제공'
+      },
+      {
+        weight: 2,
+        applicable: dataTables.length > 0,
+        passed: tablesWithoutCaption.length === 0,
+        issue: `목록 표에 caption이 없습니다: ${list(tablesWithoutCaption)}`,
+        expected: '<caption>표 제목과 요약</caption>',
+        elements: tablesWithoutCaption,
+        remediation: '표 첫 자식으로 <caption>을 두어 표 제목(과 구성 요약)을 제공하세요.',
+        pass: '표 제목(caption) 제공'
+      },
+      {
+        weight: 2,
+        applicable: dataTables.length > 0,
+        passed: tablesWithoutScope.length === 0,
+        issue: `표 제목 셀(th)에 scope가 지정되지 않았습니다: ${list(tablesWithoutScope)}`,
+        expected: 'th scope="col|row"',
+        elements: tablesWithoutScope,
+        remediation: '열 제목에는 scope="col", 행 제목에는 scope="row"를 지정하세요.',
+        pass: 'th scope 지정됨'
+      },
+      {
+        weight: 1,
+        passed: hasTotalCount,
+        issue: '목록의 전체 건수(예: "총 120건")가 표시되지 않습니다',
+        expected: '"총 N건" 형식의 전체 건수',
+        elements: [...paginations, ...dataTables].slice(0, 1),
+        remediation: '목록 상단에 전체 건수와 현재 페이지 정보를 표시하세요.',
+        pass: '전체 건수 표시'
+      }
+    ])
+  };
+
+  // ─── 등록/수정 ───
+  const loginFormSet = new Set(loginForms);
+  const searchFormSet = new Set(searchRoots);
+  const entryForms = query('form').filter(form =>
+    !loginFormSet.has(form) && !searchFormSet.has(form) && fieldsOf(form).length >= 2
+  );
+  const entryFields = entryForms.flatMap(fieldsOf);
+  const unlabeledEntry = entryFields.filter(el => !accessibleName(el));
+  const requiredEntry = entryFields.filter(isRequiredField);
+  const unmarkedEntry = requiredEntry.filter(el => !hasRequiredMarker(el));
+  const ungroupedChoices = entryForms.flatMap(form => {
+    const names = {};
+    query('input[type="radio"], input[type="checkbox"]', form).forEach(el => {
+      if (!el.name) return;
+      (names[el.name] = names[el.name] || []).push(el);
+    });
+    return Object.values(names)
+      .filter(group => group.length > 1)
+      .filter(group => !group[0].closest('fieldset, [role="group"], [role="radiogroup"]'))
+      .map(group => group[0]);
+  });
+  const entryWithoutSubmit = entryForms.filter(f => submitOf(f).length === 0);
+  const personalFields = entryFields.filter(el =>
+    /name|email|tel|phone|addr|zip|birth|이름|전화|주소/i.test(`${el.name} ${el.id}`)
+  );
+  const personalWithoutAutocomplete = personalFields.filter(el =>
+    !el.getAttribute('autocomplete') || el.getAttribute('autocomplete') === 'on'
+  );
+
+  const createEdit = {
+    detected: entryForms.length > 0,
+    instances: entryForms.length,
+    checks: finalizeChecks([
+      {
+        weight: 3,
+        passed: unlabeledEntry.length === 0,
+        issue: `레이블이 없는 입력 필드 ${unlabeledEntry.length}개: ${list(unlabeledEntry)}`,
+        expected: '모든 입력 필드에 연결된 레이블',
+        elements: unlabeledEntry,
+        remediation: '각 입력 필드에 <label for="필드id">를 연결하세요.',
+        pass: `입력 필드 레이블 제공 (${entryFields.length}개)`
+      },
+      {
+        weight: 2,
+        applicable: requiredEntry.length > 0,
+        passed: unmarkedEntry.length === 0,
+        issue: `필수 입력 항목의 레이블에 필수 표시가 없습니다: ${list(unmarkedEntry)}`,
+        expected: '필수 항목 레이블에 "(필수)" 또는 * 표시',
+        elements: unmarkedEntry,
+        remediation: '필수 항목의 레이블에 "(필수)" 또는 * 표시를 보이게 추가하고, 기호를 쓰면 양식 상단에 의미를 안내하세요.',
+        pass: `필수 입력 표시 (${requiredEntry.length}개)`
+      },
+      {
+        weight: 2,
+        applicable: entryForms.some(form => query('input[type="radio"], input[type="checkbox"]', form).length > 0),
+        passed: ungroupedChoices.length === 0,
+        issue: `선택 항목 그룹이 fieldset/legend로 묶이지 않았습니다: ${ungroupedChoices.slice(0, 5).map(el => `name="${el.name}"`).join(', ')}`,
+        expected: '<fieldset><legend>그룹명</legend>…</fieldset>',
+        elements: ungroupedChoices,
+        remediation: '같은 질문에 속한 라디오/체크박스를 <fieldset>으로 묶고 <legend>로 질문을 제공하세요.',
+        pass: '선택 항목 그룹화(fieldset)'
+      },
+      {
+        weight: 1,
+        applicable: personalFields.length > 0,
+        passed: personalWithoutAutocomplete.length === 0,
+        issue: `개인정보 입력 필드에 autocomplete가 지정되지 않았습니다: ${list(personalWithoutAutocomplete)}`,
+        expected: 'autocomplete="name|email|tel|street-address|bday" 등',
+        elements: personalWithoutAutocomplete,
+        remediation: '이름/연락처/주소 필드에 HTML autocomplete 토큰을 지정하세요.',
+        pass: '개인정보 필드 autocomplete 지정'
+      },
+      {
+        weight: 2,
+        passed: entryWithoutSubmit.length === 0,
+        issue: `제출 버튼이 없는 입력 양식: ${list(entryWithoutSubmit)}`,
+        expected: '<button type="submit">',
+        elements: entryWithoutSubmit,
+        remediation: '양식 끝에 명확한 이름의 제출 버튼(예: "신청하기")을 제공하세요.',
+        pass: '제출 버튼 제공'
+      }
+    ])
+  };
+
+  // ─── 알림 ───
+  const notificationSelector =
+    '[role="alert"], [role="status"], [role="alertdialog"], [aria-live]:not([aria-live="off"]), ' +
+    '[class*="toast" i], [class*="snackbar" i], [class*="alert" i]:not([class*="alertdialog" i])';
+  const notifications = query(notificationSelector).filter(el =>
+    !el.parentElement?.closest(notificationSelector)
+  );
+  const visualOnly = notifications.filter(el =>
+    !el.matches('[role="alert"], [role="status"], [role="alertdialog"], [aria-live]') &&
+    !el.querySelector('[role="alert"], [role="status"], [aria-live]')
+  );
+  const dismissButtons = notifications.flatMap(el =>
+    query('button, [role="button"]', el).filter(btn => /close|닫기|dismiss|×|✕/i.test(
+      `${btn.className} ${btn.textContent} ${btn.getAttribute('aria-label') || ''}`
+    ))
+  );
+  const unnamedDismiss = dismissButtons.filter(btn =>
+    !btn.getAttribute('aria-label') && !/닫기|close|dismiss/i.test(btn.textContent)
+  );
+  const alertDialogs = notifications.filter(el => el.getAttribute('role') === 'alertdialog');
+  const unlabeledDialogs = alertDialogs.filter(el =>
+    !el.getAttribute('aria-label') && !el.getAttribute('aria-labelledby')
+  );
+
+  const notification = {
+    detected: notifications.length > 0,
+    instances: notifications.length,
+    checks: finalizeChecks([
+      {
+        weight: 3,
+        passed: visualOnly.length === 0,
+        issue: `알림 요소가 보조기술에 전달되지 않습니다(role/aria-live 없음): ${list(visualOnly)}`,
+        expected: 'role="status"(일반) 또는 role="alert"(긴급)',
+        elements: visualOnly,
+        remediation: '토스트/알림 컨테이너에 role="status" 또는 role="alert"를 지정해 화면낭독기가 읽도록 하세요.',
+        pass: '알림 영역 role/aria-live 지정'
+      },
+      {
+        weight: 2,
+        applicable: dismissButtons.length > 0,
+        passed: unnamedDismiss.length === 0,
+        issue: `알림 닫기 버튼에 이름이 없습니다: ${list(unnamedDismiss)}`,
+        expected: 'aria-label="알림 닫기"',
+        elements: unnamedDismiss,
+        remediation: '×/아이콘만 있는 닫기 버튼에 aria-label="알림 닫기"를 지정하세요.',
+        pass: '닫기 버튼 이름 제공'
+      },
+      {
+        weight: 2,
+        applicable: alertDialogs.length > 0,
+        passed: unlabeledDialogs.length === 0,
+        issue: `alertdialog에 제목(aria-labelledby/aria-label)이 없습니다: ${list(unlabeledDialogs)}`,
+        expected: 'aria-labelledby로 연결된 대화상자 제목',
+        elements: unlabeledDialogs,
+        remediation: '대화상자 제목 요소에 id를 부여하고 aria-labelledby로 연결하세요.',
+        pass: 'alertdialog 제목 제공'
+      }
+    ])
+  };
+
+  return { login, search, listDetail, createEdit, notification };
+}
+
+/**
+ * 디자인 스타일 → 디자인 토큰 변환
+ */
+function convertDesignStylesToTokens(designStyles) {
+  const tokens = {};
   
-  const total = items.reduce((sum, item) => sum + (item.score || 0), 0);
-  return Math.round(total / items.length);
+  designStyles.forEach(style => {
+    const key = style.category.toLowerCase();
+    tokens[key] = {
+      ruleId: style.ruleId,
+      score: style.score,
+      compliance: [],
+      issues: style.issues,
+      passed: style.score >= 80 ? ['준수'] : []
+    };
+  });
+
+  return tokens;
 }
 
 /**
  * ♿ axe-core 접근성 분석
+ * @param {Array} exceptionSelectors - 위반 요소마다 포함되는 셀렉터를 node.exceptionSelectors에 표시
+ *   (axe의 node.target은 가장 짧은 고유 셀렉터라 조상 셀렉터와 문자열로 비교할 수 없음)
+ * @returns {Object} { axeResults, error } (실패 시 빈 결과 + error)
  */
-async function runAxeAnalysis(page) {
+async function runAxeAnalysis(page, exceptionSelectors = []) {
   try {
     // axe-core 스크립트 주입
     await page.addScriptTag({ content: axeCoreSource });
     
     // axe.run() 실행
-    const axeResults = await page.evaluate(async () => {
-      // axe 설정 (한국어 + WCAG 2.1 AA)
+    const axeResults = await page.evaluate(async (selectors) => {
+      // axe 설정 (WCAG 2.2 AA, KWCAG 2.2 대응)
       const options = {
         runOnly: {
           type: 'tag',
-          values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice']
+          values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice']
         },
         resultTypes: ['violations', 'passes', 'incomplete']
       };
       
       const results = await window.axe.run(document, options);
+
+      // 셀렉터 예외 판정 (iframe 안 요소는 문자열 비교로 처리)
+      const markExceptionSelectors = (node) => {
+        if (selectors.length === 0 || node.target.length !== 1) return;
+        let el = null;
+        try {
+          el = document.querySelector(node.target[0]);
+        } catch (error) {
+          return;
+        }
+        const matched = selectors.filter(selector => {
+          try {
+            return Boolean(el && el.closest(selector));
+          } catch (error) {
+            return false;
+          }
+        });
+        if (matched.length > 0) node.exceptionSelectors = matched;
+      };
+      (results.violations || []).forEach(rule => rule.nodes.forEach(markExceptionSelectors));
       
       return {
         violations: results.violations || [],
@@ -441,17 +2892,14 @@ async function runAxeAnalysis(page) {
         inapplicable: results.inapplicable || [],
         timestamp: results.timestamp
       };
-    });
+    }, exceptionSelectors);
     
     console.log('✅ axe-core 분석 완료:', {
       violations: axeResults.violations.length,
       passes: axeResults.passes.length
     });
     
-    // KWCAG 보고서 생성
-    const kwcagReport = generateKWCAGReport(axeResults);
-    
-    return { axeResults, kwcagReport };
+    return { axeResults };
     
   } catch (error) {
     console.error('⚠️ axe-core 분석 실패:', error.message);
@@ -465,98 +2913,47 @@ async function runAxeAnalysis(page) {
         inapplicable: [],
         timestamp: new Date().toISOString()
       },
-      kwcagReport: {
-        overallCompliance: 0,
-        wcagLevel: 'None',
-        violations: 0,
-        passes: 0,
-        byCategory: {
-          perceivable: 0,
-          operable: 0,
-          understandable: 0,
-          robust: 0
-        }
-      }
+      error: error.message
     };
   }
 }
 
 /**
- * ♿ KWCAG 보고서 생성 (axe-core 결과 변환)
+ * 풀 브라우저의 새 페이지에서 작업 실행 (보고서 PDF 출력 등)
+ * @param {Function} fn - async (page) => result
  */
-function generateKWCAGReport(axeResults) {
-  const violations = axeResults.violations || [];
-  const passes = axeResults.passes || [];
-  const totalTests = violations.length + passes.length;
-  
-  // 전체 준수율
-  const overallCompliance = totalTests > 0 
-    ? Math.round((passes.length / totalTests) * 100) 
-    : 0;
-  
-  // WCAG Level 판정
-  const criticalViolations = violations.filter(v => 
-    v.impact === 'critical' || v.impact === 'serious'
-  );
-  const wcagLevel = violations.length === 0 ? 'AA' : 
-                    criticalViolations.length === 0 ? 'A' : 'None';
-  
-  // 카테고리별 분류 (WCAG 4대 원칙)
-  const categorizeRule = (id) => {
-    if (/color|contrast|image|text|alt|audio|video|caption/.test(id)) return 'perceivable';
-    if (/keyboard|focus|navigation|timing|seizure|pointer/.test(id)) return 'operable';
-    if (/label|lang|heading|error|input|readable/.test(id)) return 'understandable';
-    if (/valid|parse|name|role|value|aria/.test(id)) return 'robust';
-    return 'perceivable';
-  };
-  
-  const categories = {
-    perceivable: { violations: 0, passes: 0 },
-    operable: { violations: 0, passes: 0 },
-    understandable: { violations: 0, passes: 0 },
-    robust: { violations: 0, passes: 0 }
-  };
-  
-  violations.forEach(v => {
-    const cat = categorizeRule(v.id);
-    categories[cat].violations++;
-  });
-  
-  passes.forEach(p => {
-    const cat = categorizeRule(p.id);
-    categories[cat].passes++;
-  });
-  
-  // 카테고리별 점수 계산
-  const byCategory = {};
-  Object.entries(categories).forEach(([key, data]) => {
-    const total = data.violations + data.passes;
-    byCategory[key] = total > 0 
-      ? Math.round((data.passes / total) * 100) 
-      : 100;
-  });
-  
-  return {
-    overallCompliance,
-    wcagLevel,
-    violations: violations.length,
-    passes: passes.length,
-    byCategory,
-    levelA: {
-      total: totalTests,
-      passed: passes.length,
-      failed: violations.length,
-      compliance: overallCompliance
-    },
-    levelAA: {
-      total: violations.filter(v => v.tags?.includes('wcag2aa')).length,
-      passed: passes.filter(p => p.tags?.includes('wcag2aa')).length,
-      failed: violations.filter(v => v.tags?.includes('wcag2aa')).length,
-      compliance: 0
-    }
-  };
+async function withBrowserPage(fn) {
+  const lease = await browserPool.acquire();
+  let context;
+  try {
+    context = await lease.browser.newContext();
+    const page = await context.newPage();
+    return await fn(page);
+  } finally {
+    if (context) await context.close().catch(() => {});
+    await lease.release({ crashed: !lease.browser.isConnected() });
+  }
+}
+
+/**
+ * 브라우저 풀 통계 (/health)
+ */
+function getBrowserPoolStats() {
+  return browserPool.stats();
+}
+
+/**
+ * 브라우저 풀 종료 (서버 종료 시)
+ */
+async function closeBrowserPool() {
+  await browserPool.close();
 }
 
 module.exports = {
-  analyzeWebsite
+  ANALYSIS_STAGES,
+  VIEWPORT_SIZES,
+  analyzeWebsite,
+  withBrowserPage,
+  getBrowserPoolStats,
+  closeBrowserPool
 };
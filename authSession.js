@@ -0,0 +1,171 @@
+/**
+ * 인증이 필요한 페이지 분석 (쿠키 / HTTP 헤더 / 기본 인증 / 로그인 스크립트)
+ * 인증 값은 로그와 분석 결과에 남기지 않음 (개수와 방식만 기록)
+ */
+
+const { VALUE_ACTIONS, normalizeActions, runActions } = require('./pageActions');
+
+// 로그인 스크립트 최대 단계 수
+const MAX_LOGIN_STEPS = 30;
+
+const REDACTED = '***';
+
+// 이보다 짧은 값은 가리지 않음 (한두 글자 값을 가리면 메시지 전체가 망가짐)
+const MIN_SECRET_LENGTH = 4;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 요청 본문의 auth 검증 + 정규화
+ * @param {Object} auth - { cookies, headers, httpCredentials, loginScript }
+ * @param {String} targetUrl - 분석 URL (쿠키 기본 도메인, 헤더/기본 인증 적용 출처)
+ * @returns {Object|null} 정규화된 인증 설정 (auth 없으면 null)
+ * @throws {Error} 잘못된 인증 설정 (400)
+ */
+function normalizeAuth(auth, targetUrl) {
+  if (auth === undefined || auth === null) return null;
+  if (!isPlainObject(auth)) throw new Error('auth must be an object');
+
+  let origin;
+  try {
+    origin = new URL(targetUrl).origin;
+  } catch (error) {
+    throw new Error('auth requires a valid http(s) url');
+  }
+
+  const normalized = { origin, cookies: [], headers: {}, httpCredentials: null, loginSteps: [] };
+
+  // 1. 쿠키 (url/domain이 없으면 분석 대상 출처)
+  if (auth.cookies !== undefined) {
+    if (!Array.isArray(auth.cookies)) throw new Error('auth.cookies must be an array');
+    normalized.cookies = auth.cookies.map((cookie, index) => {
+      if (!isPlainObject(cookie) || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+        throw new Error(`auth.cookies[${index}] requires name and value`);
+      }
+      return cookie.domain || cookie.url ? { ...cookie } : { ...cookie, url: origin };
+    });
+  }
+
+  // 2. HTTP 헤더 (분석 대상 출처 요청에만 추가)
+  if (auth.headers !== undefined) {
+    if (!isPlainObject(auth.headers)) throw new Error('auth.headers must be an object');
+    Object.entries(auth.headers).forEach(([name, value]) => {
+      if (typeof value !== 'string') throw new Error(`auth.headers.${name} must be a string`);
+      normalized.headers[name.toLowerCase()] = value;
+    });
+  }
+
+  // 3. HTTP 기본 인증
+  if (auth.httpCredentials !== undefined) {
+    const { username, password } = auth.httpCredentials || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new Error('auth.httpCredentials requires username and password');
+    }
+    normalized.httpCredentials = { username, password, origin };
+  }
+
+  // 4. 로그인 스크립트 (배열 또는 { steps })
+  if (auth.loginScript !== undefined) {
+    const steps = Array.isArray(auth.loginScript) ? auth.loginScript : auth.loginScript?.steps;
+    normalized.loginSteps = normalizeActions(steps, {
+      label: 'auth.loginScript',
+      baseUrl: targetUrl,
+      maxSteps: MAX_LOGIN_STEPS
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * 가릴 값 목록 (쿠키/헤더/비밀번호/입력값)
+ */
+function collectSecrets(auth) {
+  return [
+    ...auth.cookies.map(cookie => cookie.value),
+    ...Object.values(auth.headers),
+    auth.httpCredentials?.password,
+    ...auth.loginSteps.filter(step => VALUE_ACTIONS.includes(step.action)).map(step => step.value)
+  ].filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * 메시지 안의 인증 값 가리기
+ */
+function redactSecrets(message, auth) {
+  if (!auth) return message;
+  return collectSecrets(auth)
+    .sort((a, b) => b.length - a.length)
+    .reduce((text, secret) => text.split(secret).join(REDACTED), String(message));
+}
+
+/**
+ * 브라우저 컨텍스트 옵션 (HTTP 기본 인증은 컨텍스트 생성 시 지정)
+ */
+function getAuthContextOptions(auth) {
+  return auth?.httpCredentials ? { httpCredentials: auth.httpCredentials } : {};
+}
+
+/**
+ * 🔐 인증 적용 (쿠키 → 헤더 → 로그인 스크립트)
+ * 분석 대상 페이지로 이동하기 전에 호출
+ * @param {BrowserContext} context - Playwright 컨텍스트
+ * @param {Page} page - 로그인 스크립트를 실행할 페이지
+ * @param {Object} auth - normalizeAuth 결과
+ * @param {String} targetUrl - 분석 URL (로그인 스크립트 상대 URL 기준)
+ * @throws {Error} 인증 값이 가려진 오류
+ */
+async function applyAuth(context, page, auth, targetUrl) {
+  try {
+    if (auth.cookies.length > 0) {
+      await context.addCookies(auth.cookies);
+    }
+
+    // 헤더는 제3자 요청(CDN, 분석 스크립트)으로 새지 않도록 같은 출처에만 추가
+    if (Object.keys(auth.headers).length > 0) {
+      await context.route('**/*', async (route) => {
+        const request = route.request();
+        if (new URL(request.url()).origin !== auth.origin) return route.fallback();
+        return route.fallback({ headers: { ...request.headers(), ...auth.headers } });
+      });
+    }
+  } catch (error) {
+    throw new Error(`인증 설정 실패: ${redactSecrets(error.message, auth)}`);
+  }
+
+  await runActions(page, auth.loginSteps, {
+    baseUrl: targetUrl,
+    label: '로그인 스크립트',
+    sanitize: (message) => redactSecrets(message, auth)
+  });
+
+  if (auth.loginSteps.length > 0) {
+    console.log(`🔐 로그인 스크립트 완료 (${auth.loginSteps.length}단계)`);
+  }
+}
+
+/**
+ * 로그/결과용 인증 요약 (값 없이 방식과 개수만)
+ */
+function describeAuth(auth) {
+  if (!auth) return null;
+  const methods = [];
+  if (auth.cookies.length > 0) methods.push('cookies');
+  if (Object.keys(auth.headers).length > 0) methods.push('headers');
+  if (auth.httpCredentials) methods.push('httpCredentials');
+  if (auth.loginSteps.length > 0) methods.push('loginScript');
+  return {
+    methods,
+    cookies: auth.cookies.length,
+    headers: Object.keys(auth.headers),
+    loginSteps: auth.loginSteps.map(step => step.action)
+  };
+}
+
+module.exports = {
+  normalizeAuth,
+  getAuthContextOptions,
+  applyAuth,
+  redactSecrets,
+  describeAuth
+};
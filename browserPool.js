@@ -0,0 +1,292 @@
+/**
+ * Chromium 브라우저 풀
+ * 요청마다 브라우저를 띄우지 않고 재사용 (최대 개수 제한 + 대기열 + 상태 점검 + 재생성)
+ */
+
+const { chromium } = require('playwright');
+
+// 기본 설정 (환경 변수로 변경 가능)
+const DEFAULT_MAX_SIZE = 2;          // BROWSER_POOL_SIZE
+const DEFAULT_MAX_USES = 50;         // BROWSER_MAX_USES
+const DEFAULT_ACQUIRE_TIMEOUT = 120000;  // BROWSER_ACQUIRE_TIMEOUT_MS
+const DEFAULT_HEALTH_INTERVAL = 30000;   // BROWSER_HEALTH_INTERVAL_MS
+const HEALTH_PROBE_TIMEOUT = 5000;
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+/**
+ * 제한 시간 내 완료되지 않으면 실패
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 브라우저 풀 생성
+ * @param {Object} options - { maxSize, maxUses, acquireTimeout, healthInterval, launchOptions }
+ */
+function createBrowserPool(options = {}) {
+  const maxSize = Math.max(1, Number(options.maxSize) || DEFAULT_MAX_SIZE);
+  const maxUses = Math.max(1, Number(options.maxUses) || DEFAULT_MAX_USES);
+  const acquireTimeout = Number(options.acquireTimeout) || DEFAULT_ACQUIRE_TIMEOUT;
+  const healthInterval = Number(options.healthInterval) || DEFAULT_HEALTH_INTERVAL;
+  const launchOptions = options.launchOptions || LAUNCH_OPTIONS;
+
+  const entries = new Set();   // { id, browser, uses, inUse, probing, retired, createdAt }
+  const waiters = [];          // { resolve, reject, timer }
+  let launching = 0;
+  let nextId = 1;
+  let healthTimer = null;
+  let closed = false;
+
+  const counters = {
+    launched: 0,
+    recycled: 0,
+    crashed: 0,
+    acquired: 0,
+    timeouts: 0
+  };
+
+  // 풀에서 제거 후 브라우저 종료
+  const destroy = async (entry, reason) => {
+    if (!entries.has(entry)) return;
+    entries.delete(entry);
+    entry.retired = true;
+    if (reason === 'crash') counters.crashed++;
+    if (reason === 'recycle') counters.recycled++;
+    console.log(`♻️ [브라우저 풀] #${entry.id} 종료 (${reason}, 사용 ${entry.uses}회)`);
+    try {
+      if (entry.browser.isConnected()) await entry.browser.close();
+    } catch (error) {
+      // 이미 종료된 브라우저
+    }
+  };
+
+  // 새 브라우저는 사용 중 상태로 등록 (요청한 대기자에게 배정되기 전에 다른 dispatch가 가져가지 않도록)
+  const launch = async () => {
+    launching++;
+    try {
+      const browser = await chromium.launch(launchOptions);
+      const entry = {
+        id: nextId++,
+        browser,
+        uses: 0,
+        inUse: true,
+        probing: false,
+        retired: false,
+        createdAt: new Date().toISOString()
+      };
+      browser.on('disconnected', () => {
+        if (!entry.retired) {
+          console.error(`💥 [브라우저 풀] #${entry.id} 비정상 종료`);
+          destroy(entry, 'crash');
+          dispatch();
+        }
+      });
+      entries.add(entry);
+      counters.launched++;
+      console.log(`🚀 [브라우저 풀] #${entry.id} 실행 (${entries.size}/${maxSize})`);
+      return entry;
+    } finally {
+      launching--;
+    }
+  };
+
+  const lease = (entry) => {
+    entry.inUse = true;
+    entry.uses++;
+    counters.acquired++;
+
+    let released = false;
+    return {
+      browser: entry.browser,
+      id: entry.id,
+      /**
+       * 반납 (crashed: 브라우저 이상 시 즉시 폐기)
+       */
+      release: async ({ crashed = false } = {}) => {
+        if (released) return;
+        released = true;
+        entry.inUse = false;
+
+        if (crashed || !entry.browser.isConnected()) {
+          await destroy(entry, 'crash');
+        } else if (entry.uses >= maxUses) {
+          await destroy(entry, 'recycle');
+        }
+        dispatch();
+      }
+    };
+  };
+
+  // 대기 중인 요청에 브라우저 배정
+  const dispatch = () => {
+    while (waiters.length > 0 && !closed) {
+      const idle = Array.from(entries).find(e => !e.inUse && !e.probing && e.browser.isConnected());
+      if (idle) {
+        const waiter = waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(lease(idle));
+        continue;
+      }
+
+      if (entries.size + launching < maxSize) {
+        const waiter = waiters.shift();
+        launch()
+          .then(entry => {
+            if (waiter.settled) {
+              // 대기 시간 초과로 떠난 요청 → 유휴 상태로 두고 다음 요청에 배정
+              entry.inUse = false;
+              dispatch();
+              return;
+            }
+            clearTimeout(waiter.timer);
+            waiter.settled = true;
+            waiter.resolve(lease(entry));
+          })
+          .catch(error => {
+            clearTimeout(waiter.timer);
+            if (!waiter.settled) {
+              waiter.settled = true;
+              waiter.reject(error);
+            }
+            dispatch();
+          });
+        continue;
+      }
+
+      break;
+    }
+  };
+
+  /**
+   * 브라우저 대여 (없으면 대기열에서 대기)
+   * @returns {Promise<{ browser, id, release }>}
+   */
+  function acquire() {
+    if (closed) return Promise.reject(new Error('Browser pool is closed'));
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        settled: false,
+        resolve: (value) => {
+          waiter.settled = true;
+          resolve(value);
+        },
+        reject
+      };
+      waiter.timer = setTimeout(() => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        if (!waiter.settled) {
+          waiter.settled = true;
+          counters.timeouts++;
+          reject(new Error(`Browser pool acquire timeout (${acquireTimeout}ms)`));
+        }
+      }, acquireTimeout);
+
+      waiters.push(waiter);
+      dispatch();
+    });
+  }
+
+  /**
+   * 유휴 브라우저 상태 점검 (연결 확인 + 컨텍스트 생성 시험)
+   * 점검 중인 브라우저는 probing 상태로 두어 대여하지 않음
+   */
+  async function checkHealth() {
+    const idle = Array.from(entries).filter(e => !e.inUse && !e.probing);
+    for (const entry of idle) {
+      // 앞 브라우저를 점검하는 동안 대여되었거나 제거된 브라우저는 건너뜀
+      if (entry.inUse || entry.retired) continue;
+      if (!entry.browser.isConnected()) {
+        await destroy(entry, 'crash');
+        continue;
+      }
+
+      entry.probing = true;
+      let healthy = true;
+      try {
+        const context = await withTimeout(
+          entry.browser.newContext(),
+          HEALTH_PROBE_TIMEOUT,
+          'health probe timeout'
+        );
+        await context.close();
+      } catch (error) {
+        console.error(`⚠️ [브라우저 풀] #${entry.id} 상태 점검 실패:`, error.message);
+        healthy = false;
+      } finally {
+        entry.probing = false;
+      }
+
+      if (!healthy && !entry.inUse) await destroy(entry, 'crash');
+      dispatch();
+    }
+    dispatch();
+  }
+
+  /**
+   * 풀 통계
+   */
+  function stats() {
+    const all = Array.from(entries);
+    return {
+      maxSize,
+      maxUses,
+      size: all.length,
+      inUse: all.filter(e => e.inUse).length,
+      idle: all.filter(e => !e.inUse && !e.probing).length,
+      probing: all.filter(e => e.probing).length,
+      launching,
+      waiting: waiters.length,
+      ...counters,
+      browsers: all.map(e => ({
+        id: e.id,
+        uses: e.uses,
+        inUse: e.inUse,
+        probing: e.probing,
+        connected: e.browser.isConnected(),
+        createdAt: e.createdAt
+      }))
+    };
+  }
+
+  /**
+   * 풀 종료 (대기 요청 거절 + 모든 브라우저 종료)
+   */
+  async function close() {
+    closed = true;
+    if (healthTimer) clearInterval(healthTimer);
+    waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    });
+    await Promise.all(Array.from(entries).map(entry => destroy(entry, 'shutdown')));
+  }
+
+  healthTimer = setInterval(() => {
+    checkHealth().catch(error => console.error('⚠️ [브라우저 풀] 상태 점검 오류:', error.message));
+  }, healthInterval);
+  if (healthTimer.unref) healthTimer.unref();
+
+  return {
+    acquire,
+    checkHealth,
+    stats,
+    close
+  };
+}
+
+module.exports = {
+  createBrowserPool
+};
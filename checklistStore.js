@@ -0,0 +1,387 @@
+/**
+ * 체크리스트 저장소 (로컬 파일)
+ * 체크리스트는 checklists/<id>.json 에, 모든 변경 내역은 checklist-audit.jsonl 에 한 줄씩 저장
+ * 예외 항목마다 사유, 승인자, 등록일, 만료일(선택)을 기록
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isExceptionExpired } = require('./exceptionHandler');
+const { KWCAG_ITEMS } = require('./kwcagReport');
+
+const DEFAULT_DIR = path.join(__dirname, 'data');
+const MAX_EXCEPTIONS = 500;
+const MAX_AUDIT_ENTRIES = 200;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * 검증 오류 (400)
+ */
+function validationError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * 예외 항목 검증 + 정규화
+ * KRDS 항목(item_key / item_name) 또는 접근성 대상(axe_rule / selector / kwcag_item / url) 중 하나 이상 필요
+ * @param {Object} entry - { item_key, item_name, section, axe_rule, selector, kwcag_item, url, reason, approver, expires_at }
+ * @param {Object} existing - 수정 시 기존 항목 (id, created_at 유지)
+ * @param {String} label - 오류 메시지 접두어
+ */
+function normalizeExceptionEntry(entry, existing = null, label = 'exception') {
+  if (!isPlainObject(entry)) throw validationError(`${label} must be an object`);
+
+  const merged = existing ? { ...existing, ...entry } : entry;
+  const targets = ['item_key', 'item_name', 'axe_rule', 'selector', 'kwcag_item', 'url'];
+  targets.forEach(field => {
+    if (merged[field] !== undefined && merged[field] !== null && typeof merged[field] !== 'string') {
+      throw validationError(`${label}.${field} must be a string`);
+    }
+  });
+  if (!targets.some(field => isNonEmptyString(merged[field]))) {
+    throw validationError(`${label} requires item_key, item_name, axe_rule, selector, kwcag_item or url`);
+  }
+  if (merged.kwcag_item && !KWCAG_ITEMS.some(item => item.id === merged.kwcag_item)) {
+    throw validationError(`${label}.kwcag_item is not a KWCAG item: ${merged.kwcag_item}`);
+  }
+  if (!isNonEmptyString(merged.reason)) throw validationError(`${label}.reason is required`);
+  if (!isNonEmptyString(merged.approver)) throw validationError(`${label}.approver is required`);
+
+  const expiresAt = merged.expires_at || null;
+  if (expiresAt !== null && (typeof expiresAt !== 'string' || Number.isNaN(new Date(expiresAt).getTime()))) {
+    throw validationError(`${label}.expires_at must be an ISO date`);
+  }
+
+  return {
+    id: existing ? existing.id : crypto.randomUUID(),
+    item_key: merged.item_key || null,
+    item_name: merged.item_name || null,
+    section: merged.section || merged.category || null,
+    axe_rule: merged.axe_rule || null,
+    selector: merged.selector || null,
+    kwcag_item: merged.kwcag_item || null,
+    url: merged.url || null,
+    reason: merged.reason.trim(),
+    approver: merged.approver.trim(),
+    created_at: existing ? existing.created_at : new Date().toISOString(),
+    expires_at: expiresAt
+  };
+}
+
+/**
+ * 예외 목록 검증 (id가 기존 항목과 같으면 등록일 유지)
+ */
+function normalizeExceptionList(exceptions, current = []) {
+  if (!Array.isArray(exceptions)) throw validationError('exceptions must be an array');
+  if (exceptions.length > MAX_EXCEPTIONS) throw validationError(`Too many exceptions (max ${MAX_EXCEPTIONS})`);
+
+  return exceptions.map((entry, index) => {
+    const existing = isPlainObject(entry) && entry.id ? current.find(exc => exc.id === entry.id) : null;
+    return normalizeExceptionEntry(entry, existing, `exceptions[${index}]`);
+  });
+}
+
+/**
+ * 목록 조회용 요약
+ */
+function summarize(checklist, now = new Date()) {
+  const expired = checklist.exceptions.filter(exc => isExceptionExpired(exc, now)).length;
+  return {
+    id: checklist.id,
+    name: checklist.name,
+    description: checklist.description,
+    version: checklist.version,
+    exceptionCount: checklist.exceptions.length,
+    activeCount: checklist.exceptions.length - expired,
+    expiredCount: expired,
+    createdAt: checklist.createdAt,
+    updatedAt: checklist.updatedAt
+  };
+}
+
+/**
+ * 체크리스트 저장소 생성
+ * @param {Object} options - { dir } 저장 디렉터리 (DATA_DIR 환경 변수)
+ */
+function createChecklistStore(options = {}) {
+  const dir = options.dir || DEFAULT_DIR;
+  const checklistsDir = path.join(dir, 'checklists');
+  const auditFile = path.join(dir, 'checklist-audit.jsonl');
+
+  fs.mkdirSync(checklistsDir, { recursive: true });
+
+  // 체크리스트 메모리 적재 (손상된 파일은 건너뜀)
+  const checklists = new Map();
+  fs.readdirSync(checklistsDir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const checklist = JSON.parse(fs.readFileSync(path.join(checklistsDir, file), 'utf-8'));
+        checklists.set(checklist.id, checklist);
+      } catch (error) {
+        console.error('⚠️ [체크리스트 저장소] 파일 파싱 실패:', file, error.message);
+      }
+    });
+
+  const recordPath = (id) => path.join(checklistsDir, `${id}.json`);
+
+  // 변경은 한 번에 하나씩 (같은 체크리스트 동시 수정 시 덮어쓰기 방지)
+  let queue = Promise.resolve();
+  const serialize = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // 임시 파일에 쓴 뒤 이름 변경 (중간에 끊겨도 깨진 파일이 남지 않도록)
+  const writeChecklist = async (checklist) => {
+    const file = recordPath(checklist.id);
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(checklist, null, 2));
+    await fs.promises.rename(tmpFile, file);
+  };
+
+  const appendAudit = (checklistId, action, actor, details) => fs.promises.appendFile(
+    auditFile,
+    `${JSON.stringify({ timestamp: new Date().toISOString(), checklistId, action, actor: actor || null, details })}\n`
+  );
+
+  /**
+   * 기존 체크리스트 수정 공통 처리 (없으면 null)
+   * @param {Function} change - (checklist) => { next, action, details } | null(변경 없음)
+   */
+  const mutate = (id, actor, change) => serialize(async () => {
+    const current = checklists.get(id);
+    if (!current) return null;
+
+    const result = change(current);
+    if (!result) return current;
+
+    const next = {
+      ...result.next,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+    await writeChecklist(next);
+    checklists.set(id, next);
+    await appendAudit(id, result.action, actor, result.details);
+    return next;
+  });
+
+  /**
+   * 체크리스트 목록 (최근 수정순)
+   */
+  function list() {
+    const now = new Date();
+    return Array.from(checklists.values())
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(checklist => summarize(checklist, now));
+  }
+
+  /**
+   * 체크리스트 조회 (예외 항목별 만료 여부 포함)
+   */
+  function get(id) {
+    const checklist = checklists.get(id);
+    if (!checklist) return null;
+    const now = new Date();
+    return {
+      ...checklist,
+      exceptions: checklist.exceptions.map(exc => ({ ...exc, expired: isExceptionExpired(exc, now) }))
+    };
+  }
+
+  /**
+   * 분석에 적용할 예외 목록 (만료 여부는 예외 처리 시 판정)
+   */
+  function getExceptions(id) {
+    const checklist = checklists.get(id);
+    return checklist ? checklist.exceptions.map(exc => ({ ...exc })) : null;
+  }
+
+  /**
+   * 체크리스트 생성
+   * @param {Object} input - { name, description, exceptions }
+   * @param {String} actor - 변경자 (감사 로그)
+   */
+  function create(input, actor) {
+    if (!isPlainObject(input) || !isNonEmptyString(input.name)) throw validationError('name is required');
+    const exceptions = normalizeExceptionList(input.exceptions || []);
+
+    return serialize(async () => {
+      const now = new Date().toISOString();
+      const checklist = {
+        id: crypto.randomUUID(),
+        name: input.name.trim(),
+        description: typeof input.description === 'string' ? input.description : '',
+        version: 1,
+        exceptions,
+        createdAt: now,
+        updatedAt: now
+      };
+      await writeChecklist(checklist);
+      checklists.set(checklist.id, checklist);
+      await appendAudit(checklist.id, 'checklist.create', actor, {
+        name: checklist.name,
+        exceptions: exceptions.map(exc => exc.id)
+      });
+      return checklist;
+    });
+  }
+
+  /**
+   * 체크리스트 수정 (name, description, exceptions 중 전달한 값만 변경, exceptions는 전체 교체)
+   */
+  function update(id, input, actor) {
+    if (!isPlainObject(input)) throw validationError('body must be an object');
+    if (input.name !== undefined && !isNonEmptyString(input.name)) throw validationError('name must not be empty');
+
+    return mutate(id, actor, (current) => {
+      const exceptions = input.exceptions !== undefined
+        ? normalizeExceptionList(input.exceptions, current.exceptions)
+        : current.exceptions;
+      const next = {
+        ...current,
+        name: input.name !== undefined ? input.name.trim() : current.name,
+        description: typeof input.description === 'string' ? input.description : current.description,
+        exceptions
+      };
+
+      const changes = {};
+      ['name', 'description'].forEach(field => {
+        if (next[field] !== current[field]) changes[field] = { before: current[field], after: next[field] };
+      });
+      if (input.exceptions !== undefined) {
+        const beforeIds = current.exceptions.map(exc => exc.id);
+        const afterIds = exceptions.map(exc => exc.id);
+        changes.exceptions = {
+          added: afterIds.filter(excId => !beforeIds.includes(excId)),
+          removed: beforeIds.filter(excId => !afterIds.includes(excId)),
+          updated: afterIds.filter(excId => beforeIds.includes(excId) &&
+            JSON.stringify(exceptions.find(exc => exc.id === excId)) !==
+            JSON.stringify(current.exceptions.find(exc => exc.id === excId)))
+        };
+      }
+
+      return { next, action: 'checklist.update', details: changes };
+    });
+  }
+
+  /**
+   * 체크리스트 삭제 (감사 로그는 유지)
+   * @returns {Promise<Boolean>} 삭제 여부
+   */
+  function remove(id, actor) {
+    return serialize(async () => {
+      const current = checklists.get(id);
+      if (!current) return false;
+      await fs.promises.rm(recordPath(id), { force: true });
+      checklists.delete(id);
+      await appendAudit(id, 'checklist.delete', actor, { name: current.name, version: current.version, exceptions: current.exceptions });
+      return true;
+    });
+  }
+
+  /**
+   * 예외 항목 추가
+   * @returns {Promise<Object|null>} 수정된 체크리스트 (없으면 null)
+   */
+  function addException(id, entry, actor) {
+    const exception = normalizeExceptionEntry(entry);
+    return mutate(id, actor, (current) => {
+      if (current.exceptions.length >= MAX_EXCEPTIONS) throw validationError(`Too many exceptions (max ${MAX_EXCEPTIONS})`);
+      return {
+        next: { ...current, exceptions: [...current.exceptions, exception] },
+        action: 'exception.add',
+        details: { exception }
+      };
+    });
+  }
+
+  /**
+   * 예외 항목 수정 (전달한 필드만 변경)
+   * @returns {Promise<Object|null>} 수정된 체크리스트 (체크리스트/예외가 없으면 null)
+   */
+  async function updateException(id, exceptionId, entry, actor) {
+    let found = false;
+    const checklist = await mutate(id, actor, (current) => {
+      const before = current.exceptions.find(exc => exc.id === exceptionId);
+      if (!before) return null;
+      found = true;
+      const after = normalizeExceptionEntry(entry, before);
+      return {
+        next: { ...current, exceptions: current.exceptions.map(exc => (exc.id === exceptionId ? after : exc)) },
+        action: 'exception.update',
+        details: { before, after }
+      };
+    });
+    return found ? checklist : null;
+  }
+
+  /**
+   * 예외 항목 삭제
+   * @returns {Promise<Object|null>} 수정된 체크리스트 (체크리스트/예외가 없으면 null)
+   */
+  async function removeException(id, exceptionId, actor) {
+    let found = false;
+    const checklist = await mutate(id, actor, (current) => {
+      const exception = current.exceptions.find(exc => exc.id === exceptionId);
+      if (!exception) return null;
+      found = true;
+      return {
+        next: { ...current, exceptions: current.exceptions.filter(exc => exc.id !== exceptionId) },
+        action: 'exception.remove',
+        details: { exception }
+      };
+    });
+    return found ? checklist : null;
+  }
+
+  /**
+   * 감사 로그 조회 (최신순)
+   * @param {String} id - 체크리스트 ID (삭제된 체크리스트도 조회 가능)
+   */
+  async function getAuditLog(id, { limit = MAX_AUDIT_ENTRIES } = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(auditFile, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const size = Math.min(MAX_AUDIT_ENTRIES, Math.max(1, parseInt(limit, 10) || MAX_AUDIT_ENTRIES));
+    return content.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry && entry.checklistId === id)
+      .reverse()
+      .slice(0, size);
+  }
+
+  return {
+    list,
+    get,
+    getExceptions,
+    create,
+    update,
+    remove,
+    addException,
+    updateException,
+    removeException,
+    getAuditLog
+  };
+}
+
+module.exports = {
+  createChecklistStore
+};
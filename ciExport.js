@@ -0,0 +1,312 @@
+/**
+ * CI 연동용 결과 변환 (SARIF 2.1.0 / JUnit XML)
+ * axe-core 위반과 KRDS 섹션 이슈를 코드 스캐닝/테스트 리포트 형식으로 출력
+ */
+
+const { getRule, RULES_VERSION } = require('./krdsRules');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'ViewChecker';
+
+// 분석 결과 섹션 → 항목 이름 필드
+const SECTION_KEYS = {
+  designStyles: 'category',
+  components: 'type',
+  basicPatterns: 'name',
+  servicePatterns: 'name'
+};
+
+// axe 영향도 → SARIF level
+const AXE_LEVELS = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note'
+};
+
+// KRDS 규칙 심각도 → SARIF level
+const KRDS_LEVELS = {
+  critical: 'error',
+  major: 'warning',
+  minor: 'note'
+};
+
+/**
+ * 단일 결과 목록 ([{ viewport, state, result }], 상태별 분석 결과 포함)
+ * @throws {Error} 사이트 크롤링 결과
+ */
+function flattenResults(analysis) {
+  if (analysis.aggregate) {
+    throw new Error('Site crawl results cannot be exported');
+  }
+  const entries = analysis.viewports
+    ? Object.entries(analysis.viewports).map(([viewport, result]) => ({ viewport, result }))
+    : [{ viewport: analysis.viewport || 'desktop', result: analysis }];
+
+  return entries.flatMap(entry => [
+    { ...entry, state: null },
+    ...(entry.result.states || [])
+      .filter(state => !state.error)
+      .map(state => ({ viewport: entry.viewport, state: state.name, result: state }))
+  ]);
+}
+
+/**
+ * 🧾 SARIF 2.1.0 변환
+ * @param {Object} analysis - 분석 결과 (응답 data)
+ * @returns {Object} SARIF 로그
+ */
+function toSarif(analysis) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  const addRule = (id, descriptor) => {
+    if (!ruleIndex.has(id)) {
+      ruleIndex.set(id, rules.length);
+      rules.push({ id, ...descriptor });
+    }
+    return ruleIndex.get(id);
+  };
+
+  flattenResults(analysis).forEach(({ viewport, state, result }) => {
+    const pageUrl = result.url || analysis.url;
+    const context = state ? { viewport, state } : { viewport };
+
+    // 1. axe-core 위반 (예외 처리된 요소는 suppressions 표시)
+    const violations = [
+      ...(result.axeResults?.violations || []),
+      ...(result.axeResults?.excepted || [])
+    ];
+    violations.forEach(violation => {
+      const index = addRule(violation.id, {
+        name: violation.id,
+        shortDescription: { text: violation.help || violation.id },
+        fullDescription: { text: violation.description || violation.help || violation.id },
+        helpUri: violation.helpUrl,
+        help: { text: violation.help || violation.id },
+        defaultConfiguration: { level: AXE_LEVELS[violation.impact] || 'warning' },
+        properties: { tags: ['accessibility', 'axe-core', ...(violation.tags || [])] }
+      });
+
+      (violation.nodes || []).forEach(node => {
+        const selector = (node.target || []).join(' ');
+        results.push({
+          ruleId: violation.id,
+          ruleIndex: index,
+          level: AXE_LEVELS[node.impact || violation.impact] || 'warning',
+          message: { text: node.failureSummary || violation.help || violation.id },
+          locations: [createLocation(pageUrl, selector, node.html)],
+          partialFingerprints: { elementSelector: `${violation.id}:${selector}` },
+          ...(node.exception ? { suppressions: [{ kind: 'external', justification: node.exception.reason }] } : {}),
+          properties: { ...context, impact: node.impact || violation.impact }
+        });
+      });
+    });
+
+    // 2. KRDS 섹션 이슈
+    Object.entries(SECTION_KEYS).forEach(([section, keyField]) => {
+      (result[section] || []).forEach(item => {
+        (item.issues || []).forEach(issue => {
+          const ruleId = issue.ruleId || item.ruleId || `${section}:${item[keyField]}`;
+          const rule = getRule(ruleId);
+          const level = KRDS_LEVELS[rule?.severity] || 'warning';
+          const index = addRule(ruleId, {
+            name: rule ? rule.title.en.replace(/[^A-Za-z0-9]+/g, '') : ruleId,
+            shortDescription: { text: rule ? `KRDS ${rule.title.ko}` : String(item[keyField]) },
+            helpUri: rule?.url,
+            help: { text: issue.remediation || (rule ? `KRDS ${rule.title.ko} 가이드를 확인하세요.` : '') },
+            defaultConfiguration: { level },
+            properties: { tags: ['krds', section], krdsVersion: RULES_VERSION }
+          });
+
+          const message = [
+            issue.message,
+            issue.expected !== null && issue.expected !== undefined ? `기준: ${formatValue(issue.expected)}` : null,
+            issue.measured !== null && issue.measured !== undefined ? `측정: ${formatValue(issue.measured)}` : null
+          ].filter(Boolean).join(' / ');
+
+          const evidence = issue.evidence || [];
+          results.push({
+            ruleId,
+            ruleIndex: index,
+            level,
+            message: { text: message },
+            locations: evidence.length > 0
+              ? evidence.map(e => createLocation(pageUrl, e.selector, e.snippet))
+              : [createLocation(pageUrl)],
+            partialFingerprints: {
+              elementSelector: `${ruleId}:${evidence.map(e => e.selector).join('|')}`
+            },
+            properties: { ...context, section, item: item[keyField], score: item.score }
+          });
+        });
+      });
+    });
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: RULES_VERSION,
+          rules
+        }
+      },
+      results,
+      properties: {
+        url: analysis.url,
+        overallScore: analysis.overallScore,
+        analysisId: analysis.analysisId || null
+      }
+    }]
+  };
+}
+
+/**
+ * SARIF 위치 (페이지 URL + 요소 셀렉터 + HTML 조각)
+ */
+function createLocation(pageUrl, selector, snippet) {
+  const location = {
+    physicalLocation: {
+      artifactLocation: { uri: pageUrl }
+    }
+  };
+  if (snippet) {
+    location.physicalLocation.region = { snippet: { text: snippet } };
+  }
+  if (selector) {
+    location.logicalLocations = [{ fullyQualifiedName: selector, kind: 'element' }];
+  }
+  return location;
+}
+
+const formatValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * XML 이스케이프
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    // XML 1.0에서 허용되지 않는 제어 문자 제거
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit testcase XML
+ */
+function renderTestCase({ name, classname, failure, skipped }) {
+  const open = `    <testcase name="${escapeXml(name)}" classname="${escapeXml(classname)}" time="0"`;
+  if (failure) {
+    return `${open}>\n      <failure message="${escapeXml(failure.message)}" type="${escapeXml(failure.type)}">${escapeXml(failure.details)}</failure>\n    </testcase>`;
+  }
+  if (skipped) {
+    return `${open}>\n      <skipped message="${escapeXml(skipped)}"/>\n    </testcase>`;
+  }
+  return `${open}/>`;
+}
+
+/**
+ * 🧪 JUnit XML 변환
+ * 테스트 스위트: 뷰포트(상태)별 KRDS 섹션 4개 + axe-core
+ * @param {Object} analysis - 분석 결과 (응답 data)
+ * @returns {String} JUnit XML
+ */
+function toJUnit(analysis) {
+  const suites = [];
+
+  flattenResults(analysis).forEach(({ viewport, state, result }) => {
+    const prefix = `${analysis.viewports ? `${viewport}.` : ''}${state ? `${state}.` : ''}`;
+
+    // KRDS 섹션: 항목 1개 = testcase 1개
+    Object.entries(SECTION_KEYS).forEach(([section, keyField]) => {
+      const cases = (result[section] || []).map(item => {
+        const issues = item.issues || [];
+        const testCase = {
+          name: `${item.ruleId ? `[${item.ruleId}] ` : ''}${item[keyField]}`,
+          classname: `${prefix}krds.${section}`
+        };
+
+        if (item.excluded) {
+          testCase.skipped = `예외 처리: ${item.exclusionReason || '예외 항목'}`;
+        } else if (item.applicable === false) {
+          testCase.skipped = '해당없음';
+        } else if (issues.length > 0) {
+          testCase.failure = {
+            type: item.ruleId || section,
+            message: `${item.score}점 - ${issues[0].message}${issues.length > 1 ? ` 외 ${issues.length - 1}건` : ''}`,
+            details: issues.map(issue => [
+              `- ${issue.message}`,
+              ...(issue.evidence || []).map(e => `    ${e.selector}`),
+              issue.remediation ? `    개선: ${issue.remediation}` : null
+            ].filter(Boolean).join('\n')).join('\n')
+          };
+        }
+        return testCase;
+      });
+
+      suites.push({ name: `${prefix}KRDS ${section}`, cases });
+    });
+
+    // axe-core: 위반 규칙은 실패, 통과 규칙은 성공
+    const axeCases = [
+      ...(result.axeResults?.violations || []).map(violation => ({
+        name: violation.id,
+        classname: `${prefix}axe`,
+        failure: {
+          type: violation.impact || 'violation',
+          message: `${violation.help || violation.id} (${(violation.nodes || []).length}개 요소)`,
+          details: (violation.nodes || [])
+            .map(node => `- ${(node.target || []).join(' ')}\n    ${node.failureSummary || ''}`.trimEnd())
+            .join('\n')
+        }
+      })),
+      ...(result.axeResults?.passes || []).map(pass => ({
+        name: pass.id,
+        classname: `${prefix}axe`
+      })),
+      // 모든 위반 요소가 예외 처리된 규칙은 건너뜀
+      ...(result.axeResults?.excepted || [])
+        .filter(rule => !(result.axeResults.violations || []).some(violation => violation.id === rule.id))
+        .map(rule => ({
+          name: rule.id,
+          classname: `${prefix}axe`,
+          skipped: `예외 처리: ${rule.nodes[0]?.exception?.reason || '예외 항목'} (${rule.nodes.length}개 요소)`
+        }))
+    ];
+    suites.push({ name: `${prefix}axe-core`, cases: axeCases });
+  });
+
+  const count = (cases, key) => cases.filter(c => c[key]).length;
+  const totalTests = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+  const totalFailures = suites.reduce((sum, suite) => sum + count(suite.cases, 'failure'), 0);
+  const totalSkipped = suites.reduce((sum, suite) => sum + count(suite.cases, 'skipped'), 0);
+  const timestamp = analysis.timestamp || new Date().toISOString();
+
+  const body = suites.map(suite => [
+    `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${count(suite.cases, 'failure')}" errors="0" skipped="${count(suite.cases, 'skipped')}" timestamp="${escapeXml(timestamp)}" time="0">`,
+    ...suite.cases.map(renderTestCase),
+    '  </testsuite>'
+  ].join('\n')).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`${TOOL_NAME} ${analysis.url || ''}`.trim())}" tests="${totalTests}" failures="${totalFailures}" errors="0" skipped="${totalSkipped}" time="${((analysis.executionTime || 0) / 1000).toFixed(3)}">`,
+    body,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  toSarif,
+  toJUnit
+};
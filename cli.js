@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * ViewChecker CLI
+ * 서버 없이 로컬에서 KRDS 분석 실행 + 기준 점수 미달 시 0이 아닌 종료 코드 반환 (배포 전 점검용)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { pathToFileURL } = require('url');
+const { analyzeWebsite, closeBrowserPool, VIEWPORT_SIZES } = require('./analyzer');
+const { applyExceptionsToResult, getExceptionSelectors } = require('./exceptionHandler');
+const { sectionScore } = require('./analysisDiff');
+const { toSarif, toJUnit } = require('./ciExport');
+const { SECTIONS } = require('./krdsRules');
+const { createLocalSite } = require('./localSite');
+const { normalizeAuth } = require('./authSession');
+const { createChecklistStore } = require('./checklistStore');
+const { normalizeInteractions } = require('./pageActions');
+const { resolveScoringPolicy, SCORING_POLICIES } = require('./scoringPolicy');
+
+// 종료 코드
+const EXIT_CODES = {
+  PASS: 0,
+  THRESHOLD_FAILED: 1,
+  ERROR: 2
+};
+
+const WCAG_LEVEL_ORDER = ['None', 'A', 'AA'];
+
+const USAGE = `
+사용법: viewchecker <URL | HTML 파일 | 정적 사이트 zip> [옵션]
+
+옵션:
+  -v, --viewport <이름>       desktop | tablet | mobile (쉼표로 여러 개, 기본 desktop)
+  -e, --exceptions <파일>     예외 JSON 파일 (배열, { "exceptions": [...] } 또는 저장된 체크리스트 { "checklist_id": "..." })
+  -o, --output <파일>         전체 결과 JSON 저장 경로 (기본 viewchecker-result.json)
+      --sarif <파일>          SARIF 2.1.0 결과 저장
+      --junit <파일>          JUnit XML 결과 저장
+      --min-score <점수>      KRDS 종합 점수 기준
+      --min-section <점수>    섹션별 점수 기준 (모든 섹션, 섹션별: designStyles=70 형식으로 반복 지정)
+      --min-kwcag <점수>      KWCAG 준수율 기준 (%)
+      --min-level <수준>      WCAG 수준 기준 (A | AA)
+      --entry <경로>          zip 분석 시 시작 페이지 (기본 index.html)
+      --auth <파일>           인증 JSON 파일 ({ cookies, headers, httpCredentials, loginScript })
+      --interactions <파일>   분석 전 동작/상태 JSON 파일 ({ actions, states } 또는 동작 배열)
+      --policy <이름|파일>     점수 정책 (${Object.keys(SCORING_POLICIES).join(' | ')}, 또는 정책 JSON 파일, 기본 default)
+  -h, --help                  도움말
+
+종료 코드: 0 통과, 1 기준 미달, 2 실행 오류
+`;
+
+/**
+ * 명령행 인자 해석
+ * @throws {Error} 잘못된 인자
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      viewport: { type: 'string', short: 'v', default: 'desktop' },
+      exceptions: { type: 'string', short: 'e' },
+      output: { type: 'string', short: 'o', default: 'viewchecker-result.json' },
+      sarif: { type: 'string' },
+      junit: { type: 'string' },
+      'min-score': { type: 'string' },
+      'min-section': { type: 'string', multiple: true },
+      'min-kwcag': { type: 'string' },
+      'min-level': { type: 'string' },
+      entry: { type: 'string' },
+      auth: { type: 'string' },
+      interactions: { type: 'string' },
+      policy: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new Error('분석할 URL 또는 HTML 파일을 하나 지정하세요');
+  // 로컬 대상(HTML 파일, file:// URL, zip)은 인증할 서버가 없음 (API의 html/archive와 같은 제한)
+  if (values.auth && !/^https?:\/\//i.test(positionals[0])) {
+    throw new Error('--auth는 http(s) URL 분석에만 사용할 수 있습니다 (HTML 파일, file:// URL, zip 불가)');
+  }
+
+  const viewports = values.viewport.split(',').map(vp => vp.trim()).filter(Boolean);
+  const unknown = viewports.filter(vp => !VIEWPORT_SIZES[vp]);
+  if (unknown.length > 0) throw new Error(`알 수 없는 뷰포트: ${unknown.join(', ')}`);
+
+  const toNumber = (value, name) => {
+    if (value === undefined) return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`${name} 값이 숫자가 아닙니다: ${value}`);
+    return number;
+  };
+
+  // --min-section 70 또는 --min-section designStyles=70
+  const minSection = {};
+  (values['min-section'] || []).forEach(entry => {
+    const [key, value] = entry.includes('=') ? entry.split('=') : ['*', entry];
+    if (key !== '*' && !SECTIONS[key]) throw new Error(`알 수 없는 섹션: ${key}`);
+    minSection[key] = toNumber(value, '--min-section');
+  });
+
+  const minLevel = values['min-level'] ? values['min-level'].toUpperCase() : null;
+  if (minLevel && !WCAG_LEVEL_ORDER.includes(minLevel)) throw new Error(`알 수 없는 WCAG 수준: ${values['min-level']}`);
+
+  return {
+    target: positionals[0],
+    viewport: viewports.length === 1 ? viewports[0] : viewports,
+    exceptionsFile: values.exceptions,
+    entry: values.entry,
+    authFile: values.auth,
+    interactionsFile: values.interactions,
+    policy: values.policy,
+    output: values.output,
+    sarif: values.sarif,
+    junit: values.junit,
+    thresholds: {
+      minScore: toNumber(values['min-score'], '--min-score'),
+      minSection,
+      minKwcag: toNumber(values['min-kwcag'], '--min-kwcag'),
+      minLevel
+    }
+  };
+}
+
+/**
+ * 분석 대상 → { url, localSite } (HTML 파일은 file:// URL, zip은 외부 요청을 차단한 로컬 사이트)
+ */
+function resolveTarget(target, entry) {
+  if (/^https?:\/\//i.test(target) || /^file:\/\//i.test(target)) return { url: target, localSite: null };
+  const filePath = path.resolve(target);
+  if (!fs.existsSync(filePath)) throw new Error(`파일을 찾을 수 없습니다: ${target}`);
+  if (/\.zip$/i.test(filePath)) {
+    const localSite = createLocalSite({ archive: fs.readFileSync(filePath), entry });
+    return { url: localSite.url, localSite };
+  }
+  return { url: pathToFileURL(filePath).href, localSite: null };
+}
+
+/**
+ * 예외 파일 읽기
+ * exceptions 없이 checklist_id만 있으면 체크리스트 저장소(DATA_DIR, 기본 ./data)의 예외 목록 사용 (API와 같은 방식)
+ */
+function loadExceptions(file) {
+  if (!file) return { exceptions: [], checklistId: null };
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (Array.isArray(parsed)) return { exceptions: parsed, checklistId: null };
+
+  const checklistId = parsed.checklist_id || parsed.checklistId || null;
+  if (parsed.exceptions !== undefined || !checklistId) {
+    return { exceptions: Array.isArray(parsed.exceptions) ? parsed.exceptions : [], checklistId };
+  }
+
+  const stored = createChecklistStore({ dir: process.env.DATA_DIR }).getExceptions(checklistId);
+  if (!stored) throw new Error(`체크리스트를 찾을 수 없습니다: ${checklistId} (DATA_DIR 체크리스트 저장소 확인)`);
+  return { exceptions: stored, checklistId };
+}
+
+/**
+ * 상호작용 파일 읽기 (배열이면 분석 전 동작)
+ */
+function loadInteractions(file, url) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return normalizeInteractions(Array.isArray(parsed) ? { actions: parsed } : parsed, url);
+}
+
+/**
+ * 점수 정책 읽기 (정책 이름 또는 JSON 파일)
+ */
+function loadScoringPolicy(policy) {
+  if (!policy || SCORING_POLICIES[policy] || !/\.json$/i.test(policy)) return resolveScoringPolicy(policy);
+  return resolveScoringPolicy(JSON.parse(fs.readFileSync(policy, 'utf-8')));
+}
+
+/**
+ * 기준 점수 검사 (단일 뷰포트 결과)
+ * @returns {Array} 미달 항목 메시지
+ */
+function checkThresholds(result, thresholds, label = '') {
+  const failures = [];
+  const prefix = label ? `[${label}] ` : '';
+
+  if (thresholds.minScore !== null && result.overallScore < thresholds.minScore) {
+    failures.push(`${prefix}종합 점수 ${result.overallScore} < ${thresholds.minScore}`);
+  }
+
+  Object.keys(SECTIONS).forEach(section => {
+    const min = thresholds.minSection[section] ?? thresholds.minSection['*'];
+    const score = sectionScore(result, section);
+    if (min !== undefined && score !== null && score < min) {
+      failures.push(`${prefix}${SECTIONS[section].name} 점수 ${score} < ${min}`);
+    }
+  });
+
+  const kwcag = result.kwcagReport || {};
+  if (thresholds.minKwcag !== null && (kwcag.overallCompliance ?? 0) < thresholds.minKwcag) {
+    failures.push(`${prefix}KWCAG 준수율 ${kwcag.overallCompliance ?? 0}% < ${thresholds.minKwcag}%`);
+  }
+  if (thresholds.minLevel &&
+    WCAG_LEVEL_ORDER.indexOf(kwcag.wcagLevel || 'None') < WCAG_LEVEL_ORDER.indexOf(thresholds.minLevel)) {
+    failures.push(`${prefix}WCAG 수준 ${kwcag.wcagLevel || 'None'} < ${thresholds.minLevel}`);
+  }
+
+  return failures;
+}
+
+/**
+ * 요약 표 출력
+ */
+function printSummary(result, label) {
+  const kwcag = result.kwcagReport || {};
+  const cap = result.scoring?.cap;
+  const rows = [
+    ['KRDS 종합', cap ? `${result.overallScore} (axe ${cap.impact} 위반 상한, 원점수 ${result.scoring.uncappedScore})` : result.overallScore],
+    ['점수 정책', result.scoring?.policy?.name || 'default'],
+    ...Object.keys(SECTIONS).map(section => [SECTIONS[section].name, sectionScore(result, section) ?? '해당없음']),
+    ['KWCAG 준수율', `${kwcag.overallCompliance ?? 0}%`],
+    ['WCAG 수준', kwcag.wcagLevel || 'None'],
+    ['axe 위반', (result.axeResults?.violations || []).length]
+  ];
+
+  console.log('');
+  console.log(`📊 ${label ? `[${label}] ` : ''}${result.url}`);
+  console.table(Object.fromEntries(rows.map(([name, value]) => [name, { 결과: value }])));
+}
+
+/**
+ * 파일 저장 (상위 디렉터리 생성)
+ */
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content);
+  console.log(`💾 ${file}`);
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return EXIT_CODES.ERROR;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.PASS;
+  }
+
+  try {
+    const { url, localSite } = resolveTarget(options.target, options.entry);
+    const { exceptions, checklistId } = loadExceptions(options.exceptionsFile);
+    const auth = options.authFile
+      ? normalizeAuth(JSON.parse(fs.readFileSync(options.authFile, 'utf-8')), url)
+      : null;
+
+    const interactions = options.interactionsFile
+      ? loadInteractions(options.interactionsFile, url)
+      : null;
+    const scoringPolicy = loadScoringPolicy(options.policy);
+
+    const analysisResult = await analyzeWebsite(url, options.viewport, {
+      localSite,
+      auth,
+      interactions,
+      exceptionSelectors: getExceptionSelectors(exceptions),
+      scoringPolicy
+    });
+    if (!analysisResult.success) {
+      console.error(`❌ 분석 실패: ${analysisResult.error}`);
+      return EXIT_CODES.ERROR;
+    }
+
+    const result = applyExceptionsToResult(analysisResult.data, exceptions, checklistId);
+
+    // 요약 + 기준 검사 (뷰포트별, 상태별 분석 결과 포함)
+    const entries = result.viewports ? Object.entries(result.viewports) : [[null, result]];
+    const failures = [];
+    entries.forEach(([viewport, vpResult]) => {
+      printSummary(vpResult, viewport);
+      failures.push(...checkThresholds(vpResult, options.thresholds, viewport));
+
+      (vpResult.states || []).forEach(state => {
+        const label = viewport ? `${viewport}/${state.name}` : state.name;
+        if (state.error) {
+          // 동작이 실패한 상태는 기준을 확인할 수 없으므로 미달로 처리
+          failures.push(`[${label}] 상태 분석 실패: ${state.error}`);
+          return;
+        }
+        printSummary({ ...state, url: `${vpResult.url} (${state.actions.join(' → ')})` }, label);
+        failures.push(...checkThresholds(state, options.thresholds, label));
+      });
+    });
+
+    if (result.comparison) {
+      console.log(`📱 반응형 이슈: ${result.comparison.issues.length}개`);
+      result.comparison.issues.forEach(issue => console.log(`  - ${issue.message}`));
+    }
+
+    writeFile(options.output, JSON.stringify(result, null, 2));
+    if (options.sarif) writeFile(options.sarif, JSON.stringify(toSarif(result), null, 2));
+    if (options.junit) writeFile(options.junit, toJUnit(result));
+
+    if (failures.length > 0) {
+      console.error('');
+      console.error('❌ 기준 미달:');
+      failures.forEach(failure => console.error(`  - ${failure}`));
+      return EXIT_CODES.THRESHOLD_FAILED;
+    }
+
+    console.log('');
+    console.log('✅ 모든 기준 통과');
+    return EXIT_CODES.PASS;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.ERROR;
+  } finally {
+    await closeBrowserPool();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  parseCliArgs,
+  checkThresholds
+};
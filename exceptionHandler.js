@@ -3,30 +3,128 @@
  * Railway Backend의 핵심 기능
  */
 
+const { resolveRule } = require('./krdsRules');
+const { mapAxeRule, generateKWCAGReport } = require('./kwcagReport');
+const { resolveScoringPolicy, scoreResult } = require('./scoringPolicy');
+
+// 접근성 예외 대상 필드 (KRDS 항목 대신 axe 규칙 / 셀렉터 / KWCAG 항목 / URL 패턴 지정)
+const ACCESSIBILITY_FIELDS = ['axe_rule', 'selector', 'kwcag_item', 'url'];
+
+/**
+ * 예외 만료 여부 (expires_at 없으면 만료 없음, 날짜만 지정하면 한국 표준시(KST, +09:00) 기준 그날 끝까지 유효)
+ */
+function isExceptionExpired(exc, now = new Date()) {
+  if (!exc || !exc.expires_at) return false;
+  const value = String(exc.expires_at);
+  const expiry = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999+09:00`) : new Date(value);
+  return !Number.isNaN(expiry.getTime()) && expiry.getTime() < now.getTime();
+}
+
+/**
+ * 만료된 예외 분리
+ * @returns {Object} { active, expired }
+ */
+function partitionExpired(exceptions, now = new Date()) {
+  const active = [];
+  const expired = [];
+  (exceptions || []).forEach(exc => (isExceptionExpired(exc, now) ? expired : active).push(exc));
+  return { active, expired };
+}
+
+/**
+ * exceptionInfo에 남길 만료 예외 요약
+ */
+function describeExpired(exc) {
+  return {
+    id: exc.id || null,
+    item_key: exc.item_key || null,
+    item_name: exc.item_name || null,
+    section: exc.section || exc.category || null,
+    reason: exc.reason || null,
+    approver: exc.approver || null,
+    expires_at: exc.expires_at
+  };
+}
+
 /**
- * 예외 항목을 분석 결과에 적용
+ * URL 패턴 비교 (* 는 임의 문자열, 패턴이 없으면 모든 페이지)
+ */
+function matchesUrlPattern(pattern, url) {
+  if (!pattern) return true;
+  if (!url) return false;
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(String(url));
+}
+
+/**
+ * 접근성 예외 여부 (item_key/item_name 없이 axe 규칙/셀렉터/KWCAG 항목/URL 패턴만 지정)
+ */
+function isAccessibilityException(exc) {
+  return !exc.item_key && !exc.item_name && ACCESSIBILITY_FIELDS.some(field => exc[field]);
+}
+
+/**
+ * 분석 시 axe 위반 요소와 비교할 셀렉터 (유효한 접근성 예외의 selector)
+ * @returns {Array} 중복 없는 셀렉터 목록
+ */
+function getExceptionSelectors(exceptions) {
+  const { active } = partitionExpired(exceptions);
+  return Array.from(new Set(
+    active
+      .filter(exc => isAccessibilityException(exc) && typeof exc.selector === 'string' && exc.selector.trim())
+      .map(exc => exc.selector)
+  ));
+}
+
+/**
+ * 예외 항목을 분석 결과에 적용 (만료된 예외는 무시하고 exceptionInfo.expired에 기록)
+ * - KRDS 예외(item_key): 섹션 항목을 100점 처리
+ * - 접근성 예외(axe_rule / selector / kwcag_item / url): 해당 axe 위반 요소를 excepted로 옮기고 KWCAG 보고서 재계산
+ * url 패턴이 있는 예외는 분석 URL이 일치할 때만 적용
  * @param {Object} analysisResults - 원본 분석 결과
- * @param {Array} exceptions - 예외 항목 배열
+ * @param {Array} allExceptions - 예외 항목 배열
  * @param {String} checklistId - 체크리스트 ID
  * @returns {Object} 조정된 분석 결과
  */
-function applyExceptions(analysisResults, exceptions, checklistId) {
-  if (!exceptions || exceptions.length === 0) {
-    console.log('ℹ️ 예외 항목 없음 - 원본 점수 반환');
-    return analysisResults;
+function applyExceptions(analysisResults, allExceptions, checklistId) {
+  const { active, expired } = partitionExpired(allExceptions);
+  const exceptions = active.filter(exc => matchesUrlPattern(exc.url, analysisResults.url));
+
+  if (exceptions.length === 0) {
+    if (expired.length === 0) {
+      console.log('ℹ️ 예외 항목 없음 - 원본 점수 반환');
+      return analysisResults;
+    }
+
+    console.log(`ℹ️ 유효한 예외 없음 (만료 ${expired.length}개) - 원본 점수 반환`);
+    return {
+      ...analysisResults,
+      exceptionInfo: {
+        applied: false,
+        checklistId: checklistId,
+        totalExceptions: 0,
+        originalScore: analysisResults.overallScore,
+        adjustedScore: analysisResults.overallScore,
+        scoreDifference: 0,
+        expired: expired.map(describeExpired)
+      }
+    };
   }
 
   console.log('🔧 [예외 처리] 시작:', {
     원본점수: analysisResults.overallScore,
     예외개수: exceptions.length,
+    만료: expired.length,
     체크리스트ID: checklistId
   });
 
   // 깊은 복사
   const adjusted = JSON.parse(JSON.stringify(analysisResults));
 
-  // 섹션별 예외 그룹화
-  const exceptionsBySection = groupExceptionsBySection(exceptions);
+  // item_key → KRDS 규칙 ID 변환 후 섹션별 그룹화
+  const accessibilityExceptions = exceptions.filter(isAccessibilityException);
+  const normalizedExceptions = exceptions.filter(exc => !isAccessibilityException(exc)).map(normalizeException);
+  const exceptionsBySection = groupExceptionsBySection(normalizedExceptions);
 
   // 각 섹션 조정
   if (exceptionsBySection['디자인 스타일'] && adjusted.designStyles) {
@@ -79,9 +177,24 @@ function applyExceptions(analysisResults, exceptions, checklistId) {
     }
   }
 
-  // 전체 점수 재계산
+  // axe 위반 / 키보드 검사 예외 + KWCAG 재계산
+  const accessibility = accessibilityExceptions.length > 0
+    ? applyAccessibilityExceptions(adjusted, accessibilityExceptions)
+    : null;
+
+  // 전체 점수 재계산 (분석 시 사용한 점수 정책 그대로, 예외 처리된 axe 위반은 상한에서 제외)
   const originalScore = analysisResults.overallScore;
-  adjusted.overallScore = calculateOverallScore(adjusted);
+  const { overallScore, scoring } = scoreResult(adjusted, resolveScoringPolicy(analysisResults.scoring?.policy));
+  adjusted.overallScore = overallScore;
+  adjusted.scoring = scoring;
+  if (adjusted.krdsCompliance) {
+    adjusted.krdsCompliance = {
+      ...adjusted.krdsCompliance,
+      score: overallScore,
+      basicPatterns: { overallScore: scoring.sections.basicPatterns },
+      servicePatterns: { overallScore: scoring.sections.servicePatterns }
+    };
+  }
 
   // 조정 정보 추가
   adjusted.exceptionInfo = {
@@ -91,7 +204,13 @@ function applyExceptions(analysisResults, exceptions, checklistId) {
     originalScore: originalScore,
     adjustedScore: adjusted.overallScore,
     scoreDifference: adjusted.overallScore - originalScore,
-    sections: Object.keys(exceptionsBySection)
+    sections: Object.keys(exceptionsBySection),
+    ruleIds: normalizedExceptions.map(e => e.ruleId).filter(Boolean),
+    unresolved: normalizedExceptions
+      .filter(e => !e.ruleId)
+      .map(e => e.item_key || e.item_name),
+    accessibility,
+    expired: expired.map(describeExpired)
   };
 
   console.log('✅ [예외 처리] 완료:', {
@@ -103,6 +222,21 @@ function applyExceptions(analysisResults, exceptions, checklistId) {
   return adjusted;
 }
 
+/**
+ * 예외 항목 정규화
+ * item_key(규칙 ID 권장, 기존 항목 이름/별칭 호환) → ruleId, section 보완
+ */
+function normalizeException(exc) {
+  const rule = resolveRule(exc.item_key, exc.section) ||
+    resolveRule(exc.item_name, exc.section);
+
+  return {
+    ...exc,
+    ruleId: rule ? rule.id : null,
+    section: exc.section || exc.category || (rule ? rule.sectionName : '기타')
+  };
+}
+
 /**
  * 섹션별 예외 그룹화
  */
@@ -126,17 +260,14 @@ function groupExceptionsBySection(exceptions) {
 function adjustSection(items, exceptions, keyField = 'category') {
   if (!items || items.length === 0) return items;
 
-  const excludedKeys = exceptions.map(e => 
-    e.item_key || e.item_name || ''
-  ).filter(Boolean);
-
   let adjustedCount = 0;
 
   const result = items.map(item => {
     const itemKey = item[keyField] || item.name || item.englishName || '';
+    const exception = findException(exceptions, item.ruleId, itemKey);
     
     // 예외 항목에 포함되면 100점 처리
-    if (excludedKeys.includes(itemKey)) {
+    if (exception) {
       adjustedCount++;
       return {
         ...item,
@@ -144,9 +275,7 @@ function adjustSection(items, exceptions, keyField = 'category') {
         compliance: typeof item.compliance === 'string' ? '준수' : 100,
         issues: [],
         excluded: true,
-        exclusionReason: exceptions.find(e => 
-          (e.item_key || e.item_name) === itemKey
-        )?.reason || '예외 항목'
+        exclusionReason: exception.reason || '예외 항목'
       };
     }
     return item;
@@ -157,20 +286,140 @@ function adjustSection(items, exceptions, keyField = 'category') {
   return result;
 }
 
+/**
+ * axe node.target과 셀렉터 비교 (분석 시 표시한 exceptionSelectors 우선)
+ * 표시가 없으면 target이 셀렉터와 같거나, 셀렉터로 시작하는 하위 셀렉터거나, 단일 셀렉터를 포함할 때 일치
+ */
+function nodeMatchesSelector(node, selector) {
+  if ((node.exceptionSelectors || []).includes(selector)) return true;
+  return (node.target || []).flat().some(target => {
+    const value = String(target);
+    return value === selector ||
+      (value.startsWith(selector) && /^[\s>+~]/.test(value.slice(selector.length))) ||
+      value.split(/\s*[>+~]\s*|\s+/).includes(selector);
+  });
+}
+
+/**
+ * axe 위반 요소가 접근성 예외에 해당하는지 (지정한 조건 모두 일치)
+ */
+function matchesAccessibilityException(exc, rule, node, itemId) {
+  if (exc.axe_rule && exc.axe_rule !== rule.id) return false;
+  if (exc.kwcag_item && exc.kwcag_item !== itemId) return false;
+  if (exc.selector && !nodeMatchesSelector(node, exc.selector)) return false;
+  return true;
+}
+
+/**
+ * 키보드 검사가 접근성 예외에 해당하는지 (axe 규칙 예외는 해당 없음, 셀렉터는 모든 증거 요소가 일치해야 함)
+ */
+function matchesCheckException(exc, check) {
+  if (exc.axe_rule) return false;
+  if (exc.kwcag_item && exc.kwcag_item !== check.itemId) return false;
+  if (exc.selector) {
+    const evidence = check.evidence || [];
+    return evidence.length > 0 && evidence.every(item => nodeMatchesSelector({ target: [item.selector] }, exc.selector));
+  }
+  return true;
+}
+
+const describeException = (exc) => ({ id: exc.id || null, reason: exc.reason || '예외 항목', approver: exc.approver || null });
+
+/**
+ * 접근성 예외 적용 (adjusted를 직접 수정)
+ * 일치한 위반 요소는 axeResults.excepted로, 키보드 검사는 status: excepted로 옮긴 뒤 KWCAG 보고서 재계산
+ * @returns {Object} { totalExceptions, exceptedNodes, exceptedChecks, originalCompliance, adjustedCompliance, nodes, checks }
+ */
+function applyAccessibilityExceptions(adjusted, exceptions) {
+  const nodes = [];
+  const checks = [];
+
+  if (adjusted.axeResults) {
+    const violations = [];
+    const excepted = [];
+
+    (adjusted.axeResults.violations || []).forEach(rule => {
+      const itemId = mapAxeRule(rule);
+      const kept = [];
+      const removed = [];
+
+      rule.nodes.forEach(node => {
+        const exception = exceptions.find(exc => matchesAccessibilityException(exc, rule, node, itemId));
+        if (!exception) {
+          kept.push(node);
+          return;
+        }
+        removed.push({ ...node, exception: describeException(exception) });
+        nodes.push({
+          ruleId: rule.id,
+          kwcagItem: itemId,
+          impact: node.impact || rule.impact || null,
+          target: node.target,
+          html: node.html,
+          exception: describeException(exception)
+        });
+      });
+
+      if (kept.length > 0) violations.push({ ...rule, nodes: kept });
+      if (removed.length > 0) excepted.push({ ...rule, nodes: removed });
+    });
+
+    adjusted.axeResults.violations = violations;
+    adjusted.axeResults.excepted = [...(adjusted.axeResults.excepted || []), ...excepted];
+  }
+
+  if (adjusted.keyboardNavigation?.checks) {
+    adjusted.keyboardNavigation.checks = adjusted.keyboardNavigation.checks.map(check => {
+      if (check.status === 'pass' || check.status === 'excepted') return check;
+      const exception = exceptions.find(exc => matchesCheckException(exc, check));
+      if (!exception) return check;
+      checks.push({ id: check.id, kwcagItem: check.itemId, originalStatus: check.status, message: check.message, exception: describeException(exception) });
+      return { ...check, status: 'excepted', originalStatus: check.status, exception: describeException(exception) };
+    });
+  }
+
+  const originalCompliance = adjusted.kwcagReport?.overallCompliance ?? null;
+  if (adjusted.axeResults && (nodes.length > 0 || checks.length > 0)) {
+    const { error } = adjusted.kwcagReport || {};
+    adjusted.kwcagReport = {
+      ...generateKWCAGReport(adjusted.axeResults, adjusted.keyboardNavigation?.checks || []),
+      ...(error ? { error } : {})
+    };
+  }
+
+  console.log(`  ✓ 접근성 예외: 요소 ${nodes.length}개, 키보드 검사 ${checks.length}개 제외`);
+
+  return {
+    totalExceptions: exceptions.length,
+    exceptedNodes: nodes.length,
+    exceptedChecks: checks.length,
+    originalCompliance,
+    adjustedCompliance: adjusted.kwcagReport?.overallCompliance ?? null,
+    nodes,
+    checks
+  };
+}
+
+/**
+ * 항목에 해당하는 예외 찾기 (규칙 ID 우선, 규칙 미확인 예외는 항목 이름으로 비교)
+ */
+function findException(exceptions, ruleId, itemKey) {
+  return exceptions.find(e =>
+    (ruleId && e.ruleId === ruleId) ||
+    (!e.ruleId && (e.item_key || e.item_name) === itemKey)
+  ) || null;
+}
+
 /**
  * designTokensDetail 조정
  */
 function adjustDesignTokensDetail(detail, exceptions) {
   if (!detail) return detail;
 
-  const excludedKeys = exceptions.map(e => 
-    e.item_key || e.item_name || ''
-  ).filter(Boolean);
-
   const adjusted = { ...detail };
 
   Object.keys(adjusted).forEach(key => {
-    if (excludedKeys.includes(key)) {
+    if (findException(exceptions, adjusted[key]?.ruleId, key)) {
       adjusted[key] = {
         ...adjusted[key],
         score: 100,
@@ -186,47 +435,47 @@ function adjustDesignTokensDetail(detail, exceptions) {
 }
 
 /**
- * 전체 점수 재계산
+ * 단일 뷰포트 결과 예외 적용 (상태별 분석 결과 포함)
+ * 상태 결과에는 url이 없으므로 원래 페이지 url로 URL 패턴 예외를 판정
  */
-function calculateOverallScore(data) {
-  const scores = [];
-
-  if (data.designStyles && data.designStyles.length > 0) {
-    scores.push(calculateCategoryScore(data.designStyles));
-  }
-
-  if (data.components && data.components.length > 0) {
-    scores.push(calculateCategoryScore(data.components));
-  }
-
-  if (data.basicPatterns && data.basicPatterns.length > 0) {
-    scores.push(calculateCategoryScore(data.basicPatterns));
-  }
-
-  if (data.servicePatterns && data.servicePatterns.length > 0) {
-    scores.push(calculateCategoryScore(data.servicePatterns));
-  }
-
-  if (scores.length === 0) return 0;
-
-  const average = scores.reduce((a, b) => a + b, 0) / scores.length;
-  return Math.round(average);
+function applyExceptionsWithStates(result, exceptions, checklistId) {
+  const adjusted = applyExceptions(result, exceptions, checklistId);
+  if (!result.states) return adjusted;
+
+  return {
+    ...adjusted,
+    states: result.states.map(state => (state.error
+      ? state
+      : applyExceptions({ ...state, url: state.url || result.url }, exceptions, checklistId)))
+  };
 }
 
 /**
- * 카테고리 평균 점수 계산
+ * 예외 적용 (다중 뷰포트 결과면 뷰포트별로 적용 후 대표 점수/비교 점수 갱신)
  */
-function calculateCategoryScore(items) {
-  if (!items || items.length === 0) return 0;
-  
-  const total = items.reduce((sum, item) => {
-    const score = item.score || item.compliance || 0;
-    return sum + (typeof score === 'number' ? score : 0);
-  }, 0);
+function applyExceptionsToResult(data, exceptions, checklistId) {
+  if (!data.viewports) {
+    return applyExceptionsWithStates(data, exceptions, checklistId);
+  }
 
-  return Math.round(total / items.length);
+  const viewports = Object.fromEntries(
+    Object.entries(data.viewports).map(([vp, result]) => [vp, applyExceptionsWithStates(result, exceptions, checklistId)])
+  );
+  const scores = Object.fromEntries(
+    Object.entries(viewports).map(([vp, result]) => [vp, result.overallScore])
+  );
+
+  return {
+    ...data,
+    overallScore: Math.min(...Object.values(scores)),
+    viewports,
+    comparison: { ...data.comparison, scores }
+  };
 }
 
 module.exports = {
-  applyExceptions
+  applyExceptions,
+  applyExceptionsToResult,
+  getExceptionSelectors,
+  isExceptionExpired
 };
@@ -0,0 +1,184 @@
+/**
+ * 비동기 분석 작업 큐
+ * 프로세스 내 대기열 + 동시 실행 제한 + 진행 이벤트 구독
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// 동시 실행 작업 수 (JOB_CONCURRENCY 환경 변수)
+const DEFAULT_CONCURRENCY = 2;
+// 완료된 작업 보관 시간 (JOB_TTL_MS 환경 변수, 기본 1시간)
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * 작업 큐 생성
+ * @param {Function} processor - async (params, reportProgress) => result
+ * @param {Object} options - { concurrency, ttlMs }
+ */
+function createJobQueue(processor, options = {}) {
+  const concurrency = Math.max(1, Number(options.concurrency) || DEFAULT_CONCURRENCY);
+  const ttlMs = Number(options.ttlMs) || DEFAULT_TTL_MS;
+
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  // 외부에 노출하는 작업 정보 (내부 emitter 제외)
+  const toPublic = (job) => ({
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    queuePosition: job.status === JOB_STATUS.QUEUED ? pending.indexOf(job) + 1 : 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error
+  });
+
+  const emit = (job, type, data) => {
+    const event = { type, data: { jobId: job.id, ...data }, timestamp: new Date().toISOString() };
+    job.events.push(event);
+    job.emitter.emit('event', event);
+  };
+
+  // 완료 후 TTL 경과 시 삭제
+  const scheduleCleanup = (job) => {
+    const timer = setTimeout(() => jobs.delete(job.id), ttlMs);
+    if (timer.unref) timer.unref();
+  };
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      execute(job).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+  };
+
+  const execute = async (job) => {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    emit(job, 'status', { status: job.status });
+
+    const reportProgress = ({ stage, status, progress, message }) => {
+      job.stage = stage;
+      if (typeof progress === 'number') job.progress = progress;
+      emit(job, 'progress', { stage, status, progress: job.progress, message });
+    };
+
+    try {
+      job.result = await processor(job.params, reportProgress);
+      job.status = JOB_STATUS.COMPLETED;
+      job.progress = 100;
+      emit(job, 'complete', { status: job.status });
+    } catch (error) {
+      console.error(`❌ [작업 실패] ${job.id}:`, error.message);
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message;
+      emit(job, 'failed', { status: job.status, error: job.error });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      // 요청 파라미터(인증 정보, 업로드 파일 등)는 결과 보관 기간 동안 들고 있지 않음
+      job.params = null;
+      job.emitter.emit('end');
+      job.emitter.removeAllListeners('event');
+      scheduleCleanup(job);
+    }
+  };
+
+  /**
+   * 작업 등록 (즉시 반환)
+   */
+  function enqueue(params) {
+    const job = {
+      id: crypto.randomUUID(),
+      params,
+      status: JOB_STATUS.QUEUED,
+      stage: null,
+      progress: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      emitter: new EventEmitter()
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    emit(job, 'status', { status: job.status });
+    runNext();
+
+    return toPublic(job);
+  }
+
+  /**
+   * 작업 조회
+   */
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? toPublic(job) : null;
+  }
+
+  /**
+   * 작업 이벤트 구독 (지난 이벤트 재전송 후 실시간 전달)
+   * @returns {Function|null} 구독 해제 함수 (작업 없으면 null)
+   */
+  function subscribe(id, onEvent, onEnd) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    job.events.forEach(onEvent);
+
+    if (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) {
+      onEnd();
+      return () => {};
+    }
+
+    job.emitter.on('event', onEvent);
+    job.emitter.once('end', onEnd);
+
+    return () => {
+      job.emitter.off('event', onEvent);
+      job.emitter.off('end', onEnd);
+    };
+  }
+
+  /**
+   * 큐 상태
+   */
+  function stats() {
+    return {
+      concurrency,
+      running,
+      queued: pending.length,
+      total: jobs.size
+    };
+  }
+
+  return {
+    enqueue,
+    get,
+    subscribe,
+    stats
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  createJobQueue
+};
@@ -0,0 +1,388 @@
+/**
+ * 키보드 탐색 / 초점 검사
+ * 실제로 Tab 키를 눌러 초점 이동 순서를 기록하고 접근 가능 여부, 초점 표시, 시각 순서, 키보드 트랩, 건너뛰기 링크를 확인
+ * 결과(checks)는 KWCAG 보고서의 운용의 용이성 항목(6.1.1, 6.1.2, 6.4.1)에 반영
+ */
+
+const { injectPageHelpers } = require('./pageHelpers');
+
+// Tab 최대 횟수 (큰 페이지는 여기서 중단)
+const MAX_TAB_STOPS = 150;
+// 같은 요소에 연속으로 머물면 트랩으로 판단하는 횟수
+const TRAP_REPEAT_LIMIT = 3;
+// 시각 순서 비교 허용 오차 (px)
+const ORDER_TOLERANCE = 20;
+// 검사 결과별 증거 요소 최대 수
+const MAX_EVIDENCE = 10;
+// 건너뛰기 링크를 찾는 앞쪽 초점 수
+const SKIP_LINK_WINDOW = 3;
+
+// 검사 ID → KWCAG 검사항목
+const KEYBOARD_CHECKS = {
+  reachable: { itemId: '6.1.1', title: '키보드 접근' },
+  keyboardTrap: { itemId: '6.1.1', title: '키보드 트랩' },
+  focusVisible: { itemId: '6.1.2', title: '초점 표시' },
+  focusOrder: { itemId: '6.1.2', title: '초점 이동 순서' },
+  skipLink: { itemId: '6.4.1', title: '건너뛰기 링크' }
+};
+
+/**
+ * 검사 준비 (브라우저 컨텍스트에서 실행)
+ * 조작 요소 후보 목록과 초점 없는 상태의 스타일을 기록
+ */
+function prepareKeyboardAudit(selectors) {
+  const { query, isVisible, evidence } = window.__viewchecker;
+
+  if (document.activeElement && document.activeElement !== document.body) {
+    document.activeElement.blur();
+  }
+  window.scrollTo(0, 0);
+
+  const focusStyle = (el) => {
+    const style = window.getComputedStyle(el);
+    const outline = style.outlineStyle === 'none' || parseFloat(style.outlineWidth) === 0
+      ? 'none'
+      : `${style.outlineStyle} ${style.outlineWidth} ${style.outlineColor}`;
+    return [outline, style.boxShadow, style.borderTopColor, style.borderBottomColor, style.backgroundColor,
+      style.color, style.textDecorationLine].join('|');
+  };
+
+  // 키보드로 조작할 수 있어야 하는 요소 (숨김/비활성/tabindex=-1 제외, href 없는 링크는 클릭 핸들러가 있을 때만)
+  const candidates = query(selectors.join(', ')).filter(el =>
+    isVisible(el) &&
+    !el.disabled &&
+    el.getAttribute('tabindex') !== '-1' &&
+    !el.closest('[inert], [aria-hidden="true"]') &&
+    !(el.tagName === 'A' && !el.hasAttribute('href') && !el.hasAttribute('onclick') && !el.hasAttribute('role'))
+  );
+
+  // 후보 번호는 DOM에 표시하지 않고 보관 (스니펫에 검사용 속성이 섞이지 않도록)
+  const baseline = new Map(candidates.map(el => [el, focusStyle(el)]));
+
+  window.__viewcheckerKeyboard = { candidates, baseline, focusStyle };
+
+  return {
+    candidates: candidates.length,
+    positiveTabindex: query('[tabindex]')
+      .filter(el => parseInt(el.getAttribute('tabindex'), 10) > 0 && isVisible(el))
+      .slice(0, 10)
+      .map(el => evidence(el, el.getAttribute('tabindex')))
+  };
+}
+
+/**
+ * 현재 초점 요소 정보 (브라우저 컨텍스트에서 실행)
+ */
+function readFocus() {
+  const { uniqueSelector, accessibleName, boundingBox, snippet } = window.__viewchecker;
+  const { candidates, baseline, focusStyle } = window.__viewcheckerKeyboard;
+  const el = document.activeElement;
+
+  if (!el || el === document.body || el === document.documentElement) {
+    return { atBody: true };
+  }
+
+  // 초점 표시: 초점 전 스타일과 비교 (후보가 아닌 요소는 잠시 blur 해서 비교)
+  let indicator = null;
+  if (el.tagName !== 'IFRAME') {
+    const focused = focusStyle(el);
+    let unfocused = baseline.get(el);
+    if (unfocused === undefined) {
+      el.blur();
+      unfocused = focusStyle(el);
+      el.focus({ preventScroll: true });
+    }
+    indicator = focused !== unfocused;
+  }
+
+  const fixed = (() => {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      const position = window.getComputedStyle(node).position;
+      if (position === 'fixed' || position === 'sticky') return true;
+    }
+    return false;
+  })();
+
+  return {
+    atBody: false,
+    candidate: baseline.has(el) ? candidates.indexOf(el) : null,
+    selector: uniqueSelector(el),
+    tag: el.tagName.toLowerCase(),
+    name: accessibleName(el).replace(/\s+/g, ' ').slice(0, 60),
+    href: el.tagName === 'A' ? el.getAttribute('href') : null,
+    snippet: snippet(el),
+    boundingBox: boundingBox(el),
+    indicator,
+    fixed,
+    inModal: Boolean(el.closest('dialog[open], [aria-modal="true"]'))
+  };
+}
+
+/**
+ * 도달하지 못한 후보 요소 (같은 name의 라디오 그룹은 하나만 도달하면 통과)
+ * @param {Number} limit - 이 번호 이전 후보만 확인 (탐색이 중간에 끝난 경우)
+ */
+function findUnreachable({ reached, limit }) {
+  const { evidence } = window.__viewchecker;
+  const { candidates } = window.__viewcheckerKeyboard;
+  const reachedSet = new Set(reached);
+  const reachedRadioGroups = new Set(
+    reached
+      .map(index => candidates[index])
+      .filter(el => el && el.type === 'radio' && el.name)
+      .map(el => el.name)
+  );
+
+  const unreachable = [];
+  candidates.forEach((el, index) => {
+    if (index >= limit || reachedSet.has(index)) return;
+    if (el.type === 'radio' && el.name && reachedRadioGroups.has(el.name)) return;
+    unreachable.push(el);
+  });
+
+  return {
+    count: unreachable.length,
+    evidence: unreachable.slice(0, 10).map(el => evidence(el))
+  };
+}
+
+/**
+ * 건너뛰기 링크 대상 확인 + 다음 초점이 대상 안/뒤인지 확인 (브라우저 컨텍스트에서 실행)
+ */
+function inspectSkipTarget(href) {
+  const id = window.__viewchecker.fragmentId(href);
+  const target = id ? document.getElementById(id) || document.getElementsByName(id)[0] : null;
+  const focused = document.activeElement;
+  const movedPastTarget = Boolean(target && focused && focused !== document.body &&
+    (target === focused || target.contains(focused) ||
+      Boolean(target.compareDocumentPosition(focused) & Node.DOCUMENT_POSITION_FOLLOWING)));
+  return { targetExists: Boolean(target), movedPastTarget };
+}
+
+/**
+ * 검사 정리 (초점/스크롤/주소 복원)
+ */
+function cleanupKeyboardAudit(originalUrl) {
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  if (window.location.href !== originalUrl) history.replaceState(history.state, '', originalUrl);
+  window.scrollTo(0, 0);
+  delete window.__viewcheckerKeyboard;
+}
+
+/**
+ * Tab 키로 초점 이동 기록
+ * @returns {Object} { stops, completed, truncated, trap }
+ */
+async function recordFocusOrder(page) {
+  const stops = [];
+  const seen = new Map();
+  let repeat = 0;
+  let trap = null;
+  let completed = false;
+
+  for (let i = 0; i < MAX_TAB_STOPS; i++) {
+    await page.keyboard.press('Tab');
+    const focus = await page.evaluate(readFocus);
+
+    // 문서 끝을 지나 브라우저 UI로 초점이 빠짐 → 한 바퀴 완료
+    if (focus.atBody) {
+      if (stops.length > 0) {
+        completed = true;
+        break;
+      }
+      continue;
+    }
+
+    const previous = stops[stops.length - 1];
+    if (previous && previous.selector === focus.selector) {
+      // iframe 내부 이동은 바깥 문서에서 같은 요소로 보임
+      if (focus.tag === 'iframe') continue;
+      repeat += 1;
+      if (repeat >= TRAP_REPEAT_LIMIT) {
+        trap = { type: 'stuck', stops: [focus] };
+        break;
+      }
+      continue;
+    }
+    repeat = 0;
+
+    if (seen.has(focus.selector)) {
+      // 처음 요소로 돌아오면 한 바퀴 완료, 중간 요소로 돌아오면 일부 영역에 갇힘
+      const cycle = stops.slice(seen.get(focus.selector));
+      if (seen.get(focus.selector) === 0) {
+        completed = true;
+      } else {
+        trap = { type: 'cycle', stops: cycle, inModal: cycle.every(stop => stop.inModal) };
+      }
+      break;
+    }
+
+    seen.set(focus.selector, stops.length);
+    stops.push({ index: stops.length + 1, ...focus });
+  }
+
+  return { stops, completed, truncated: !completed && !trap, trap };
+}
+
+/**
+ * 시각 순서와 어긋나는 초점 이동 (아래 → 위로 되돌아가면서 오른쪽으로도 이동하지 않는 경우)
+ * 고정/스티키 요소는 스크롤에 따라 위치가 바뀌므로 제외
+ */
+function findOrderJumps(stops) {
+  const jumps = [];
+  for (let i = 1; i < stops.length; i++) {
+    const prev = stops[i - 1];
+    const next = stops[i];
+    if (prev.fixed || next.fixed || !prev.boundingBox.height || !next.boundingBox.height) continue;
+    const movedUp = next.boundingBox.y + ORDER_TOLERANCE < prev.boundingBox.y;
+    const movedRight = next.boundingBox.x > prev.boundingBox.x + ORDER_TOLERANCE;
+    if (movedUp && !movedRight) jumps.push({ from: prev, to: next });
+  }
+  return jumps;
+}
+
+/**
+ * 건너뛰기 링크 확인 (앞쪽 초점 중 같은 페이지 #앵커 링크 → Enter → 다음 Tab 초점이 대상 안/뒤인지)
+ */
+async function checkSkipLink(page, stops) {
+  const link = stops
+    .slice(0, SKIP_LINK_WINDOW)
+    .find(stop => stop.tag === 'a' && stop.href && stop.href.startsWith('#') && stop.href.length > 1);
+
+  if (!link) return { found: false };
+
+  const target = await page.evaluate(inspectSkipTarget, link.href);
+  if (!target.targetExists) {
+    return { found: true, selector: link.selector, name: link.name, href: link.href, targetExists: false, works: false };
+  }
+
+  await page.focus(link.selector);
+  await page.keyboard.press('Enter');
+  await page.keyboard.press('Tab');
+  const { movedPastTarget } = await page.evaluate(inspectSkipTarget, link.href);
+
+  return { found: true, selector: link.selector, name: link.name, href: link.href, targetExists: true, works: movedPastTarget };
+}
+
+const toEvidence = (stop) => ({ selector: stop.selector, snippet: stop.snippet, boundingBox: stop.boundingBox });
+
+/**
+ * 검사 결과 → KWCAG 반영용 판정 목록
+ */
+function buildChecks({ prepared, order, unreachable, jumps, skipLink }) {
+  const check = (id, status, message, evidence = []) => ({
+    id,
+    source: 'keyboard',
+    itemId: KEYBOARD_CHECKS[id].itemId,
+    title: KEYBOARD_CHECKS[id].title,
+    status,
+    message,
+    evidence: evidence.slice(0, MAX_EVIDENCE)
+  });
+
+  const checks = [];
+
+  // 6.1.1 키보드 접근
+  if (unreachable.count > 0) {
+    checks.push(check('reachable', 'fail', `키보드로 초점을 받을 수 없는 조작 요소 ${unreachable.count}개`, unreachable.evidence));
+  } else if (prepared.candidates > 0) {
+    checks.push(check('reachable', 'pass', `조작 요소 ${prepared.candidates}개 모두 키보드로 접근 가능`));
+  }
+
+  // 6.1.1 키보드 트랩 (모달 대화상자 안에서 순환하는 것은 의도된 초점 가두기)
+  if (order.trap && !order.trap.inModal) {
+    checks.push(check(
+      'keyboardTrap',
+      'fail',
+      order.trap.type === 'stuck'
+        ? 'Tab 키를 눌러도 초점이 한 요소에서 벗어나지 않음'
+        : `초점이 ${order.trap.stops.length}개 요소 사이에서만 순환함`,
+      order.trap.stops.map(toEvidence)
+    ));
+  } else if (order.completed || order.trap?.inModal) {
+    checks.push(check('keyboardTrap', 'pass', order.trap?.inModal
+      ? '모달 대화상자 안에서 초점이 순환함 (의도된 초점 가두기)'
+      : '페이지 끝까지 Tab 이동 후 처음으로 돌아옴'));
+  }
+
+  // 6.1.2 초점 표시
+  const invisible = order.stops.filter(stop => stop.indicator === false);
+  if (invisible.length > 0) {
+    checks.push(check('focusVisible', 'fail', `초점을 받아도 스타일 변화가 없는 요소 ${invisible.length}개`, invisible.map(toEvidence)));
+  } else if (order.stops.length > 0) {
+    checks.push(check('focusVisible', 'pass', '모든 초점 요소에 초점 표시가 있음'));
+  }
+
+  // 6.1.2 초점 이동 순서 (양수 tabindex는 실패, 시각 순서 역행은 확인 필요)
+  if (prepared.positiveTabindex.length > 0) {
+    checks.push(check('focusOrder', 'fail', `양수 tabindex로 초점 순서를 바꾼 요소 ${prepared.positiveTabindex.length}개`, prepared.positiveTabindex));
+  } else if (jumps.length > 0) {
+    checks.push(check('focusOrder', 'review', `화면 배치와 어긋나는 초점 이동 ${jumps.length}건`, jumps.map(jump => toEvidence(jump.to))));
+  } else if (order.stops.length > 1) {
+    checks.push(check('focusOrder', 'pass', '초점 이동 순서가 화면 배치 순서와 일치'));
+  }
+
+  // 6.4.1 건너뛰기 링크
+  if (!skipLink.found) {
+    checks.push(check('skipLink', 'fail', '페이지 처음에 건너뛰기 링크가 없음'));
+  } else if (!skipLink.targetExists) {
+    checks.push(check('skipLink', 'fail', `건너뛰기 링크의 대상(${skipLink.href})이 없음`, [{ selector: skipLink.selector }]));
+  } else if (!skipLink.works) {
+    checks.push(check('skipLink', 'fail', '건너뛰기 링크를 실행해도 초점이 본문으로 이동하지 않음', [{ selector: skipLink.selector }]));
+  } else {
+    checks.push(check('skipLink', 'pass', `건너뛰기 링크 동작 확인 (${skipLink.href})`));
+  }
+
+  return checks;
+}
+
+/**
+ * ⌨️ 키보드 탐색 검사
+ * @param {Page} page - Playwright 페이지
+ * @param {Array} selectors - 키보드로 조작할 수 있어야 하는 요소 셀렉터
+ * @returns {Promise<Object>} { focusOrder, candidates, completed, truncated, trap, unreachable, orderJumps, skipLink, checks }
+ */
+async function auditKeyboardNavigation(page, selectors) {
+  await injectPageHelpers(page);
+  const originalUrl = page.url();
+
+  try {
+    const prepared = await page.evaluate(prepareKeyboardAudit, selectors);
+    const order = await recordFocusOrder(page);
+
+    // 탐색이 중간에 끝났으면 마지막으로 도달한 후보 이전 요소만 확인
+    const reached = order.stops.map(stop => stop.candidate).filter(index => index !== null);
+    const limit = order.completed ? prepared.candidates : Math.max(-1, ...reached) + 1;
+    const unreachable = await page.evaluate(findUnreachable, { reached, limit }).catch(() => ({ count: 0, evidence: [] }));
+
+    const jumps = findOrderJumps(order.stops);
+    const skipLink = await checkSkipLink(page, order.stops);
+    const checks = buildChecks({ prepared, order, unreachable, jumps, skipLink });
+
+    console.log('⌨️ 키보드 탐색 완료:', {
+      초점수: order.stops.length,
+      도달불가: unreachable.count,
+      트랩: order.trap ? order.trap.type : '없음'
+    });
+
+    return {
+      candidates: prepared.candidates,
+      completed: order.completed,
+      truncated: order.truncated,
+      trap: order.trap ? { type: order.trap.type, inModal: Boolean(order.trap.inModal), selectors: order.trap.stops.map(stop => stop.selector) } : null,
+      focusOrder: order.stops.map(({ index, selector, tag, name, boundingBox, indicator }) => ({ index, selector, tag, name, boundingBox, indicator })),
+      unreachable: unreachable.evidence,
+      unreachableCount: unreachable.count,
+      orderJumps: jumps.map(jump => ({ from: jump.from.selector, to: jump.to.selector })),
+      skipLink,
+      checks
+    };
+  } finally {
+    await page.evaluate(cleanupKeyboardAudit, originalUrl).catch(() => {});
+  }
+}
+
+module.exports = {
+  KEYBOARD_CHECKS,
+  auditKeyboardNavigation
+};
@@ -0,0 +1,347 @@
+/**
+ * KRDS 규칙 카탈로그
+ * 분석 결과/예외 항목(item_key)/GET /api/rules 가 공통으로 참조하는 규칙 목록
+ */
+
+const RULES_VERSION = '1.0.0';
+
+const KRDS_BASE_URL = 'https://www.krds.go.kr/html/site';
+
+// 섹션 정의 (분석 결과 필드명 ↔ 예외 section 이름)
+const SECTIONS = {
+  designStyles: { name: '디자인 스타일', englishName: 'Design Styles' },
+  components: { name: '컴포넌트', englishName: 'Components' },
+  basicPatterns: { name: '기본 패턴', englishName: 'Basic Patterns' },
+  servicePatterns: { name: '서비스 패턴', englishName: 'Service Patterns' }
+};
+
+/**
+ * 규칙 목록
+ * - id: 안정적인 규칙 ID (변경 금지)
+ * - key: 분석 결과 항목 이름 (category/type/name)
+ * - aliases: 예외 item_key 호환용 별칭
+ */
+const KRDS_RULES = [
+  // ─── 디자인 스타일 ───
+  {
+    id: 'KRDS-DS-COLOR',
+    section: 'designStyles',
+    key: '색상',
+    title: { ko: '색상', en: 'Color' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/style/style_01.html`,
+    aliases: ['color', 'colors']
+  },
+  {
+    id: 'KRDS-DS-TYPOGRAPHY',
+    section: 'designStyles',
+    key: '타이포그래피',
+    title: { ko: '타이포그래피', en: 'Typography' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/style/style_02.html`,
+    aliases: ['typography', 'fonts']
+  },
+  {
+    id: 'KRDS-DS-SHAPE',
+    section: 'designStyles',
+    key: '형태',
+    title: { ko: '형태', en: 'Shape' },
+    severity: 'minor',
+    url: `${KRDS_BASE_URL}/style/style_03.html`,
+    aliases: ['shape', 'radius']
+  },
+  {
+    id: 'KRDS-DS-LAYOUT',
+    section: 'designStyles',
+    key: '레이아웃',
+    title: { ko: '레이아웃', en: 'Layout' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/style/style_04.html`,
+    aliases: ['layout', 'grid']
+  },
+  {
+    id: 'KRDS-DS-ICON',
+    section: 'designStyles',
+    key: '아이콘',
+    title: { ko: '아이콘', en: 'Icon' },
+    severity: 'minor',
+    url: `${KRDS_BASE_URL}/style/style_05.html`,
+    aliases: ['icon', 'icons']
+  },
+  {
+    id: 'KRDS-DS-ELEVATION',
+    section: 'designStyles',
+    key: '엘리베이션',
+    title: { ko: '엘리베이션', en: 'Elevation' },
+    severity: 'minor',
+    url: `${KRDS_BASE_URL}/style/style_06.html`,
+    aliases: ['elevation', 'shadow']
+  },
+  {
+    id: 'KRDS-DS-HIGH-CONTRAST',
+    section: 'designStyles',
+    key: '선명한 화면 모드',
+    title: { ko: '선명한 화면 모드', en: 'High Contrast Mode' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/style/style_07.html`,
+    aliases: ['highContrast', 'high-contrast']
+  },
+  {
+    id: 'KRDS-DS-LINK',
+    section: 'designStyles',
+    key: '링크',
+    title: { ko: '링크', en: 'Link Style' },
+    severity: 'minor',
+    url: `${KRDS_BASE_URL}/style/style_08.html`,
+    aliases: ['links']
+  },
+  {
+    id: 'KRDS-DS-BUTTON',
+    section: 'designStyles',
+    key: '버튼',
+    title: { ko: '버튼', en: 'Button Style' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/style/style_09.html`,
+    aliases: ['buttons']
+  },
+
+  // ─── 컴포넌트 ───
+  {
+    id: 'KRDS-CP-BUTTON',
+    section: 'components',
+    key: 'button',
+    title: { ko: '버튼', en: 'Button' },
+    severity: 'critical',
+    url: `${KRDS_BASE_URL}/component/component_03_01.html`,
+    aliases: []
+  },
+  {
+    id: 'KRDS-CP-INPUT',
+    section: 'components',
+    key: 'input',
+    title: { ko: '텍스트 입력 필드', en: 'Text Input' },
+    severity: 'critical',
+    url: `${KRDS_BASE_URL}/component/component_05_03.html`,
+    aliases: ['text-input']
+  },
+  {
+    id: 'KRDS-CP-SELECT',
+    section: 'components',
+    key: 'select',
+    title: { ko: '셀렉트', en: 'Select' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/component/component_05_06.html`,
+    aliases: []
+  },
+  {
+    id: 'KRDS-CP-CHECKBOX',
+    section: 'components',
+    key: 'checkbox',
+    title: { ko: '체크박스', en: 'Checkbox' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/component/component_05_04.html`,
+    aliases: []
+  },
+  {
+    id: 'KRDS-CP-RADIO',
+    section: 'components',
+    key: 'radio',
+    title: { ko: '라디오 버튼', en: 'Radio Button' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/component/component_05_05.html`,
+    aliases: []
+  },
+  {
+    id: 'KRDS-CP-LINK',
+    section: 'components',
+    key: 'link',
+    title: { ko: '링크', en: 'Link' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/component/component_03_03.html`,
+    aliases: []
+  },
+  {
+    id: 'KRDS-CP-CARD',
+    section: 'components',
+    key: 'card',
+    title: { ko: '카드', en: 'Card' },
+    severity: 'minor',
+    url: `${KRDS_BASE_URL}/component/component_04_05.html`,
+    aliases: []
+  },
+  {
+    id: 'KRDS-CP-TABLE',
+    section: 'components',
+    key: 'table',
+    title: { ko: '표', en: 'Table' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/component/component_04_07.html`,
+    aliases: []
+  },
+
+  // ─── 기본 패턴 ───
+  {
+    id: 'KRDS-BP-LAYOUT',
+    section: 'basicPatterns',
+    key: '레이아웃',
+    title: { ko: '레이아웃', en: 'Layout' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/global/global_01.html`,
+    aliases: ['Layout']
+  },
+  {
+    id: 'KRDS-BP-NAVIGATION',
+    section: 'basicPatterns',
+    key: '네비게이션',
+    title: { ko: '네비게이션', en: 'Navigation' },
+    severity: 'critical',
+    url: `${KRDS_BASE_URL}/global/global_02.html`,
+    aliases: ['Navigation']
+  },
+  {
+    id: 'KRDS-BP-INFORMATION-ARCHITECTURE',
+    section: 'basicPatterns',
+    key: '정보구조',
+    title: { ko: '정보구조', en: 'Information Architecture' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/global/global_03.html`,
+    aliases: ['Information Architecture']
+  },
+  {
+    id: 'KRDS-BP-INTERACTION',
+    section: 'basicPatterns',
+    key: '인터랙션',
+    title: { ko: '인터랙션', en: 'Interaction' },
+    severity: 'critical',
+    url: `${KRDS_BASE_URL}/global/global_04.html`,
+    aliases: ['Interaction']
+  },
+  {
+    id: 'KRDS-BP-STATE',
+    section: 'basicPatterns',
+    key: '상태관리',
+    title: { ko: '상태관리', en: 'State Management' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/global/global_05.html`,
+    aliases: ['State Management']
+  },
+  {
+    id: 'KRDS-BP-FEEDBACK',
+    section: 'basicPatterns',
+    key: '피드백',
+    title: { ko: '피드백', en: 'Feedback' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/global/global_06.html`,
+    aliases: ['Feedback']
+  },
+
+  // ─── 서비스 패턴 ───
+  {
+    id: 'KRDS-SP-LOGIN',
+    section: 'servicePatterns',
+    key: '로그인',
+    title: { ko: '로그인', en: 'Login' },
+    severity: 'critical',
+    url: `${KRDS_BASE_URL}/service/service_02_01.html`,
+    aliases: ['Login']
+  },
+  {
+    id: 'KRDS-SP-SEARCH',
+    section: 'servicePatterns',
+    key: '검색',
+    title: { ko: '검색', en: 'Search' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/service/service_03_01.html`,
+    aliases: ['Search']
+  },
+  {
+    id: 'KRDS-SP-LIST-DETAIL',
+    section: 'servicePatterns',
+    key: '목록/상세',
+    title: { ko: '목록/상세', en: 'List/Detail' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/service/service_04_01.html`,
+    aliases: ['List/Detail']
+  },
+  {
+    id: 'KRDS-SP-CREATE-EDIT',
+    section: 'servicePatterns',
+    key: '등록/수정',
+    title: { ko: '등록/수정', en: 'Create/Edit' },
+    severity: 'critical',
+    url: `${KRDS_BASE_URL}/service/service_05_01.html`,
+    aliases: ['Create/Edit']
+  },
+  {
+    id: 'KRDS-SP-NOTIFICATION',
+    section: 'servicePatterns',
+    key: '알림',
+    title: { ko: '알림', en: 'Notification' },
+    severity: 'major',
+    url: `${KRDS_BASE_URL}/service/service_06_01.html`,
+    aliases: ['Notification']
+  }
+].map(rule => ({
+  ...rule,
+  sectionName: SECTIONS[rule.section].name,
+  version: RULES_VERSION
+}));
+
+/**
+ * 규칙 ID로 조회
+ */
+function getRule(id) {
+  return KRDS_RULES.find(rule => rule.id === id) || null;
+}
+
+/**
+ * 섹션 + 분석 결과 항목 이름으로 조회
+ * @param {String} section - 'designStyles' | 'components' | 'basicPatterns' | 'servicePatterns'
+ * @param {String} key - 항목 이름 (예: '색상', 'button', '로그인')
+ */
+function findRule(section, key) {
+  return KRDS_RULES.find(rule => rule.section === section && rule.key === key) || null;
+}
+
+/**
+ * 예외 item_key/item_name → 규칙
+ * 규칙 ID, 항목 이름, 한/영 제목, 별칭 순으로 매칭 (섹션을 알면 섹션 내에서만)
+ * @param {String} value - item_key 또는 item_name
+ * @param {String} sectionName - 예외의 section (예: '디자인 스타일'), 선택
+ */
+function resolveRule(value, sectionName) {
+  if (!value) return null;
+
+  const byId = getRule(value);
+  if (byId) return byId;
+
+  const normalized = String(value).trim().toLowerCase();
+  const candidates = sectionName
+    ? KRDS_RULES.filter(rule => rule.sectionName === sectionName || rule.section === sectionName)
+    : KRDS_RULES;
+
+  return candidates.find(rule =>
+    rule.key.toLowerCase() === normalized ||
+    rule.title.ko.toLowerCase() === normalized ||
+    rule.title.en.toLowerCase() === normalized ||
+    rule.aliases.some(alias => alias.toLowerCase() === normalized)
+  ) || null;
+}
+
+/**
+ * 규칙 목록 (섹션 필터 선택)
+ */
+function listRules({ section } = {}) {
+  if (!section) return KRDS_RULES;
+  return KRDS_RULES.filter(rule => rule.section === section || rule.sectionName === section);
+}
+
+module.exports = {
+  RULES_VERSION,
+  SECTIONS,
+  KRDS_RULES,
+  getRule,
+  findRule,
+  resolveRule,
+  listRules
+};
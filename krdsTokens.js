@@ -0,0 +1,146 @@
+/**
+ * KRDS 디자인 토큰
+ * 디자인 스타일 분석 시 측정값과 비교하는 기준값 (단위: px)
+ */
+
+const KRDS_TOKENS = {
+  // 색상: 팔레트 토큰 (hex)과 명도 대비 기준
+  color: {
+    palette: {
+      'primary-5': '#ecf2fe',
+      'primary-10': '#d8e5fd',
+      'primary-20': '#b1cefb',
+      'primary-30': '#86aff9',
+      'primary-40': '#4c87f6',
+      'primary-50': '#256ef4',
+      'primary-60': '#0b50d0',
+      'primary-70': '#083891',
+      'primary-80': '#052561',
+      'primary-90': '#03163a',
+      'primary-95': '#020f27',
+      'secondary-5': '#eef2f7',
+      'secondary-10': '#d6e0eb',
+      'secondary-20': '#bacbde',
+      'secondary-30': '#90b0d5',
+      'secondary-40': '#6b96c7',
+      'secondary-50': '#346fb2',
+      'secondary-60': '#1c589c',
+      'secondary-70': '#063a74',
+      'secondary-80': '#052b57',
+      'secondary-90': '#031f3f',
+      'secondary-95': '#02162c',
+      'gray-0': '#ffffff',
+      'gray-5': '#f4f5f6',
+      'gray-10': '#e6e8ea',
+      'gray-20': '#cdd1d5',
+      'gray-30': '#b1b8be',
+      'gray-40': '#8a949e',
+      'gray-50': '#6d7882',
+      'gray-60': '#58616a',
+      'gray-70': '#464c53',
+      'gray-80': '#33363d',
+      'gray-90': '#1e2124',
+      'gray-95': '#131416',
+      'gray-100': '#000000',
+      'danger-5': '#fdefec',
+      'danger-10': '#fcdfd9',
+      'danger-50': '#de3412',
+      'danger-60': '#bd2c0f',
+      'danger-70': '#8a240f',
+      'warning-5': '#fff3db',
+      'warning-10': '#ffe0a3',
+      'warning-50': '#9e6a00',
+      'warning-60': '#8a5c00',
+      'warning-70': '#614100',
+      'success-5': '#eaf6ec',
+      'success-10': '#d8eedd',
+      'success-50': '#228738',
+      'success-60': '#267337',
+      'success-70': '#285d33',
+      'information-5': '#e7f4fe',
+      'information-10': '#d3ebfd',
+      'information-50': '#0b78cb',
+      'information-60': '#096ab3',
+      'information-70': '#085691'
+    },
+    // 가장 가까운 토큰과의 색차(CIE76 ΔE)가 이 값을 넘으면 팔레트 밖 색상
+    maxDistance: 5,
+    // 명도 대비 (KWCAG 2.2 5.3.3): 큰 텍스트는 24px 이상 또는 18.66px 이상 굵은 글꼴
+    contrast: {
+      normal: 4.5,
+      large: 3,
+      largeFontSize: 24,
+      largeBoldFontSize: 18.66,
+      boldWeight: 700
+    }
+  },
+
+  // 타이포그래피: 글꼴, 글자 크기 스케일, 본문 최소 크기, 줄 간격 비율
+  typography: {
+    primaryFamilies: ['pretendard gov', 'pretendard gov variable', 'pretendard', 'pretendard variable'],
+    fallbackFamilies: [
+      '-apple-system', 'blinkmacsystemfont', 'system-ui', 'apple sd gothic neo', 'malgun gothic', '맑은 고딕',
+      'noto sans kr', 'segoe ui', 'roboto', 'helvetica neue', 'arial', 'sans-serif',
+      'apple color emoji', 'segoe ui emoji', 'segoe ui symbol'
+    ],
+    // 고정폭 텍스트(code/pre/kbd/samp)는 글꼴 검사 제외
+    monospaceSelector: 'code, pre, kbd, samp',
+    scale: [13, 15, 17, 19, 22, 24, 28, 32, 36, 40, 44, 60],
+    scaleTolerance: 0.5,
+    minBodySize: 15,
+    lineHeight: {
+      body: 1.5,
+      heading: 1.2,
+      tolerance: 0.05
+    }
+  },
+
+  // 간격: margin/padding 스케일 (스케일 최댓값보다 큰 값은 레이아웃 배치로 보고 제외)
+  spacing: {
+    scale: [0, 2, 4, 6, 8, 12, 16, 20, 24, 32, 40, 48, 56, 64, 80],
+    tolerance: 0.5
+  },
+
+  // 형태: 모서리 반경 스케일
+  shape: {
+    radius: [0, 2, 4, 6, 8, 10, 12, 16, 20, 24, 32],
+    // 원형/알약형 (반경 ≥ 요소 짧은 변의 절반)은 허용
+    allowFull: true
+  },
+
+  // 레이아웃: 반응형 분기점과 컨테이너 최대 너비
+  layout: {
+    breakpoints: [360, 600, 768, 1024, 1280, 1440],
+    containerWidths: [1200, 1280, 1440],
+    breakpointTolerance: 1
+  },
+
+  // 아이콘: 크기 스케일
+  icon: {
+    sizes: [12, 16, 20, 24, 28, 32, 40, 48],
+    tolerance: 1
+  },
+
+  // 엘리베이션: 그림자 단계 (offsetY / blur)
+  elevation: {
+    levels: [
+      { level: 1, offsetY: 1, blur: 4 },
+      { level: 2, offsetY: 2, blur: 8 },
+      { level: 3, offsetY: 4, blur: 16 },
+      { level: 4, offsetY: 8, blur: 24 },
+      { level: 5, offsetY: 12, blur: 32 }
+    ],
+    tolerance: 2
+  },
+
+  // 컴포넌트: 입력 필드 높이와 최소 조작 영역
+  component: {
+    fieldHeights: [40, 48, 56],
+    fieldHeightTolerance: 1,
+    minTargetSize: 24
+  }
+};
+
+module.exports = {
+  KRDS_TOKENS
+};
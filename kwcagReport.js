@@ -0,0 +1,445 @@
+/**
+ * KWCAG 2.2 보고서
+ * axe-core 결과를 한국형 웹 콘텐츠 접근성 지침 2.2 (33개 검사항목)으로 변환
+ */
+
+const STANDARD = 'KWCAG 2.2';
+
+// 4대 원칙
+const PRINCIPLES = {
+  perceivable: '인식의 용이성',
+  operable: '운용의 용이성',
+  understandable: '이해의 용이성',
+  robust: '견고성'
+};
+
+/**
+ * KWCAG 2.2 검사항목 (33개)
+ * - level: 대응 WCAG 성공기준 수준 (A/AA)
+ * - wcag: 대응 WCAG 2.2 성공기준
+ * - automation: 'full' 자동 판정 가능 / 'partial' 자동 검사 후 수동 확인 필요 / 'manual' 자동 검사 불가
+ * - manualCheck: 사람이 확인해야 할 내용
+ */
+const KWCAG_ITEMS = [
+  // ─── 인식의 용이성 ───
+  { id: '5.1.1', title: '적절한 대체 텍스트 제공', principle: 'perceivable', level: 'A', wcag: ['1.1.1'], automation: 'partial',
+    manualCheck: '대체 텍스트가 이미지의 의미와 기능을 정확히 전달하는지 확인' },
+  { id: '5.2.1', title: '자막 제공', principle: 'perceivable', level: 'A', wcag: ['1.2.1', '1.2.2', '1.2.3', '1.2.5'], automation: 'partial',
+    manualCheck: '영상/음성 콘텐츠의 자막, 원고 또는 수어가 내용과 동기화되어 제공되는지 확인' },
+  { id: '5.3.1', title: '표의 구성', principle: 'perceivable', level: 'A', wcag: ['1.3.1'], automation: 'partial',
+    manualCheck: '표 제목과 제목 셀이 표 내용을 정확히 설명하는지 확인' },
+  { id: '5.3.2', title: '콘텐츠의 선형 구조', principle: 'perceivable', level: 'A', wcag: ['1.3.2'], automation: 'partial',
+    manualCheck: 'CSS를 끄거나 화면낭독기로 읽었을 때 콘텐츠 순서가 논리적인지 확인' },
+  { id: '5.3.3', title: '명확한 지시사항 제공', principle: 'perceivable', level: 'A', wcag: ['1.3.3'], automation: 'manual',
+    manualCheck: '지시사항이 모양·크기·위치·방향·색·소리에만 의존하지 않는지 확인' },
+  { id: '5.4.1', title: '빛깔에 무관한 콘텐츠 인식', principle: 'perceivable', level: 'A', wcag: ['1.4.1'], automation: 'partial',
+    manualCheck: '색상 외의 수단(텍스트, 패턴, 밑줄)으로도 정보를 구분할 수 있는지 확인' },
+  { id: '5.4.2', title: '자동 재생 금지', principle: 'perceivable', level: 'A', wcag: ['1.4.2'], automation: 'partial',
+    manualCheck: '페이지 진입 시 소리가 자동으로 재생되지 않는지 확인' },
+  { id: '5.4.3', title: '텍스트 콘텐츠의 명도 대비', principle: 'perceivable', level: 'AA', wcag: ['1.4.3'], automation: 'full',
+    manualCheck: '이미지 속 텍스트의 명도 대비(4.5:1 이상) 확인' },
+  { id: '5.4.4', title: '콘텐츠 간의 구분', principle: 'perceivable', level: 'AA', wcag: ['1.4.11'], automation: 'manual',
+    manualCheck: '이웃한 콘텐츠가 테두리, 구분선, 명도 대비 등으로 구분되는지 확인' },
+
+  // ─── 운용의 용이성 ───
+  { id: '6.1.1', title: '키보드 사용 보장', principle: 'operable', level: 'A', wcag: ['2.1.1', '2.1.2'], automation: 'partial',
+    manualCheck: '모든 기능을 키보드만으로 사용할 수 있고 키보드 트랩이 없는지 확인' },
+  { id: '6.1.2', title: '초점 이동과 표시', principle: 'operable', level: 'AA', wcag: ['2.4.3', '2.4.7', '2.4.11'], automation: 'partial',
+    manualCheck: '초점 이동 순서가 논리적이고 초점이 시각적으로 표시되는지 확인' },
+  { id: '6.1.3', title: '조작 가능', principle: 'operable', level: 'AA', wcag: ['2.5.8'], automation: 'full',
+    manualCheck: '컨트롤의 조작 영역이 충분한 크기로 제공되는지 확인' },
+  { id: '6.1.4', title: '문자 단축키', principle: 'operable', level: 'A', wcag: ['2.1.4'], automation: 'manual',
+    manualCheck: '문자 단축키를 끄거나 변경할 수 있는지 확인' },
+  { id: '6.2.1', title: '응답시간 조절', principle: 'operable', level: 'A', wcag: ['2.2.1'], automation: 'partial',
+    manualCheck: '시간 제한이 있는 콘텐츠에서 시간을 연장하거나 해제할 수 있는지 확인' },
+  { id: '6.2.2', title: '정지 기능 제공', principle: 'operable', level: 'A', wcag: ['2.2.2'], automation: 'partial',
+    manualCheck: '자동으로 움직이는 콘텐츠(슬라이드 등)를 정지할 수 있는지 확인' },
+  { id: '6.3.1', title: '깜빡임과 번쩍임 사용 제한', principle: 'operable', level: 'A', wcag: ['2.3.1'], automation: 'manual',
+    manualCheck: '초당 3~50회 깜빡이거나 번쩍이는 콘텐츠가 없는지 확인' },
+  { id: '6.4.1', title: '반복 영역 건너뛰기', principle: 'operable', level: 'A', wcag: ['2.4.1'], automation: 'partial',
+    manualCheck: '건너뛰기 링크가 실제로 본문 시작 위치로 초점을 이동시키는지 확인' },
+  { id: '6.4.2', title: '제목 제공', principle: 'operable', level: 'A', wcag: ['2.4.2', '2.4.6'], automation: 'partial',
+    manualCheck: '페이지/프레임/콘텐츠 블록 제목이 내용을 적절히 설명하는지 확인' },
+  { id: '6.4.3', title: '적절한 링크 텍스트', principle: 'operable', level: 'A', wcag: ['2.4.4'], automation: 'partial',
+    manualCheck: '링크 텍스트만으로(또는 맥락과 함께) 링크 목적을 알 수 있는지 확인' },
+  { id: '6.4.4', title: '고정된 참조 위치 정보', principle: 'operable', level: 'AA', wcag: [], automation: 'manual',
+    manualCheck: '전자출판문서 형식의 콘텐츠에서 쪽 번호 등 고정 참조 위치가 제공되는지 확인' },
+  { id: '6.5.1', title: '단일 포인터 입력 지원', principle: 'operable', level: 'A', wcag: ['2.5.1'], automation: 'manual',
+    manualCheck: '다중 포인터/경로 기반 동작을 단일 포인터로도 조작할 수 있는지 확인' },
+  { id: '6.5.2', title: '포인터 입력 취소', principle: 'operable', level: 'A', wcag: ['2.5.2'], automation: 'manual',
+    manualCheck: '포인터를 누를 때가 아니라 뗄 때 기능이 실행되거나 취소할 수 있는지 확인' },
+  { id: '6.5.3', title: '레이블과 네임', principle: 'operable', level: 'A', wcag: ['2.5.3'], automation: 'partial',
+    manualCheck: '화면에 보이는 레이블 텍스트가 접근 가능한 이름에 포함되는지 확인' },
+  { id: '6.5.4', title: '동작기반 작동', principle: 'operable', level: 'A', wcag: ['2.5.4'], automation: 'manual',
+    manualCheck: '기기 흔들기 등 동작으로 실행되는 기능을 UI로도 실행하고 끌 수 있는지 확인' },
+
+  // ─── 이해의 용이성 ───
+  { id: '7.1.1', title: '기본 언어 표시', principle: 'understandable', level: 'A', wcag: ['3.1.1'], automation: 'full',
+    manualCheck: '지정된 기본 언어가 실제 콘텐츠 언어와 일치하는지 확인' },
+  { id: '7.2.1', title: '사용자 요구에 따른 실행', principle: 'understandable', level: 'A', wcag: ['3.2.1', '3.2.2'], automation: 'manual',
+    manualCheck: '초점 이동이나 값 변경만으로 새 창/페이지 이동이 일어나지 않는지 확인' },
+  { id: '7.2.2', title: '찾기 쉬운 도움 정보', principle: 'understandable', level: 'A', wcag: ['3.2.6'], automation: 'manual',
+    manualCheck: '도움 정보(문의처, 도움말)가 페이지마다 같은 위치에 제공되는지 확인' },
+  { id: '7.3.1', title: '오류 정정', principle: 'understandable', level: 'A', wcag: ['3.3.1', '3.3.3'], automation: 'manual',
+    manualCheck: '입력 오류 시 오류 내용과 수정 방법을 안내하는지 확인' },
+  { id: '7.3.2', title: '레이블 제공', principle: 'understandable', level: 'A', wcag: ['3.3.2'], automation: 'full',
+    manualCheck: '레이블이 입력해야 할 내용을 명확히 설명하는지 확인' },
+  { id: '7.3.3', title: '접근 가능한 인증', principle: 'understandable', level: 'AA', wcag: ['3.3.8'], automation: 'manual',
+    manualCheck: '인증 과정에서 기억/퍼즐 등 인지 기능 테스트 없이 인증할 수 있는지 확인' },
+  { id: '7.3.4', title: '반복 입력 정보', principle: 'understandable', level: 'A', wcag: ['3.3.7'], automation: 'partial',
+    manualCheck: '이미 입력한 정보를 다시 입력하지 않도록 자동 입력/선택을 제공하는지 확인' },
+
+  // ─── 견고성 ───
+  { id: '8.1.1', title: '마크업 오류 방지', principle: 'robust', level: 'A', wcag: ['4.1.1'], automation: 'partial',
+    manualCheck: 'HTML 검사기로 요소 중첩/속성 중복 오류가 없는지 확인' },
+  { id: '8.2.1', title: '웹 애플리케이션 접근성 준수', principle: 'robust', level: 'A', wcag: ['4.1.2'], automation: 'partial',
+    manualCheck: '사용자 정의 컨트롤의 역할/상태/값이 보조기술에 올바르게 전달되는지 확인' }
+];
+
+/**
+ * axe-core 규칙 → KWCAG 검사항목
+ * 성공기준 태그만으로 판단하기 어려운 규칙과 best-practice 규칙을 명시적으로 매핑
+ */
+const AXE_RULE_MAP = {
+  // 5.1.1 적절한 대체 텍스트
+  'image-alt': '5.1.1',
+  'input-image-alt': '5.1.1',
+  'area-alt': '5.1.1',
+  'object-alt': '5.1.1',
+  'role-img-alt': '5.1.1',
+  'svg-img-alt': '5.1.1',
+  'image-redundant-alt': '5.1.1',
+  // 5.2.1 자막 제공
+  'video-caption': '5.2.1',
+  'audio-caption': '5.2.1',
+  // 5.3.1 표의 구성
+  'td-headers-attr': '5.3.1',
+  'th-has-data-cells': '5.3.1',
+  'td-has-header': '5.3.1',
+  'scope-attr-valid': '5.3.1',
+  'table-duplicate-name': '5.3.1',
+  'table-fake-caption': '5.3.1',
+  'empty-table-header': '5.3.1',
+  // 5.3.2 콘텐츠의 선형 구조
+  'list': '5.3.2',
+  'listitem': '5.3.2',
+  'definition-list': '5.3.2',
+  'dlitem': '5.3.2',
+  // 5.4.1 빛깔에 무관한 콘텐츠 인식
+  'link-in-text-block': '5.4.1',
+  // 5.4.2 자동 재생 금지
+  'no-autoplay-audio': '5.4.2',
+  // 5.4.3 명도 대비
+  'color-contrast': '5.4.3',
+  // 6.1.1 키보드 사용 보장
+  'scrollable-region-focusable': '6.1.1',
+  'frame-focusable-content': '6.1.1',
+  'server-side-image-map': '6.1.1',
+  // 6.1.2 초점 이동과 표시
+  'tabindex': '6.1.2',
+  'focus-order-semantics': '6.1.2',
+  // 6.1.3 조작 가능
+  'target-size': '6.1.3',
+  // 6.1.4 문자 단축키
+  'accesskeys': '6.1.4',
+  // 6.2.1 응답시간 조절
+  'meta-refresh': '6.2.1',
+  'meta-refresh-no-exceptions': '6.2.1',
+  // 6.2.2 정지 기능 제공
+  'blink': '6.2.2',
+  'marquee': '6.2.2',
+  // 6.4.1 반복 영역 건너뛰기
+  'bypass': '6.4.1',
+  'skip-link': '6.4.1',
+  'region': '6.4.1',
+  'landmark-one-main': '6.4.1',
+  'landmark-no-duplicate-main': '6.4.1',
+  'landmark-no-duplicate-banner': '6.4.1',
+  'landmark-no-duplicate-contentinfo': '6.4.1',
+  'landmark-banner-is-top-level': '6.4.1',
+  'landmark-contentinfo-is-top-level': '6.4.1',
+  'landmark-main-is-top-level': '6.4.1',
+  'landmark-complementary-is-top-level': '6.4.1',
+  'landmark-unique': '6.4.1',
+  // 6.4.2 제목 제공
+  'document-title': '6.4.2',
+  'frame-title': '6.4.2',
+  'frame-title-unique': '6.4.2',
+  'page-has-heading-one': '6.4.2',
+  'empty-heading': '6.4.2',
+  'heading-order': '6.4.2',
+  // 6.4.3 적절한 링크 텍스트
+  'link-name': '6.4.3',
+  'identical-links-same-purpose': '6.4.3',
+  // 6.5.3 레이블과 네임
+  'label-content-name-mismatch': '6.5.3',
+  // 7.1.1 기본 언어 표시
+  'html-has-lang': '7.1.1',
+  'html-lang-valid': '7.1.1',
+  'html-xml-lang-mismatch': '7.1.1',
+  'valid-lang': '7.1.1',
+  // 7.3.2 레이블 제공
+  'label': '7.3.2',
+  'select-name': '7.3.2',
+  'input-button-name': '7.3.2',
+  'form-field-multiple-labels': '7.3.2',
+  'label-title-only': '7.3.2',
+  // 7.3.4 반복 입력 정보
+  'autocomplete-valid': '7.3.4',
+  // 8.1.1 마크업 오류 방지
+  'duplicate-id': '8.1.1',
+  'duplicate-id-active': '8.1.1',
+  'duplicate-id-aria': '8.1.1',
+  // 8.2.1 웹 애플리케이션 접근성 준수
+  'button-name': '8.2.1',
+  'nested-interactive': '8.2.1',
+  'frame-tested': '8.2.1',
+  'presentation-role-conflict': '8.2.1'
+};
+
+/**
+ * WCAG 성공기준 → KWCAG 검사항목 (명시적 매핑이 없는 axe 규칙에 사용)
+ */
+const WCAG_SC_MAP = {
+  '1.1.1': '5.1.1',
+  '1.2.1': '5.2.1',
+  '1.2.2': '5.2.1',
+  '1.2.3': '5.2.1',
+  '1.2.5': '5.2.1',
+  '1.3.1': '5.3.1',
+  '1.3.2': '5.3.2',
+  '1.3.3': '5.3.3',
+  '1.4.1': '5.4.1',
+  '1.4.2': '5.4.2',
+  '1.4.3': '5.4.3',
+  '1.4.11': '5.4.4',
+  '2.1.1': '6.1.1',
+  '2.1.2': '6.1.1',
+  '2.1.4': '6.1.4',
+  '2.2.1': '6.2.1',
+  '2.2.2': '6.2.2',
+  '2.3.1': '6.3.1',
+  '2.4.1': '6.4.1',
+  '2.4.2': '6.4.2',
+  '2.4.3': '6.1.2',
+  '2.4.4': '6.4.3',
+  '2.4.6': '6.4.2',
+  '2.4.7': '6.1.2',
+  '2.4.11': '6.1.2',
+  '2.5.1': '6.5.1',
+  '2.5.2': '6.5.2',
+  '2.5.3': '6.5.3',
+  '2.5.4': '6.5.4',
+  '2.5.8': '6.1.3',
+  '3.1.1': '7.1.1',
+  '3.2.1': '7.2.1',
+  '3.2.2': '7.2.1',
+  '3.2.6': '7.2.2',
+  '3.3.1': '7.3.1',
+  '3.3.2': '7.3.2',
+  '3.3.3': '7.3.1',
+  '3.3.7': '7.3.4',
+  '3.3.8': '7.3.3',
+  '4.1.1': '8.1.1',
+  '4.1.2': '8.2.1'
+};
+
+/**
+ * axe 태그(wcag111, wcag1411 등) → WCAG 성공기준 번호
+ */
+function getWcagCriteria(tags = []) {
+  return tags
+    .map(tag => /^wcag(\d)(\d)(\d+)$/.exec(tag))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+}
+
+/**
+ * axe 규칙 → KWCAG 검사항목 ID (매핑 불가 시 null)
+ */
+function mapAxeRule(rule) {
+  if (AXE_RULE_MAP[rule.id]) return AXE_RULE_MAP[rule.id];
+
+  const criterion = getWcagCriteria(rule.tags).find(sc => WCAG_SC_MAP[sc]);
+  return criterion ? WCAG_SC_MAP[criterion] : null;
+}
+
+/**
+ * 수준별 집계 (compliance = 통과 / 자동 판정 항목)
+ */
+function tallyLevel(items) {
+  const passed = items.filter(item => item.status === 'pass').length;
+  const failed = items.filter(item => item.status === 'fail').length;
+  const decided = passed + failed;
+
+  return {
+    total: items.length,
+    passed,
+    failed,
+    manualReview: items.filter(item => item.status === 'review').length,
+    notApplicable: items.filter(item => item.status === 'inapplicable').length,
+    compliance: decided > 0 ? Math.round((passed / decided) * 100) : 0
+  };
+}
+
+/**
+ * ♿ KWCAG 보고서 생성 (axe-core 결과 변환)
+ * @param {Object} axeResults - { violations, passes, incomplete, inapplicable, excepted }
+ *   excepted: 예외 처리로 제외된 위반 (남은 위반이 없으면 해당 항목은 준수로 판정)
+ * @param {Array} checks - axe 외 자체 검사 판정 [{ id, source, itemId, status: pass|fail|review|excepted, message }] (키보드 탐색 등)
+ * @returns {Object} 33개 검사항목별 판정, 원칙/수준별 집계, 수동 검사 목록
+ */
+function generateKWCAGReport(axeResults, checks = []) {
+  const violations = axeResults.violations || [];
+  const passes = axeResults.passes || [];
+  const incomplete = axeResults.incomplete || [];
+  const inapplicable = axeResults.inapplicable || [];
+  const excepted = axeResults.excepted || [];
+
+  // 검사항목별 axe 결과 모으기
+  const buckets = {};
+  KWCAG_ITEMS.forEach(item => {
+    buckets[item.id] = { violations: [], passes: [], incomplete: [], inapplicable: [], excepted: [], checks: [] };
+  });
+  const unmapped = [];
+
+  const collect = (rules, type) => {
+    rules.forEach(rule => {
+      const itemId = mapAxeRule(rule);
+      if (itemId && buckets[itemId]) {
+        buckets[itemId][type].push(rule.id);
+      } else if (type !== 'inapplicable' && type !== 'excepted') {
+        unmapped.push({ ruleId: rule.id, result: type });
+      }
+    });
+  };
+  collect(violations, 'violations');
+  collect(passes, 'passes');
+  collect(incomplete, 'incomplete');
+  collect(inapplicable, 'inapplicable');
+  collect(excepted, 'excepted');
+
+  checks.forEach(check => {
+    if (buckets[check.itemId]) buckets[check.itemId].checks.push(check);
+  });
+
+  // 검사항목별 판정: fail > review(incomplete/수동) > pass > inapplicable
+  const items = KWCAG_ITEMS.map(item => {
+    const bucket = buckets[item.id];
+    const checkStatus = (status) => bucket.checks.some(check => check.status === status);
+    const isExcepted = bucket.excepted.length > 0 || checkStatus('excepted');
+    let status;
+    if (bucket.violations.length > 0 || checkStatus('fail')) {
+      status = 'fail';
+    } else if (bucket.incomplete.length > 0 || checkStatus('review')) {
+      status = 'review';
+    } else if (bucket.passes.length > 0 || checkStatus('pass') || isExcepted) {
+      status = 'pass';
+    } else if (bucket.inapplicable.length > 0 && item.automation !== 'manual') {
+      status = 'inapplicable';
+    } else {
+      status = 'review';
+    }
+
+    return {
+      id: item.id,
+      title: item.title,
+      principle: item.principle,
+      principleName: PRINCIPLES[item.principle],
+      level: item.level,
+      wcag: item.wcag,
+      automation: item.automation,
+      status,
+      excepted: isExcepted,
+      // 자동 통과여도 부분 자동화 항목은 수동 확인 필요
+      manualReviewRequired: status === 'review' || (status === 'pass' && item.automation === 'partial'),
+      axeRules: {
+        violations: bucket.violations,
+        passes: bucket.passes,
+        incomplete: bucket.incomplete,
+        excepted: bucket.excepted
+      },
+      checks: bucket.checks.map(({ id, source, status: checkResult, message }) => ({ id, source, status: checkResult, message }))
+    };
+  });
+
+  const passedItems = items.filter(item => item.status === 'pass');
+  const failedItems = items.filter(item => item.status === 'fail');
+  const decided = passedItems.length + failedItems.length;
+
+  // 전체 준수율 (자동 판정 항목 기준)
+  const overallCompliance = decided > 0
+    ? Math.round((passedItems.length / decided) * 100)
+    : 0;
+
+  // 수준별 집계: Level AA는 A 항목을 포함 (WCAG 적합성 기준)
+  const levelAItems = items.filter(item => item.level === 'A');
+  const levelA = tallyLevel(levelAItems);
+  const levelAA = tallyLevel(items);
+
+  // WCAG Level 판정
+  const wcagLevel = decided === 0 ? 'None' :
+    levelAA.failed === 0 ? 'AA' :
+    levelA.failed === 0 ? 'A' : 'None';
+
+  // 원칙별 점수 계산
+  const byCategory = {};
+  Object.keys(PRINCIPLES).forEach(principle => {
+    const principleItems = items.filter(item => item.principle === principle);
+    const passed = principleItems.filter(item => item.status === 'pass').length;
+    const failed = principleItems.filter(item => item.status === 'fail').length;
+    byCategory[principle] = passed + failed > 0
+      ? Math.round((passed / (passed + failed)) * 100)
+      : 100;
+  });
+
+  // 자동 검사로 판단할 수 없는 항목
+  const manualReview = items
+    .filter(item => item.manualReviewRequired)
+    .map(item => {
+      const source = KWCAG_ITEMS.find(k => k.id === item.id);
+      return {
+        id: item.id,
+        title: item.title,
+        level: item.level,
+        reason: item.automation === 'manual'
+          ? '자동 검사 불가 항목'
+          : item.status === 'review'
+            ? '자동 검사 결과 확인 필요 (incomplete 또는 검사 대상 없음)'
+            : '자동 검사 통과, 품질 확인 필요',
+        check: source.manualCheck
+      };
+    });
+
+  return {
+    standard: STANDARD,
+    overallCompliance,
+    wcagLevel,
+    violations: violations.length,
+    passes: passes.length,
+    excepted: excepted.length,
+    byCategory,
+    levelA,
+    levelAA,
+    summary: {
+      total: items.length,
+      pass: passedItems.length,
+      fail: failedItems.length,
+      review: items.filter(item => item.status === 'review').length,
+      inapplicable: items.filter(item => item.status === 'inapplicable').length
+    },
+    items,
+    manualReview,
+    unmapped
+  };
+}
+
+module.exports = {
+  STANDARD,
+  PRINCIPLES,
+  KWCAG_ITEMS,
+  AXE_RULE_MAP,
+  WCAG_SC_MAP,
+  mapAxeRule,
+  generateKWCAGReport
+};
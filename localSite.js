@@ -0,0 +1,274 @@
+/**
+ * 로컬 콘텐츠 분석 (HTML 문자열 / 정적 사이트 zip)
+ * 가상 출처에서 파일을 직접 응답하고 외부 호스트 요청은 차단 (공개 전 스테이징/시안 점검용)
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+
+// 로컬 콘텐츠를 제공하는 가상 출처 (실제 네트워크로 나가지 않음)
+const LOCAL_ORIGIN = 'http://viewchecker.local';
+
+// 압축 해제 한도
+const MAX_FILES = 2000;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+// 응답 기록 목록 최대 길이
+const MAX_RECORDED_REQUESTS = 50;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * zip 압축 해제 (중앙 디렉터리 기준, stored/deflate 지원)
+ * @param {Buffer} buffer
+ * @returns {Map<String, Buffer>} 경로 → 내용
+ * @throws {Error} 손상되었거나 지원하지 않는 zip
+ */
+function extractZip(buffer) {
+  // End of central directory 레코드 찾기 (뒤에서부터, 주석 최대 64KB)
+  const minOffset = Math.max(0, buffer.length - 22 - 0xFFFF);
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Invalid zip archive');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xFFFF || offset === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+  if (entryCount > MAX_FILES) throw new Error(`Archive has too many files (max ${MAX_FILES})`);
+
+  const files = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // 플래그 11번 비트: 파일 이름 UTF-8
+    const name = buffer.toString(flags & 0x800 ? 'utf-8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`Encrypted entry is not supported: ${name}`);
+
+    const filePath = normalizeEntryPath(name);
+    if (!filePath) continue;
+
+    totalSize += size;
+    if (totalSize > MAX_TOTAL_SIZE) {
+      throw new Error(`Archive is too large when extracted (max ${MAX_TOTAL_SIZE / 1024 / 1024}MB)`);
+    }
+
+    // 로컬 파일 헤더 뒤의 데이터
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Invalid zip entry: ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.set(filePath, Buffer.from(data));
+    } else if (method === 8) {
+      files.set(filePath, zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }));
+    } else {
+      throw new Error(`Unsupported compression method ${method}: ${name}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 압축 파일 내 경로 정규화 (상위 경로 탈출, 숨김/OS 메타 파일 제외)
+ * @returns {String|null}
+ */
+function normalizeEntryPath(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) return null;
+  if (normalized.startsWith('__MACOSX/') || path.posix.basename(normalized) === '.DS_Store') return null;
+  return normalized;
+}
+
+/**
+ * 모든 파일이 한 폴더 안에 있으면 그 폴더를 루트로 사용 (예: site/index.html)
+ */
+function stripCommonRoot(files) {
+  const paths = Array.from(files.keys());
+  const first = paths[0]?.split('/')[0];
+  if (!first || paths.some(p => !p.includes('/') || p.split('/')[0] !== first)) return files;
+  return new Map(paths.map(p => [p.slice(first.length + 1), files.get(p)]));
+}
+
+/**
+ * 시작 페이지 결정 (지정값 → 최상위 index.html → 가장 얕은 HTML)
+ */
+function resolveEntry(files, entry) {
+  if (entry) {
+    const normalized = normalizeEntryPath(entry);
+    if (!normalized || !files.has(normalized)) throw new Error(`Entry file not found in archive: ${entry}`);
+    return normalized;
+  }
+  if (files.has('index.html')) return 'index.html';
+
+  const htmlFiles = Array.from(files.keys())
+    .filter(p => /\.html?$/i.test(p))
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  if (htmlFiles.length === 0) throw new Error('Archive does not contain an HTML file');
+  return htmlFiles[0];
+}
+
+/**
+ * 📦 로컬 사이트 생성
+ * @param {Object} source - { html } 또는 { archive: Buffer, entry }
+ * @returns {Object} { type, url, entry, files, fileCount, totalSize }
+ * @throws {Error} 잘못된 입력
+ */
+function createLocalSite(source) {
+  let type;
+  let files;
+
+  if (typeof source.html === 'string') {
+    type = 'html';
+    files = new Map([['index.html', Buffer.from(source.html, 'utf-8')]]);
+  } else if (Buffer.isBuffer(source.archive)) {
+    type = 'archive';
+    files = stripCommonRoot(extractZip(source.archive));
+    if (files.size === 0) throw new Error('Archive is empty');
+  } else {
+    throw new Error('html or archive is required');
+  }
+
+  const entry = resolveEntry(files, type === 'html' ? null : source.entry);
+  const totalSize = Array.from(files.values()).reduce((sum, data) => sum + data.length, 0);
+
+  return {
+    type,
+    url: `${LOCAL_ORIGIN}/${entry.split('/').map(encodeURIComponent).join('/')}`,
+    entry,
+    files,
+    fileCount: files.size,
+    totalSize
+  };
+}
+
+/**
+ * 요청 경로 → 파일 (디렉터리 요청은 index.html, 끝 슬래시 없는 디렉터리는 redirect)
+ */
+function findFile(site, pathname) {
+  let filePath;
+  try {
+    filePath = decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+  if (filePath === '' || filePath.endsWith('/')) filePath += 'index.html';
+  if (site.files.has(filePath)) return { filePath, body: site.files.get(filePath) };
+  // 상대 경로가 올바르게 해석되도록 정적 서버처럼 끝 슬래시로 이동
+  if (site.files.has(`${filePath}/index.html`)) return { redirect: `${pathname}/` };
+  return null;
+}
+
+/**
+ * 🌐 브라우저 컨텍스트에 로컬 사이트 연결
+ * 가상 출처 요청은 파일로 응답, 그 외 네트워크 요청은 모두 차단
+ * @param {BrowserContext} context - Playwright 컨텍스트
+ * @param {Object} site - createLocalSite 결과
+ * @returns {Promise<Object>} 요청 기록 { served, missing, blocked } (분석 중 계속 갱신)
+ */
+async function routeLocalSite(context, site) {
+  const requests = { served: 0, missing: [], blocked: [] };
+  const record = (list, url) => {
+    if (list.length < MAX_RECORDED_REQUESTS && !list.includes(url)) list.push(url);
+  };
+
+  await context.route('**/*', async (route) => {
+    const requestUrl = route.request().url();
+    const parsed = new URL(requestUrl);
+
+    if (parsed.origin !== LOCAL_ORIGIN) {
+      record(requests.blocked, requestUrl);
+      return route.abort('blockedbyclient');
+    }
+
+    const file = findFile(site, parsed.pathname);
+    if (!file) {
+      record(requests.missing, parsed.pathname);
+      return route.fulfill({ status: 404, contentType: 'text/plain; charset=utf-8', body: 'Not Found' });
+    }
+
+    if (file.redirect) {
+      return route.fulfill({ status: 301, headers: { location: `${LOCAL_ORIGIN}${file.redirect}` } });
+    }
+
+    requests.served += 1;
+    return route.fulfill({
+      status: 200,
+      contentType: MIME_TYPES[path.posix.extname(file.filePath).toLowerCase()] || 'application/octet-stream',
+      body: file.body
+    });
+  });
+
+  return requests;
+}
+
+/**
+ * 결과에 담을 로컬 사이트 요약 (파일 내용 제외)
+ */
+function describeLocalSite(site, requests) {
+  return {
+    type: site.type,
+    entry: site.entry,
+    fileCount: site.fileCount,
+    totalSize: site.totalSize,
+    requests: {
+      served: requests.served,
+      missing: requests.missing,
+      blockedExternal: requests.blocked
+    }
+  };
+}
+
+module.exports = {
+  LOCAL_ORIGIN,
+  createLocalSite,
+  routeLocalSite,
+  describeLocalSite,
+  extractZip,
+  normalizeEntryPath
+};
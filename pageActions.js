@@ -0,0 +1,186 @@
+/**
+ * 페이지 동작 스크립트 (클릭 / 입력 / 키 입력 / 대기 / 스크롤 등)
+ * 로그인 스크립트와 분석 전 상호작용(모달, 드롭다운, 탭, 폼 오류 상태)에서 공통 사용
+ */
+
+// 단계별 대기 한도
+const STEP_TIMEOUT_MS = 30000;
+const MAX_WAIT_MS = 10000;
+
+// 동작 → 필수 필드
+const PAGE_ACTIONS = {
+  goto: ['url'],
+  click: ['selector'],
+  hover: ['selector'],
+  fill: ['selector', 'value'],
+  type: ['selector', 'value'],
+  press: ['key'],
+  check: ['selector'],
+  select: ['selector', 'value'],
+  scroll: [],
+  wait: []
+};
+
+// 입력값이 들어가는 동작 (로그 가림 대상)
+const VALUE_ACTIONS = ['fill', 'type', 'select'];
+
+// 상태별 분석 최대 개수 (상태마다 전체 분석을 다시 실행)
+const MAX_STATES = 10;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 동작 목록 검증
+ * @param {Array} steps - [{ action, selector, value, key, url, ms, to, y }]
+ * @param {Object} options - { label } 오류 메시지 접두어, { baseUrl } goto 상대 URL 기준, { maxSteps }
+ * @returns {Array} 복사된 동작 목록
+ * @throws {Error} 잘못된 동작 (400)
+ */
+function normalizeActions(steps, { label = 'actions', baseUrl, maxSteps = 30 } = {}) {
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error(`${label} requires steps`);
+  if (steps.length > maxSteps) throw new Error(`${label} has too many steps (max ${maxSteps})`);
+
+  return steps.map((step, index) => {
+    const stepLabel = `${label}[${index}]`;
+    if (!isPlainObject(step) || !PAGE_ACTIONS[step.action]) {
+      throw new Error(`${stepLabel}.action must be one of ${Object.keys(PAGE_ACTIONS).join(', ')}`);
+    }
+    PAGE_ACTIONS[step.action].forEach(field => {
+      if (typeof step[field] !== 'string') throw new Error(`${stepLabel}.${field} is required`);
+    });
+
+    if (step.action === 'wait' && !step.selector && !step.url && step.ms === undefined) {
+      throw new Error(`${stepLabel} wait requires selector, url or ms`);
+    }
+    if (step.action === 'scroll' && !step.selector && !['top', 'bottom'].includes(step.to) && typeof step.y !== 'number') {
+      throw new Error(`${stepLabel} scroll requires selector, to ("top" | "bottom") or y`);
+    }
+    if (step.action === 'goto') {
+      try {
+        new URL(step.url, baseUrl);
+      } catch (error) {
+        throw new Error(`${stepLabel}.url is invalid`);
+      }
+    }
+    return { ...step };
+  });
+}
+
+/**
+ * 요청 본문의 상호작용 설정 검증
+ * - actions: 분석 전에 실행할 동작 (기본 결과에 반영)
+ * - states: [{ name, actions }] 상태마다 페이지를 다시 불러와 동작 실행 후 별도 분석
+ * @param {Object} params - { actions, states }
+ * @param {String} baseUrl - 분석 URL
+ * @returns {Object|null} { actions, states } (둘 다 없으면 null)
+ * @throws {Error} 잘못된 설정 (400)
+ */
+function normalizeInteractions({ actions, states } = {}, baseUrl) {
+  if (actions === undefined && states === undefined) return null;
+
+  const interactions = { actions: [], states: [] };
+  if (actions !== undefined) {
+    interactions.actions = normalizeActions(actions, { label: 'actions', baseUrl });
+  }
+
+  if (states !== undefined) {
+    if (!Array.isArray(states) || states.length === 0) throw new Error('states must be a non-empty array');
+    if (states.length > MAX_STATES) throw new Error(`Too many states (max ${MAX_STATES})`);
+
+    const names = new Set();
+    interactions.states = states.map((state, index) => {
+      const name = typeof state?.name === 'string' ? state.name.trim() : '';
+      if (!name) throw new Error(`states[${index}].name is required`);
+      if (names.has(name)) throw new Error(`Duplicate state name: ${name}`);
+      names.add(name);
+      return {
+        name,
+        actions: normalizeActions(state.actions, { label: `states[${index}].actions`, baseUrl })
+      };
+    });
+  }
+
+  return interactions;
+}
+
+/**
+ * 단일 동작 실행
+ */
+async function runAction(page, step, baseUrl) {
+  const options = { timeout: STEP_TIMEOUT_MS };
+  switch (step.action) {
+    case 'goto':
+      await page.goto(new URL(step.url, baseUrl).href, { waitUntil: 'load', ...options });
+      break;
+    case 'click':
+      await page.click(step.selector, options);
+      break;
+    case 'hover':
+      await page.hover(step.selector, options);
+      break;
+    case 'fill':
+      await page.fill(step.selector, step.value, options);
+      break;
+    case 'type':
+      // 키 입력 이벤트가 필요한 자동완성/실시간 검증용
+      await page.locator(step.selector).pressSequentially(step.value, options);
+      break;
+    case 'press':
+      if (step.selector) {
+        await page.press(step.selector, step.key, options);
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'check':
+      await page.check(step.selector, options);
+      break;
+    case 'select':
+      await page.selectOption(step.selector, step.value, options);
+      break;
+    case 'scroll':
+      if (step.selector) {
+        await page.locator(step.selector).first().scrollIntoViewIfNeeded(options);
+      } else {
+        await page.evaluate(({ to, y }) => {
+          window.scrollTo(0, to === 'bottom' ? document.documentElement.scrollHeight : to === 'top' ? 0 : y);
+        }, { to: step.to, y: step.y });
+      }
+      break;
+    case 'wait':
+      if (step.selector) await page.waitForSelector(step.selector, { state: 'visible', ...options });
+      if (step.url) await page.waitForURL(step.url, options);
+      if (step.ms !== undefined) await page.waitForTimeout(Math.min(MAX_WAIT_MS, Math.max(0, Number(step.ms) || 0)));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * ▶️ 동작 목록 순서대로 실행
+ * @param {Page} page - Playwright 페이지
+ * @param {Array} steps - normalizeActions 결과
+ * @param {Object} options - { baseUrl } goto 상대 URL 기준, { label } 오류 메시지 접두어,
+ *   { sanitize } 오류 메시지 정리 함수 (인증 값 가림 등)
+ * @throws {Error} 실패한 단계 번호와 동작이 담긴 오류
+ */
+async function runActions(page, steps, { baseUrl, label = '동작', sanitize = (message) => message } = {}) {
+  for (const [index, step] of steps.entries()) {
+    try {
+      await runAction(page, step, baseUrl);
+    } catch (error) {
+      // Playwright 오류 메시지 첫 줄만 사용 (호출 로그에 입력값이 포함될 수 있음)
+      const reason = sanitize(String(error.message).split('\n')[0]);
+      throw new Error(`${label} ${index + 1}단계(${step.action}) 실패: ${reason}`);
+    }
+  }
+}
+
+module.exports = {
+  PAGE_ACTIONS,
+  VALUE_ACTIONS,
+  normalizeActions,
+  normalizeInteractions,
+  runActions
+};
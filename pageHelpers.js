@@ -0,0 +1,248 @@
+/**
+ * 브라우저 컨텍스트 공용 헬퍼
+ * 분석 함수(page.evaluate)에서 window.__viewchecker 로 사용
+ */
+
+/**
+ * window.__viewchecker 설치 (브라우저 컨텍스트에서 실행)
+ */
+function installPageHelpers() {
+  if (window.__viewchecker) return;
+
+  const query = (selector, root = document) => Array.from(root.querySelectorAll(selector));
+
+  const describe = (el) => {
+    if (!el) return '';
+    let desc = el.tagName.toLowerCase();
+    if (el.id) desc += `#${el.id}`;
+    const className = typeof el.className === 'string' ? el.className.trim() : '';
+    if (className) desc += '.' + className.split(/\s+/).slice(0, 2).join('.');
+    return desc;
+  };
+
+  const list = (els) => els.slice(0, 5).map(describe).join(', ');
+
+  const isVisible = (el) => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      rect.width > 0 && rect.height > 0;
+  };
+
+  // "#id" 링크의 대상 id (잘못된 퍼센트 인코딩이면 원래 문자열)
+  const fragmentId = (href) => {
+    const raw = String(href || '').replace(/^#/, '');
+    try {
+      return decodeURIComponent(raw);
+    } catch (e) {
+      return raw;
+    }
+  };
+
+  // 공백이 아닌 텍스트 노드를 직접 가진 요소 (글자색/글자 크기 측정 대상)
+  const hasOwnText = (el) => Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+
+  const accessibleName = (el) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' ').trim();
+      if (text) return text;
+    }
+    if (el.getAttribute('aria-label')?.trim()) return el.getAttribute('aria-label').trim();
+    if (el.labels && el.labels.length > 0) {
+      const text = Array.from(el.labels).map(l => l.textContent).join(' ').trim();
+      if (text) return text;
+    }
+    if (el.title?.trim()) return el.title.trim();
+    if (el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type)) return el.value.trim();
+    if (el.tagName === 'INPUT' && el.type === 'image') return (el.alt || '').trim();
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) return '';
+    const imgAlt = query('img[alt], [role="img"][aria-label]', el)
+      .map(img => img.alt || img.getAttribute('aria-label')).join(' ');
+    return `${el.textContent || ''} ${imgAlt}`.trim();
+  };
+
+  // 필수 입력 항목 (required / aria-required)
+  const isRequiredField = (el) => el.required || el.getAttribute('aria-required') === 'true';
+
+  // 레이블(CSS ::before/::after 포함), 그룹 legend, 접근 가능한 이름에 "(필수)"/"*" 같은 필수 표시가 있는지
+  const hasRequiredMarker = (el) => {
+    const labels = el.labels ? Array.from(el.labels) : [];
+    const legend = el.closest('fieldset')?.querySelector('legend');
+    const texts = [accessibleName(el), ...[...labels, legend].filter(Boolean).flatMap(label => [
+      label.textContent,
+      window.getComputedStyle(label, '::before').content,
+      window.getComputedStyle(label, '::after').content
+    ])];
+    return texts.some(text => text && text !== 'none' && /필수|\*|required/i.test(text));
+  };
+
+  const escape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1'));
+
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // 문서 내에서 하나의 요소만 가리키는 CSS 셀렉터
+  const uniqueSelector = (el) => {
+    if (!el || el.nodeType !== 1) return '';
+    if (el.id && isUnique(`#${escape(el.id)}`)) return `#${escape(el.id)}`;
+
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node !== el && node.id && isUnique(`#${escape(node.id)}`)) {
+        parts.unshift(`#${escape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(c => c.tagName === node.tagName);
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+      const selector = parts.join(' > ');
+      if (isUnique(selector)) return selector;
+      node = parent;
+    }
+    if (parts[0] && !parts[0].startsWith('#')) parts.unshift('html');
+    return parts.join(' > ');
+  };
+
+  const snippet = (el, max = 200) => {
+    const html = (el.outerHTML || '').replace(/\s+/g, ' ');
+    return html.length > max ? `${html.slice(0, max)}…` : html;
+  };
+
+  const boundingBox = (el) => {
+    const rect = el.getBoundingClientRect();
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  };
+
+  // 요소 증거: 셀렉터/HTML 조각/위치/측정값
+  const evidence = (el, measured) => ({
+    selector: uniqueSelector(el),
+    snippet: snippet(el),
+    boundingBox: boundingBox(el),
+    ...(measured !== undefined ? { measured } : {})
+  });
+
+  // 검사 항목의 elements([요소] 또는 [{ el, measured }]) → evidence 변환
+  const finalizeChecks = (checks, limit = 10) => checks.map(check => {
+    const { elements, ...rest } = check;
+    if (!elements) return rest;
+    return {
+      ...rest,
+      evidence: elements.slice(0, limit).map(item =>
+        (item && item.el ? evidence(item.el, item.measured) : evidence(item))
+      )
+    };
+  });
+
+  // ─── 측정 집계 (디자인 스타일/타이포그래피/색상 수집기 공용) ───
+  const ratio = (good, total) => (total === 0 ? 1 : good / total);
+
+  const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  // 스케일에서 가장 가까운 토큰 값
+  const nearest = (value, scale) => scale.reduce((best, token) =>
+    Math.abs(token - value) < Math.abs(best - value) ? token : best, scale[0]);
+
+  const histogram = (values) => values.reduce((acc, v) => {
+    acc[v] = (acc[v] || 0) + 1;
+    return acc;
+  }, {});
+
+  // 값별 위반 요소 그룹 → "값(개수): 요소" 문자열
+  const groupOffenders = (offenders, unit = 'px') => {
+    const groups = {};
+    offenders.forEach(({ value, el }) => {
+      (groups[value] = groups[value] || []).push(el);
+    });
+    return Object.entries(groups)
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, 5)
+      .map(([value, els]) => `${value}${unit} ×${els.length} (${list(els)})`)
+      .join('; ');
+  };
+
+  // 스타일시트 규칙 수집 (교차 출처 스타일시트는 접근 불가)
+  const collectStyleRules = () => {
+    const styleRules = [];
+    const mediaConditions = [];
+    let readableSheets = 0;
+    const collectRules = (rules) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule.media && rule.cssRules) {
+          mediaConditions.push(rule.media.mediaText);
+          collectRules(rule.cssRules);
+        } else if (rule.selectorText) {
+          styleRules.push(rule);
+        } else if (rule.cssRules) {
+          collectRules(rule.cssRules);
+        }
+      });
+    };
+    Array.from(document.styleSheets).forEach(sheet => {
+      try {
+        collectRules(sheet.cssRules);
+        readableSheets++;
+      } catch (e) {
+        // cross-origin stylesheet
+      }
+    });
+    return {
+      styleRules,
+      mediaConditions,
+      readable: readableSheets > 0,
+      hasRule: (pattern) => styleRules.some(r => pattern.test(r.selectorText))
+    };
+  };
+
+  window.__viewchecker = {
+    query,
+    describe,
+    list,
+    isVisible,
+    hasOwnText,
+    fragmentId,
+    accessibleName,
+    isRequiredField,
+    hasRequiredMarker,
+    uniqueSelector,
+    snippet,
+    boundingBox,
+    evidence,
+    finalizeChecks,
+    collectStyleRules,
+    ratio,
+    round,
+    nearest,
+    histogram,
+    groupOffenders
+  };
+}
+
+/**
+ * 페이지에 공용 헬퍼 설치 (이미 설치되어 있으면 무시)
+ */
+async function injectPageHelpers(page) {
+  await page.evaluate(installPageHelpers);
+}
+
+module.exports = {
+  injectPageHelpers
+};
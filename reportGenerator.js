@@ -0,0 +1,442 @@
+/**
+ * 진단 보고서 생성 (HTML / PDF)
+ * 분석 결과(응답 data)를 한국어 보고서로 렌더링, PDF는 브라우저 풀의 Chromium으로 출력
+ */
+
+const { withBrowserPage } = require('./analyzer');
+const { sectionScore } = require('./analysisDiff');
+const { SECTIONS } = require('./krdsRules');
+
+// 섹션 → 항목 이름 필드
+const SECTION_KEYS = {
+  designStyles: 'category',
+  components: 'type',
+  basicPatterns: 'name',
+  servicePatterns: 'name'
+};
+
+const KWCAG_STATUS_LABELS = {
+  pass: '준수',
+  fail: '미준수',
+  review: '수동 검사 필요',
+  inapplicable: '해당없음',
+  excepted: '예외'
+};
+
+const IMPACT_LABELS = {
+  critical: '치명적',
+  serious: '심각',
+  moderate: '보통',
+  minor: '경미'
+};
+
+// 이슈당 표시할 증거 요소 수
+const MAX_EVIDENCE = 5;
+// axe 위반당 표시할 요소 수
+const MAX_AXE_NODES = 10;
+
+const REPORT_STYLE = `
+  @page { size: A4; margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: 'Pretendard GOV', 'Pretendard', 'Noto Sans KR', 'Noto Sans CJK KR', 'Malgun Gothic', sans-serif;
+    color: #1e2124; font-size: 13px; line-height: 1.6; margin: 0; }
+  main { max-width: 960px; margin: 0 auto; padding: 32px 24px; }
+  h1 { font-size: 28px; margin: 0 0 8px; }
+  h2 { font-size: 20px; border-bottom: 2px solid #256ef4; padding-bottom: 6px; margin: 40px 0 16px; break-after: avoid; }
+  h3 { font-size: 16px; margin: 24px 0 8px; break-after: avoid; }
+  table { width: 100%; border-collapse: collapse; margin: 8px 0 16px; }
+  th, td { border: 1px solid #cdd1d5; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f5f6; font-weight: 600; }
+  tr { break-inside: avoid; }
+  code { font-family: 'D2Coding', Consolas, monospace; font-size: 11px; background: #f4f5f6; padding: 1px 4px;
+    border-radius: 4px; word-break: break-all; }
+  .cover { min-height: 240mm; display: flex; flex-direction: column; justify-content: center; break-after: page; }
+  .cover .subtitle { color: #464c53; font-size: 16px; }
+  .cover dl { display: grid; grid-template-columns: 140px 1fr; gap: 6px 12px; margin-top: 32px; }
+  .cover dt { color: #6d7882; }
+  .cover dd { margin: 0; word-break: break-all; }
+  .summary { display: flex; gap: 16px; margin-top: 32px; }
+  .summary .card { flex: 1; border: 1px solid #cdd1d5; border-radius: 8px; padding: 16px; }
+  .summary .value { font-size: 32px; font-weight: 700; }
+  .bar { height: 8px; background: #e6e8ea; border-radius: 4px; overflow: hidden; }
+  .bar span { display: block; height: 100%; background: #256ef4; }
+  .status-pass { color: #228738; font-weight: 600; }
+  .status-fail { color: #de3412; font-weight: 600; }
+  .status-review { color: #9e6a00; font-weight: 600; }
+  .status-inapplicable { color: #6d7882; }
+  .issue { border: 1px solid #e6e8ea; border-radius: 8px; padding: 12px; margin: 8px 0; break-inside: avoid; }
+  .issue .meta { color: #464c53; font-size: 12px; }
+  .evidence { margin: 6px 0 0; padding-left: 18px; font-size: 12px; }
+  .muted { color: #6d7882; }
+`;
+
+/**
+ * HTML 이스케이프
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const formatScore = (score) => (typeof score === 'number' ? `${score}점` : '해당없음');
+
+const formatValue = (value) => (value === null || value === undefined
+  ? ''
+  : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * 점수 막대
+ */
+function renderBar(score) {
+  const width = typeof score === 'number' ? Math.max(0, Math.min(100, score)) : 0;
+  return `<div class="bar"><span style="width:${width}%"></span></div>`;
+}
+
+/**
+ * 표지
+ */
+function renderCover(result, title) {
+  const kwcag = result.kwcagReport || {};
+  const date = new Date(result.timestamp || Date.now()).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+
+  return `
+  <section class="cover">
+    <h1>${escapeHtml(title)}</h1>
+    <p class="subtitle">KRDS(범정부 UI/UX 디자인 시스템) 및 KWCAG 2.2 진단 결과</p>
+    <div class="summary">
+      <div class="card"><div class="muted">KRDS 종합 점수</div><div class="value">${escapeHtml(formatScore(result.overallScore))}</div></div>
+      <div class="card"><div class="muted">KWCAG 준수율</div><div class="value">${typeof kwcag.overallCompliance === 'number' ? `${escapeHtml(kwcag.overallCompliance)}%` : '-'}</div></div>
+      <div class="card"><div class="muted">WCAG 수준</div><div class="value">${escapeHtml(kwcag.wcagLevel || '-')}</div></div>
+    </div>
+    <dl>
+      <dt>대상 URL</dt><dd>${escapeHtml(result.url)}</dd>
+      <dt>뷰포트</dt><dd>${escapeHtml(Array.isArray(result.viewport) ? result.viewport.join(', ') : result.viewport)}</dd>
+      <dt>진단 일시</dt><dd>${escapeHtml(date)}</dd>
+      ${result.analysisId ? `<dt>분석 ID</dt><dd>${escapeHtml(result.analysisId)}</dd>` : ''}
+      ${result.scoring ? `<dt>점수 정책</dt><dd>${escapeHtml(result.scoring.policy.name)}${result.scoring.cap ? ` (axe ${escapeHtml(result.scoring.cap.impact)} 위반 ${escapeHtml(result.scoring.cap.violations)}건으로 ${escapeHtml(result.scoring.cap.limit)}점 상한, 원점수 ${escapeHtml(result.scoring.uncappedScore)}점)` : ''}</dd>` : ''}
+      ${result.exceptionInfo?.applied ? `<dt>예외 적용</dt><dd>${escapeHtml(result.exceptionInfo.totalExceptions)}건 (원점수 ${escapeHtml(result.exceptionInfo.originalScore)}점)</dd>` : ''}
+    </dl>
+  </section>`;
+}
+
+/**
+ * 종합/섹션 점수
+ */
+function renderScores(result) {
+  const rows = Object.keys(SECTION_KEYS).map(section => {
+    const score = sectionScore(result, section);
+    return `<tr><td>${escapeHtml(SECTIONS[section].name)}</td><td>${escapeHtml(formatScore(score))}</td><td>${renderBar(score)}</td></tr>`;
+  }).join('');
+
+  return `
+  <h2>1. 종합 점수</h2>
+  <table>
+    <thead><tr><th style="width:30%">구분</th><th style="width:15%">점수</th><th></th></tr></thead>
+    <tbody>
+      <tr><th>KRDS 종합</th><th>${escapeHtml(formatScore(result.overallScore))}</th><th>${renderBar(result.overallScore)}</th></tr>
+      ${rows}
+    </tbody>
+  </table>`;
+}
+
+/**
+ * KWCAG 검사항목 표 + 수동 검사 목록
+ */
+function renderKwcag(kwcag) {
+  if (!kwcag || !kwcag.items) {
+    return '<h2>2. KWCAG 2.2 검사항목</h2><p class="muted">KWCAG 보고서가 없습니다.</p>';
+  }
+
+  const rows = kwcag.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.id)}</td>
+        <td>${escapeHtml(item.title)}</td>
+        <td>${escapeHtml(item.level)}</td>
+        <td class="status-${escapeHtml(item.status)}">${escapeHtml(KWCAG_STATUS_LABELS[item.status] || item.status)}${item.excepted && item.status === 'pass' ? ' (예외)' : ''}</td>
+        <td><code>${escapeHtml([...item.axeRules.violations, ...item.axeRules.incomplete].join(', ')) || '-'}</code></td>
+      </tr>`).join('');
+
+  const levelRow = (label, level) => (level
+    ? `<tr><td>${label}</td><td>${escapeHtml(level.passed)}</td><td>${escapeHtml(level.failed)}</td><td>${escapeHtml(level.manualReview)}</td><td>${escapeHtml(level.compliance)}%</td></tr>`
+    : '');
+
+  // 키보드 탐색 검사 (항목별 checks)
+  const keyboard = kwcag.items
+    .flatMap(item => (item.checks || []).map(check => ({ ...check, itemId: item.id })))
+    .map(check =>
+      `<li><strong>${escapeHtml(check.itemId)}</strong> <span class="status-${escapeHtml(check.status)}">${escapeHtml(KWCAG_STATUS_LABELS[check.status] || check.status)}</span> - ${escapeHtml(check.message)}</li>`
+    ).join('');
+
+  const manual = (kwcag.manualReview || []).map(item =>
+    `<li><strong>${escapeHtml(item.id)} ${escapeHtml(item.title)}</strong> (${escapeHtml(item.reason)}) - ${escapeHtml(item.check)}</li>`
+  ).join('');
+
+  return `
+  <h2>2. KWCAG 2.2 검사항목</h2>
+  <table>
+    <thead><tr><th>수준</th><th>준수</th><th>미준수</th><th>수동 검사</th><th>준수율</th></tr></thead>
+    <tbody>${levelRow('Level A', kwcag.levelA)}${levelRow('Level AA (A 포함)', kwcag.levelAA)}</tbody>
+  </table>
+  <table>
+    <thead><tr><th style="width:8%">항목</th><th>검사항목</th><th style="width:8%">수준</th><th style="width:14%">결과</th><th style="width:28%">관련 axe 규칙</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  ${keyboard ? `<h3>키보드 탐색 검사</h3><ul>${keyboard}</ul>` : ''}
+  ${manual ? `<h3>수동 검사 필요 항목</h3><ul>${manual}</ul>` : ''}`;
+}
+
+/**
+ * 이슈 1건
+ */
+function renderIssue(issue) {
+  const evidence = (issue.evidence || []).slice(0, MAX_EVIDENCE).map(e => `
+        <li><code>${escapeHtml(e.selector)}</code>${e.measured !== undefined ? ` - 측정값: ${escapeHtml(formatValue(e.measured))}` : ''}
+          ${e.boundingBox ? `<span class="muted">(${escapeHtml(e.boundingBox.x)}, ${escapeHtml(e.boundingBox.y)}, ${escapeHtml(e.boundingBox.width)}×${escapeHtml(e.boundingBox.height)})</span>` : ''}
+          ${e.snippet ? `<br><code>${escapeHtml(e.snippet)}</code>` : ''}</li>`).join('');
+  const more = (issue.evidence || []).length > MAX_EVIDENCE
+    ? `<li class="muted">외 ${issue.evidence.length - MAX_EVIDENCE}개 요소</li>`
+    : '';
+
+  return `
+    <div class="issue">
+      <div><strong>${escapeHtml(issue.message)}</strong></div>
+      <div class="meta">
+        ${issue.ruleId ? `규칙 ${escapeHtml(issue.ruleId)}` : ''}
+        ${issue.expected !== null && issue.expected !== undefined ? ` · 기준: ${escapeHtml(formatValue(issue.expected))}` : ''}
+        ${issue.measured !== null && issue.measured !== undefined ? ` · 측정: ${escapeHtml(formatValue(issue.measured))}` : ''}
+      </div>
+      ${issue.remediation ? `<div>개선 방법: ${escapeHtml(issue.remediation)}</div>` : ''}
+      ${evidence || more ? `<ul class="evidence">${evidence}${more}</ul>` : ''}
+    </div>`;
+}
+
+/**
+ * KRDS 섹션별 이슈 목록
+ */
+function renderIssues(result) {
+  const sections = Object.entries(SECTION_KEYS).map(([section, keyField]) => {
+    const items = (result[section] || []).filter(item => (item.issues || []).length > 0);
+    if (items.length === 0) return '';
+
+    const body = items.map(item => `
+    <h3>${escapeHtml(item[keyField])} <span class="muted">(${escapeHtml(formatScore(item.score))})</span></h3>
+    ${item.issues.map(renderIssue).join('')}`).join('');
+
+    return `<h3 style="font-size:18px">${escapeHtml(SECTIONS[section].name)}</h3>${body}`;
+  }).join('');
+
+  return `
+  <h2>3. KRDS 이슈</h2>
+  ${sections || '<p class="muted">발견된 이슈가 없습니다.</p>'}`;
+}
+
+/**
+ * axe-core 위반 목록
+ */
+function renderAxeViolations(axeResults) {
+  const violations = axeResults?.violations || [];
+  if (violations.length === 0) {
+    return '<h2>4. 접근성 자동 검사 위반</h2><p class="muted">axe-core 위반 항목이 없습니다.</p>';
+  }
+
+  const body = violations.map(violation => {
+    const nodes = (violation.nodes || []).slice(0, MAX_AXE_NODES).map(node =>
+      `<li><code>${escapeHtml((node.target || []).join(' '))}</code>${node.html ? `<br><code>${escapeHtml(node.html)}</code>` : ''}</li>`
+    ).join('');
+    const more = (violation.nodes || []).length > MAX_AXE_NODES
+      ? `<li class="muted">외 ${violation.nodes.length - MAX_AXE_NODES}개 요소</li>`
+      : '';
+
+    return `
+    <div class="issue">
+      <div><strong>${escapeHtml(violation.help || violation.description)}</strong></div>
+      <div class="meta">규칙 <code>${escapeHtml(violation.id)}</code> · 영향도 ${escapeHtml(IMPACT_LABELS[violation.impact] || violation.impact || '-')}
+        ${violation.helpUrl ? ` · ${escapeHtml(violation.helpUrl)}` : ''}</div>
+      <ul class="evidence">${nodes}${more}</ul>
+    </div>`;
+  }).join('');
+
+  return `<h2>4. 접근성 자동 검사 위반</h2>${body}`;
+}
+
+/**
+ * 상태별 분석 (상호작용 후 화면의 점수/이슈/axe 위반)
+ */
+function renderStates(states) {
+  if (!states || states.length === 0) return '';
+
+  const rows = states.map(state => `<tr>
+      <td>${escapeHtml(state.name)}</td>
+      <td>${escapeHtml((state.actions || []).join(' → '))}</td>
+      <td>${state.error ? '-' : escapeHtml(formatScore(state.overallScore))}</td>
+      <td>${typeof state.kwcagReport?.overallCompliance === 'number' ? `${escapeHtml(state.kwcagReport.overallCompliance)}%` : '-'}</td>
+      <td>${state.error ? `<span class="muted">분석 실패: ${escapeHtml(state.error)}</span>` : escapeHtml((state.axeResults?.violations || []).length)}</td>
+    </tr>`).join('');
+
+  const details = states.filter(state => !state.error).map(state => {
+    const issues = Object.keys(SECTION_KEYS).flatMap(section =>
+      (state[section] || []).flatMap(item => item.issues || [])
+    );
+    const violations = (state.axeResults?.violations || []).map(violation =>
+      `<li><code>${escapeHtml(violation.id)}</code> ${escapeHtml(violation.help || '')} <span class="muted">(${escapeHtml((violation.nodes || []).length)}개 요소)</span></li>`
+    ).join('');
+
+    return `
+    <h3>${escapeHtml(state.name)}</h3>
+    ${issues.length > 0 ? issues.map(renderIssue).join('') : '<p class="muted">KRDS 이슈가 없습니다.</p>'}
+    ${violations ? `<ul class="evidence">${violations}</ul>` : ''}`;
+  }).join('');
+
+  return `
+  <h2>5. 상태별 분석</h2>
+  <table>
+    <thead><tr><th style="width:20%">상태</th><th>동작</th><th style="width:10%">KRDS</th><th style="width:10%">KWCAG</th><th style="width:15%">axe 위반</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  ${details}`;
+}
+
+/**
+ * 부록: 적용된 예외 (사유 포함)
+ */
+function renderExceptions(result) {
+  const rows = Object.entries(SECTION_KEYS).flatMap(([section, keyField]) =>
+    (result[section] || [])
+      .filter(item => item.excluded)
+      .map(item => `<tr><td>${escapeHtml(SECTIONS[section].name)}</td><td>${escapeHtml(item[keyField])}</td><td><code>${escapeHtml(item.ruleId || '-')}</code></td><td>${escapeHtml(item.exclusionReason || '-')}</td></tr>`)
+  ).join('');
+
+  const info = result.exceptionInfo;
+  const summary = info?.applied
+    ? `<p>체크리스트 ${escapeHtml(info.checklistId || '-')} · 예외 ${escapeHtml(info.totalExceptions)}건 · 원점수 ${escapeHtml(info.originalScore)}점 → 조정 점수 ${escapeHtml(info.adjustedScore)}점</p>
+       ${(info.unresolved || []).length > 0 ? `<p class="muted">규칙을 찾지 못한 예외: ${escapeHtml(info.unresolved.join(', '))}</p>` : ''}`
+    : '';
+
+  // 접근성 예외로 제외된 axe 위반 요소 / 키보드 검사
+  const accessibility = info?.accessibility;
+  const accessibilityRows = [
+    ...(accessibility?.nodes || []).map(node =>
+      `<tr><td><code>${escapeHtml(node.ruleId)}</code></td><td>${escapeHtml(node.kwcagItem || '-')}</td><td><code>${escapeHtml((node.target || []).join(' '))}</code></td><td>${escapeHtml(node.exception.reason)}</td></tr>`),
+    ...(accessibility?.checks || []).map(check =>
+      `<tr><td>키보드: ${escapeHtml(check.id)}</td><td>${escapeHtml(check.kwcagItem)}</td><td>${escapeHtml(check.message)}</td><td>${escapeHtml(check.exception.reason)}</td></tr>`)
+  ].join('');
+
+  // 만료되어 적용하지 않은 예외
+  const expired = (info?.expired || []).map(exc =>
+    `<li>${escapeHtml(exc.item_key || exc.item_name)} - ${escapeHtml(exc.reason || '-')} (승인 ${escapeHtml(exc.approver || '-')}, 만료 ${escapeHtml(exc.expires_at)})</li>`
+  ).join('');
+
+  return `
+  <h2>부록. 적용된 예외</h2>
+  ${summary}
+  ${rows
+    ? `<table><thead><tr><th style="width:15%">섹션</th><th style="width:20%">항목</th><th style="width:25%">규칙 ID</th><th>사유</th></tr></thead><tbody>${rows}</tbody></table>`
+    : accessibilityRows ? '' : '<p class="muted">적용된 예외가 없습니다.</p>'}
+  ${accessibilityRows
+    ? `<h3>접근성 예외 (KWCAG 준수율 ${escapeHtml(accessibility.originalCompliance ?? '-')}% → ${escapeHtml(accessibility.adjustedCompliance ?? '-')}%)</h3>
+  <table><thead><tr><th style="width:20%">axe 규칙</th><th style="width:10%">KWCAG</th><th>대상 요소</th><th style="width:25%">사유</th></tr></thead><tbody>${accessibilityRows}</tbody></table>`
+    : ''}
+  ${expired ? `<h3>만료된 예외 (미적용)</h3><ul>${expired}</ul>` : ''}`;
+}
+
+/**
+ * 단일 뷰포트 본문
+ */
+function renderBody(result) {
+  return [
+    renderScores(result),
+    renderKwcag(result.kwcagReport),
+    renderIssues(result),
+    renderAxeViolations(result.axeResults),
+    renderStates(result.states),
+    renderExceptions(result)
+  ].join('\n');
+}
+
+/**
+ * 다중 뷰포트 반응형 비교
+ */
+function renderComparison(comparison) {
+  if (!comparison) return '';
+  const rows = (comparison.issues || []).map(issue =>
+    `<tr><td>${escapeHtml(issue.type)}</td><td>${escapeHtml(issue.viewports.join(', '))}</td><td>${escapeHtml(issue.message)}</td></tr>`
+  ).join('');
+
+  return `
+  <h2>반응형 비교</h2>
+  <p>뷰포트별 점수: ${Object.entries(comparison.scores || {}).map(([vp, score]) => `${escapeHtml(vp)} ${escapeHtml(formatScore(score))}`).join(' · ')}</p>
+  ${rows ? `<table><thead><tr><th>유형</th><th>뷰포트</th><th>내용</th></tr></thead><tbody>${rows}</tbody></table>` : '<p class="muted">뷰포트 간 차이가 없습니다.</p>'}`;
+}
+
+/**
+ * 📄 HTML 보고서 생성
+ * @param {Object} result - 분석 결과 (응답 data)
+ * @returns {String} HTML 문서
+ * @throws {Error} 지원하지 않는 결과 형식 (사이트 크롤링)
+ */
+function renderHtmlReport(result) {
+  if (result.aggregate) {
+    throw new Error('Site crawl results are not supported for reports');
+  }
+
+  const title = '웹 접근성·KRDS 진단 보고서';
+
+  // 다중 뷰포트: 표지는 가장 낮은 뷰포트 기준, 본문은 뷰포트별
+  const lowestKwcag = result.viewports
+    ? Object.values(result.viewports)
+      .map(vpResult => vpResult.kwcagReport)
+      .filter(Boolean)
+      .sort((a, b) => a.overallCompliance - b.overallCompliance)[0]
+    : null;
+
+  const content = result.viewports
+    ? `${renderCover({ ...result, kwcagReport: lowestKwcag }, title)}
+       ${renderComparison(result.comparison)}
+       ${Object.entries(result.viewports).map(([vp, vpResult]) =>
+    `<section style="break-before: page"><h1>${escapeHtml(vp)}</h1>${renderBody(vpResult)}</section>`
+  ).join('')}`
+    : `${renderCover(result, title)}${renderBody(result)}`;
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - ${escapeHtml(result.url)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<main>
+${content}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * 📑 PDF 보고서 생성 (브라우저 풀의 Chromium으로 출력)
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdfReport(result) {
+  const html = renderHtmlReport(result);
+
+  return withBrowserPage(async (page) => {
+    await page.setContent(html, { waitUntil: 'load' });
+    return page.pdf({
+      format: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: '<div style="font-size:9px;width:100%;text-align:center;color:#6d7882;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+      margin: { top: '18mm', bottom: '18mm', left: '16mm', right: '16mm' }
+    });
+  });
+}
+
+module.exports = {
+  renderHtmlReport,
+  renderPdfReport
+};
@@ -0,0 +1,185 @@
+/**
+ * 반응형 비교 분석
+ * 뷰포트별 가로 넘침 / 토글 없이 숨겨진 내비게이션 / 터치 영역 크기를 측정하고 뷰포트 간 차이를 비교
+ */
+
+const { KRDS_TOKENS } = require('./krdsTokens');
+const { injectPageHelpers } = require('./pageHelpers');
+
+// 터치 영역 비교 시 허용 오차 (px)
+const TARGET_SHRINK_TOLERANCE = 2;
+// 뷰포트당 수집하는 조작 요소 최대 수
+const MAX_TARGETS = 300;
+
+/**
+ * 📱 반응형 측정값 수집 (현재 뷰포트 기준)
+ */
+async function collectResponsiveMetrics(page) {
+  await injectPageHelpers(page);
+
+  return page.evaluate(({ maxTargets }) => {
+    const { query, isVisible, uniqueSelector, evidence } = window.__viewchecker;
+    const viewportWidth = document.documentElement.clientWidth;
+
+    // 1. 가로 넘침: 부모는 화면 안인데 자신이 화면 밖으로 나간 요소 (넘침의 원인)
+    const scrollWidth = document.documentElement.scrollWidth;
+    const overflowing = scrollWidth > viewportWidth + 1
+      ? query('body *').filter(el => {
+        if (!isVisible(el)) return false;
+        const rect = el.getBoundingClientRect();
+        if (rect.right <= viewportWidth + 1) return false;
+        const parent = el.parentElement;
+        return !parent || parent.getBoundingClientRect().right <= viewportWidth + 1;
+      })
+      : [];
+
+    // 2. 숨겨진 내비게이션 + 열기 버튼 존재 여부
+    const toggles = query('button, [role="button"], a[href="#"], [aria-expanded]')
+      .filter(isVisible);
+    const hasToggleFor = (nav) => toggles.some(toggle => {
+      const controls = (toggle.getAttribute('aria-controls') || '').split(/\s+/).filter(Boolean);
+      if (controls.some(id => {
+        const target = document.getElementById(id);
+        return target && (target === nav || target.contains(nav) || nav.contains(target));
+      })) return true;
+      const label = `${toggle.getAttribute('aria-label') || ''} ${toggle.className || ''} ${toggle.textContent || ''}`;
+      return toggle.hasAttribute('aria-expanded') && /menu|nav|gnb|hamburger|메뉴/i.test(label);
+    });
+    const navs = query('nav, [role="navigation"]')
+      .filter(nav => !nav.parentElement?.closest('nav, [role="navigation"]'));
+    const hiddenNavs = navs.filter(nav => !isVisible(nav));
+
+    // 3. 조작 요소 크기
+    const targets = query('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [tabindex]:not([tabindex="-1"])')
+      .filter(isVisible)
+      .slice(0, maxTargets)
+      .map(el => {
+        const rect = el.getBoundingClientRect();
+        return {
+          selector: uniqueSelector(el),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        };
+      });
+
+    return {
+      viewportWidth,
+      overflow: {
+        hasOverflow: scrollWidth > viewportWidth + 1,
+        scrollWidth,
+        evidence: overflowing.slice(0, 10).map(el =>
+          evidence(el, `right: ${Math.round(el.getBoundingClientRect().right)}px > ${viewportWidth}px`)
+        )
+      },
+      navigation: {
+        total: navs.length,
+        hidden: hiddenNavs.length,
+        hiddenWithoutToggle: hiddenNavs.filter(nav => !hasToggleFor(nav)).slice(0, 10)
+          .map(nav => evidence(nav, 'hidden, no toggle'))
+      },
+      targets
+    };
+  }, { maxTargets: MAX_TARGETS });
+}
+
+/**
+ * 📐 뷰포트 간 비교
+ * @param {Object} results - { [viewport]: { overallScore, kwcagReport, responsive } }
+ * @returns {Object} 점수 비교 + 특정 뷰포트에서만 발생하는 반응형 이슈
+ */
+function compareViewports(results) {
+  const viewports = Object.keys(results);
+  // 넓은 뷰포트부터 정렬
+  const byWidth = [...viewports].sort((a, b) =>
+    (results[b].responsive?.viewportWidth || 0) - (results[a].responsive?.viewportWidth || 0)
+  );
+  const minTarget = KRDS_TOKENS.component.minTargetSize;
+
+  const issues = [];
+  const addIssue = (type, affected, message, details) => {
+    if (affected.length === 0) return;
+    issues.push({
+      type,
+      viewports: affected,
+      breakpointSpecific: affected.length < viewports.length,
+      message,
+      details
+    });
+  };
+
+  // 1. 가로 넘침
+  const overflowViewports = viewports.filter(vp => results[vp].responsive?.overflow.hasOverflow);
+  addIssue(
+    'horizontalOverflow',
+    overflowViewports,
+    `가로 스크롤 발생: ${overflowViewports.join(', ')}`,
+    Object.fromEntries(overflowViewports.map(vp => [vp, {
+      viewportWidth: results[vp].responsive.viewportWidth,
+      scrollWidth: results[vp].responsive.overflow.scrollWidth,
+      evidence: results[vp].responsive.overflow.evidence
+    }]))
+  );
+
+  // 2. 토글 없이 숨겨진 내비게이션
+  const hiddenNavViewports = viewports.filter(vp =>
+    (results[vp].responsive?.navigation.hiddenWithoutToggle || []).length > 0
+  );
+  addIssue(
+    'hiddenNavigationWithoutToggle',
+    hiddenNavViewports,
+    `메뉴 열기 버튼 없이 내비게이션이 숨겨짐: ${hiddenNavViewports.join(', ')}`,
+    Object.fromEntries(hiddenNavViewports.map(vp => [vp, {
+      evidence: results[vp].responsive.navigation.hiddenWithoutToggle
+    }]))
+  );
+
+  // 3. 좁은 뷰포트에서 최소 크기 미만으로 줄어든 터치 영역
+  const shrinking = {};
+  byWidth.forEach((vp, index) => {
+    const wider = byWidth.slice(0, index);
+    if (wider.length === 0) return;
+
+    const current = results[vp].responsive?.targets || [];
+    const found = current.filter(target => {
+      if (Math.min(target.width, target.height) >= minTarget) return false;
+      return wider.some(other => {
+        const before = (results[other].responsive?.targets || []).find(t => t.selector === target.selector);
+        return before &&
+          Math.min(before.width, before.height) - Math.min(target.width, target.height) > TARGET_SHRINK_TOLERANCE;
+      });
+    });
+
+    if (found.length > 0) {
+      shrinking[vp] = found.slice(0, 10).map(target => ({
+        selector: target.selector,
+        measured: Object.fromEntries(byWidth.map(other => {
+          const match = (results[other].responsive?.targets || []).find(t => t.selector === target.selector);
+          return [other, match ? { width: match.width, height: match.height } : null];
+        }))
+      }));
+    }
+  });
+  addIssue(
+    'shrinkingTouchTarget',
+    Object.keys(shrinking),
+    `좁은 화면에서 조작 영역이 ${minTarget}×${minTarget}px 미만으로 줄어듦: ${Object.keys(shrinking).join(', ')}`,
+    shrinking
+  );
+
+  const scores = Object.fromEntries(viewports.map(vp => [vp, results[vp].overallScore]));
+  const scoreValues = Object.values(scores).filter(score => typeof score === 'number');
+
+  return {
+    viewports: byWidth,
+    scores,
+    kwcagCompliance: Object.fromEntries(viewports.map(vp => [vp, results[vp].kwcagReport?.overallCompliance ?? null])),
+    scoreSpread: scoreValues.length > 0 ? Math.max(...scoreValues) - Math.min(...scoreValues) : 0,
+    issues,
+    breakpointSpecificIssues: issues.filter(issue => issue.breakpointSpecific).length
+  };
+}
+
+module.exports = {
+  collectResponsiveMetrics,
+  compareViewports
+};
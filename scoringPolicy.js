@@ -0,0 +1,238 @@
+/**
+ * 점수 계산 정책
+ * 분석(analyzer)과 예외 적용(exceptionHandler)이 같은 방식으로 overallScore를 계산하도록 한 곳에서 관리
+ * 정책마다 섹션/항목 가중치, 예외 항목 처리 방식, axe 위반 점수 상한을 지정
+ */
+
+const { SECTIONS, getRule, findRule } = require('./krdsRules');
+
+// 섹션별 항목 이름 필드 (규칙 ID가 없는 항목의 규칙 찾기용)
+const SECTION_KEYS = {
+  designStyles: 'category',
+  components: 'type',
+  basicPatterns: 'name',
+  servicePatterns: 'name'
+};
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+const AXE_IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * 예외 항목 처리
+ * - perfect: 100점으로 계산 (기존 방식)
+ * - exclude: 분모에서 제외 (예외 항목이 많을수록 점수가 부풀려지지 않음)
+ */
+const EXCEPTED_MODES = ['perfect', 'exclude'];
+
+const DEFAULT_POLICY = 'default';
+
+/**
+ * 정책 목록
+ * - sectionWeights: 섹션 가중치 (0이면 제외)
+ * - severityWeights: KRDS 규칙 심각도별 항목 가중치
+ * - ruleWeights: 규칙 ID별 항목 가중치 (severityWeights보다 우선)
+ * - exceptedItems: 예외 항목 처리 (perfect | exclude)
+ * - axeCaps: 남은 axe 위반 영향도별 전체 점수 상한 (null이면 상한 없음)
+ */
+const SCORING_POLICIES = {
+  default: {
+    name: 'default',
+    description: '네 섹션 동일 가중치, 예외 항목 100점 처리, axe 상한 없음',
+    sectionWeights: { designStyles: 1, components: 1, basicPatterns: 1, servicePatterns: 1 },
+    severityWeights: { critical: 1, major: 1, minor: 1 },
+    ruleWeights: {},
+    exceptedItems: 'perfect',
+    axeCaps: { critical: null, serious: null, moderate: null, minor: null }
+  },
+  strict: {
+    name: 'strict',
+    description: '심각도 가중치, 예외 항목은 분모에서 제외, 치명적 axe 위반 시 최대 60점',
+    sectionWeights: { designStyles: 1, components: 1, basicPatterns: 1, servicePatterns: 1 },
+    severityWeights: { critical: 3, major: 2, minor: 1 },
+    ruleWeights: {},
+    exceptedItems: 'exclude',
+    axeCaps: { critical: 60, serious: 80, moderate: null, minor: null }
+  },
+  accessibility: {
+    name: 'accessibility',
+    description: '컴포넌트/기본 패턴 비중 확대, 치명적 axe 위반 시 최대 50점',
+    sectionWeights: { designStyles: 0.5, components: 2, basicPatterns: 1.5, servicePatterns: 1 },
+    severityWeights: { critical: 2, major: 1.5, minor: 1 },
+    ruleWeights: {},
+    exceptedItems: 'perfect',
+    axeCaps: { critical: 50, serious: 75, moderate: null, minor: null }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 가중치 객체 검증 (허용 키, 0 이상 숫자)
+ */
+function validateWeights(weights, allowedKeys, label) {
+  if (weights === undefined) return {};
+  if (!isPlainObject(weights)) throw new Error(`${label} must be an object`);
+  Object.entries(weights).forEach(([key, value]) => {
+    if (allowedKeys && !allowedKeys.includes(key)) {
+      throw new Error(`${label}.${key} is not allowed (allowed: ${allowedKeys.join(', ')})`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`${label}.${key} must be a non-negative number`);
+    }
+  });
+  return weights;
+}
+
+/**
+ * 점수 정책 결정
+ * @param {String|Object} input - 정책 이름, 또는 { extends, name, sectionWeights, severityWeights, ruleWeights, exceptedItems, axeCaps }
+ *   (객체는 extends 정책(기본 default)에 덮어씀, 분석 결과에 기록된 정책도 그대로 다시 사용 가능)
+ * @returns {Object} 정규화된 정책
+ * @throws {Error} 알 수 없는 정책 / 잘못된 값 (400)
+ */
+function resolveScoringPolicy(input) {
+  if (input === undefined || input === null || input === '') return SCORING_POLICIES[DEFAULT_POLICY];
+
+  if (typeof input === 'string') {
+    const policy = SCORING_POLICIES[input];
+    if (!policy) throw new Error(`Unknown scoring policy: ${input} (allowed: ${Object.keys(SCORING_POLICIES).join(', ')})`);
+    return policy;
+  }
+
+  if (!isPlainObject(input)) throw new Error('scoring_policy must be a policy name or object');
+
+  const base = resolveScoringPolicy(input.extends || DEFAULT_POLICY);
+  if (input.exceptedItems !== undefined && !EXCEPTED_MODES.includes(input.exceptedItems)) {
+    throw new Error(`scoring_policy.exceptedItems must be one of ${EXCEPTED_MODES.join(', ')}`);
+  }
+  const ruleWeights = validateWeights(input.ruleWeights, null, 'scoring_policy.ruleWeights');
+  Object.keys(ruleWeights).forEach(ruleId => {
+    if (!getRule(ruleId)) throw new Error(`scoring_policy.ruleWeights.${ruleId} is not a KRDS rule`);
+  });
+
+  const axeCaps = input.axeCaps === undefined ? {} : input.axeCaps;
+  if (!isPlainObject(axeCaps)) throw new Error('scoring_policy.axeCaps must be an object');
+  Object.entries(axeCaps).forEach(([impact, cap]) => {
+    if (!AXE_IMPACTS.includes(impact)) {
+      throw new Error(`scoring_policy.axeCaps.${impact} is not allowed (allowed: ${AXE_IMPACTS.join(', ')})`);
+    }
+    if (cap !== null && (typeof cap !== 'number' || cap < 0 || cap > 100)) {
+      throw new Error(`scoring_policy.axeCaps.${impact} must be a number between 0 and 100 or null`);
+    }
+  });
+
+  return {
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${base.name}+custom`,
+    description: typeof input.description === 'string' ? input.description : base.description,
+    sectionWeights: { ...base.sectionWeights, ...validateWeights(input.sectionWeights, Object.keys(SECTIONS), 'scoring_policy.sectionWeights') },
+    severityWeights: { ...base.severityWeights, ...validateWeights(input.severityWeights, SEVERITIES, 'scoring_policy.severityWeights') },
+    ruleWeights: { ...base.ruleWeights, ...ruleWeights },
+    exceptedItems: input.exceptedItems || base.exceptedItems,
+    axeCaps: { ...base.axeCaps, ...axeCaps }
+  };
+}
+
+/**
+ * 항목 가중치 (규칙 ID → 심각도 순, 규칙을 모르면 1)
+ */
+function getItemWeight(item, section, policy) {
+  const rule = (item.ruleId && getRule(item.ruleId)) || findRule(section, item[SECTION_KEYS[section]]);
+  if (!rule) return 1;
+  if (policy.ruleWeights[rule.id] !== undefined) return policy.ruleWeights[rule.id];
+  return policy.severityWeights[rule.severity] ?? 1;
+}
+
+/**
+ * 항목 점수 (score, 숫자 compliance 순)
+ */
+function getItemScore(item) {
+  if (typeof item.score === 'number') return item.score;
+  if (typeof item.compliance === 'number') return item.compliance;
+  return 0;
+}
+
+/**
+ * 섹션 점수 (가중 평균)
+ * 해당없음(applicable: false) 항목과 exclude 정책의 예외 항목은 제외, 남은 항목이 없거나 빈 섹션이면 null
+ * @param {Array} items - 섹션 항목
+ * @param {String} section - 'designStyles' | 'components' | 'basicPatterns' | 'servicePatterns'
+ */
+function calculateSectionScore(items, section, policy = SCORING_POLICIES[DEFAULT_POLICY]) {
+  const scored = (items || [])
+    .filter(item => item.applicable !== false)
+    .filter(item => !(policy.exceptedItems === 'exclude' && item.excluded))
+    .map(item => ({ score: getItemScore(item), weight: getItemWeight(item, section, policy) }))
+    .filter(({ weight }) => weight > 0);
+
+  const totalWeight = scored.reduce((sum, { weight }) => sum + weight, 0);
+  if (totalWeight === 0) return null;
+
+  return Math.round(scored.reduce((sum, { score, weight }) => sum + score * weight, 0) / totalWeight);
+}
+
+/**
+ * 남은 axe 위반 영향도별 개수
+ */
+function countAxeImpacts(axeResults) {
+  const counts = Object.fromEntries(AXE_IMPACTS.map(impact => [impact, 0]));
+  (axeResults?.violations || []).forEach(violation => {
+    if (counts[violation.impact] !== undefined) counts[violation.impact] += 1;
+  });
+  return counts;
+}
+
+/**
+ * 🧮 전체 점수 계산
+ * @param {Object} data - { designStyles, components, basicPatterns, servicePatterns, axeResults }
+ * @param {Object} policy - resolveScoringPolicy 결과
+ * @returns {Object} { overallScore, scoring: { policy, sections, uncappedScore, cap } }
+ */
+function scoreResult(data, policy = SCORING_POLICIES[DEFAULT_POLICY]) {
+  const sections = Object.fromEntries(
+    Object.keys(SECTIONS).map(section => [section, calculateSectionScore(data[section], section, policy)])
+  );
+
+  // 해당없음 섹션과 가중치 0 섹션 제외
+  const weighted = Object.entries(sections)
+    .filter(([section, score]) => score !== null && policy.sectionWeights[section] > 0)
+    .map(([section, score]) => ({ score, weight: policy.sectionWeights[section] }));
+  const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  const uncappedScore = totalWeight > 0
+    ? Math.round(weighted.reduce((sum, { score, weight }) => sum + score * weight, 0) / totalWeight)
+    : 0;
+
+  // axe 위반 상한 (해당하는 상한 중 가장 낮은 값)
+  const impacts = countAxeImpacts(data.axeResults);
+  const cap = AXE_IMPACTS
+    .filter(impact => impacts[impact] > 0 && typeof policy.axeCaps[impact] === 'number')
+    .map(impact => ({ impact, limit: policy.axeCaps[impact], violations: impacts[impact] }))
+    .sort((a, b) => a.limit - b.limit)[0] || null;
+
+  const overallScore = cap ? Math.min(uncappedScore, cap.limit) : uncappedScore;
+
+  return {
+    overallScore,
+    scoring: {
+      policy,
+      sections,
+      uncappedScore,
+      cap: cap && cap.limit < uncappedScore ? cap : null
+    }
+  };
+}
+
+/**
+ * 정책 목록 (GET /api/scoring-policies)
+ */
+function listScoringPolicies() {
+  return Object.values(SCORING_POLICIES);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  SCORING_POLICIES,
+  resolveScoringPolicy,
+  calculateSectionScore,
+  scoreResult,
+  listScoringPolicies
+};
@@ -5,12 +5,27 @@
 
 const express = require('express');
 const cors = require('cors');
-const { analyzeWebsite } = require('./analyzer');
-const { applyExceptions } = require('./exceptionHandler');
+const { analyzeWebsite, getBrowserPoolStats, closeBrowserPool, VIEWPORT_SIZES } = require('./analyzer');
+const { applyExceptionsToResult, getExceptionSelectors } = require('./exceptionHandler');
+const { RULES_VERSION, SECTIONS, listRules, getRule } = require('./krdsRules');
+const { createJobQueue } = require('./jobQueue');
+const { crawlSite } = require('./siteCrawler');
+const { createAnalysisStore } = require('./analysisStore');
+const { createChecklistStore } = require('./checklistStore');
+const { diffAnalyses } = require('./analysisDiff');
+const { renderHtmlReport, renderPdfReport } = require('./reportGenerator');
+const { toSarif, toJUnit } = require('./ciExport');
+const { createLocalSite } = require('./localSite');
+const { normalizeAuth, describeAuth } = require('./authSession');
+const { normalizeInteractions } = require('./pageActions');
+const { resolveScoringPolicy, listScoringPolicies, DEFAULT_POLICY } = require('./scoringPolicy');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// SSE 연결 유지용 주석 전송 간격
+const SSE_HEARTBEAT_MS = 15000;
+
 // 미들웨어 - CORS 명시적 설정
 app.use(cors({
   origin: [
@@ -24,6 +39,12 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 
+// 정적 사이트 zip 업로드 본문 (분석 옵션은 쿼리 문자열)
+const archiveBody = express.raw({
+  type: ['application/zip', 'application/x-zip-compressed'],
+  limit: '50mb'
+});
+
 // 요청 로깅
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
@@ -37,42 +58,290 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    jobs: jobQueue.stats(),
+    browserPool: getBrowserPoolStats()
+  });
+});
+
+// 분석 이력 저장소 (DATA_DIR, 기본 ./data)
+const analysisStore = createAnalysisStore({ dir: process.env.DATA_DIR });
+
+// 체크리스트 저장소 (같은 DATA_DIR)
+const checklistStore = createChecklistStore({ dir: process.env.DATA_DIR });
+
+/**
+ * 적용할 예외 결정 (요청에 exceptions가 없으면 저장된 체크리스트에서 가져옴)
+ * @throws {Error} 없는 체크리스트 (404)
+ */
+function resolveExceptions(exceptions, checklistId) {
+  if (exceptions !== undefined || !checklistId) return Array.isArray(exceptions) ? exceptions : [];
+
+  const stored = checklistStore.getExceptions(checklistId);
+  if (!stored) throw Object.assign(new Error(`Checklist not found: ${checklistId}`), { status: 404 });
+  return stored;
+}
+
+/**
+ * 변경자 (감사 로그용, 본문 actor 또는 쿼리 문자열 actor)
+ */
+function getActor(req) {
+  const actor = (req.body && req.body.actor) || req.query.actor;
+  return typeof actor === 'string' && actor.trim() ? actor.trim() : null;
+}
+
+/**
+ * 분석 결과 저장 (실패해도 분석 응답은 그대로 반환)
+ * @returns {String|null} 분석 ID
+ */
+async function storeAnalysis(data, meta) {
+  try {
+    const id = await analysisStore.save(data, meta);
+    console.log('💾 [이력 저장]', id);
+    return id;
+  } catch (error) {
+    console.error('⚠️ [이력 저장 실패]:', error.message);
+    return null;
+  }
+}
+
+/**
+ * viewport 검증 (배열이면 모두 알려진 뷰포트여야 함)
+ * @returns {String|null} 오류 메시지
+ */
+function validateViewport(viewport) {
+  if (!Array.isArray(viewport)) return null;
+  if (viewport.length === 0) return 'viewport array must not be empty';
+  const unknown = viewport.filter(vp => !VIEWPORT_SIZES[vp]);
+  return unknown.length > 0
+    ? `Unknown viewport: ${unknown.join(', ')} (allowed: ${Object.keys(VIEWPORT_SIZES).join(', ')})`
+    : null;
+}
+
+/**
+ * 분석 요청 해석 (url / html 문자열 / 정적 사이트 zip)
+ * zip은 application/zip 본문(옵션은 쿼리 문자열) 또는 JSON의 archive(base64)로 받음
+ * 인증(auth)은 JSON 본문으로만 받음 (쿼리 문자열은 접근 로그에 남을 수 있음)
+ * 상호작용(actions, states)도 JSON 본문으로만 받음
+ * exceptions 없이 checklist_id만 보내면 저장된 체크리스트의 예외를 사용
+ * scoring_policy는 정책 이름 또는 { extends, sectionWeights, ... } 객체 (업로드는 쿼리에 이름 또는 JSON)
+ * @returns {Object} { url, viewport, exceptions, checklist_id, localSite, auth, interactions, scoringPolicy }
+ * @throws {Error} 잘못된 요청 (400) / 없는 체크리스트 (404)
+ */
+function parseAnalysisRequest(req) {
+  const isUpload = Buffer.isBuffer(req.body);
+  const params = isUpload ? req.query : (req.body || {});
+
+  let viewport = params.viewport || 'desktop';
+  let exceptions = params.exceptions;
+  let scoringPolicy = params.scoring_policy;
+  if (isUpload) {
+    // 쿼리 문자열: viewport=desktop,mobile / exceptions=<JSON 배열> / scoring_policy=<이름 또는 JSON>
+    viewport = viewport.includes(',') ? viewport.split(',').map(vp => vp.trim()) : viewport;
+    try {
+      exceptions = typeof exceptions === 'string' ? JSON.parse(exceptions) : exceptions;
+    } catch (error) {
+      throw new Error('exceptions must be a JSON array');
+    }
+    try {
+      scoringPolicy = typeof scoringPolicy === 'string' && scoringPolicy.trim().startsWith('{')
+        ? JSON.parse(scoringPolicy)
+        : scoringPolicy;
+    } catch (error) {
+      throw new Error('scoring_policy must be a policy name or JSON object');
+    }
+  }
+
+  const viewportError = validateViewport(viewport);
+  if (viewportError) throw new Error(viewportError);
+
+  let localSite = null;
+  if (isUpload) {
+    localSite = createLocalSite({ archive: req.body, entry: params.entry });
+  } else if (typeof params.html === 'string') {
+    localSite = createLocalSite({ html: params.html });
+  } else if (typeof params.archive === 'string') {
+    localSite = createLocalSite({ archive: Buffer.from(params.archive, 'base64'), entry: params.entry });
+  } else if (!params.url) {
+    throw new Error('URL is required (or html / archive)');
+  }
+
+  if (localSite && params.auth) throw new Error('auth cannot be used with html or archive');
+  const auth = isUpload ? null : normalizeAuth(params.auth, params.url);
+  const url = localSite ? localSite.url : params.url;
+  const interactions = isUpload ? null : normalizeInteractions({ actions: params.actions, states: params.states }, url);
+
+  return {
+    url,
+    viewport,
+    exceptions: resolveExceptions(exceptions, params.checklist_id),
+    checklist_id: params.checklist_id,
+    localSite,
+    auth,
+    interactions,
+    scoringPolicy: resolveScoringPolicy(scoringPolicy)
+  };
+}
+
+/**
+ * 분석 결과 → 응답 데이터 (모든 필드 포함)
+ */
+function buildResponseData(finalResult, url, viewport) {
+  // 다중 뷰포트: 뷰포트별 결과 + 반응형 비교
+  if (finalResult.viewports) {
+    return {
+      url: String(finalResult.url || url),
+      viewport: finalResult.viewport || viewport,
+      timestamp: finalResult.timestamp || new Date().toISOString(),
+      executionTime: finalResult.executionTime || 0,
+      overallScore: Number(finalResult.overallScore) || 0,
+      viewports: Object.fromEntries(
+        Object.entries(finalResult.viewports).map(([vp, result]) => [vp, buildResponseData(result, url, vp)])
+      ),
+      comparison: finalResult.comparison || null
+    };
+  }
+
+  return {
+    url: String(finalResult.url || url),
+    viewport: finalResult.viewport || viewport,
+    timestamp: finalResult.timestamp || new Date().toISOString(),
+    executionTime: finalResult.executionTime || 0,
+    
+    // KRDS 점수
+    overallScore: Number(finalResult.overallScore) || 0,
+
+    // 점수 정책 + 섹션 점수 + axe 위반 상한
+    scoring: finalResult.scoring || null,
+    
+    // 카테고리별 상세 데이터
+    designStyles: finalResult.designStyles || [],
+    components: finalResult.components || [],
+    basicPatterns: finalResult.basicPatterns || [],
+    servicePatterns: finalResult.servicePatterns || [],
+    
+    // KRDS 컴플라이언스
+    krdsCompliance: finalResult.krdsCompliance || {},
+    
+    // ♿ axe-core 접근성 분석 결과
+    axeResults: finalResult.axeResults || null,
+    kwcagReport: finalResult.kwcagReport || null,
+
+    // ⌨️ 키보드 탐색 / 초점 검사
+    keyboardNavigation: finalResult.keyboardNavigation || null,
+    
+    // 예외 처리 정보
+    exceptionInfo: finalResult.exceptionInfo || null,
+
+    // 로컬 콘텐츠 분석 정보 (html / zip)
+    ...(finalResult.source ? { source: finalResult.source } : {}),
+
+    // 인증 방식 요약 (인증 값은 포함하지 않음)
+    ...(finalResult.authentication ? { authentication: finalResult.authentication } : {}),
+
+    // 상태별 분석 결과
+    ...(finalResult.states ? { states: finalResult.states } : {})
+  };
+}
+
+/**
+ * 비동기 분석 작업 처리 (분석 → 예외 적용 → 응답 데이터)
+ */
+async function processAnalysisJob(params, reportProgress) {
+  const { url, viewport, exceptions, checklist_id, localSite, auth, interactions, scoringPolicy } = params;
+
+  // 사이트 크롤링 작업
+  if (params.type === 'crawl') {
+    const siteReport = await crawlSite(url, {
+      ...params.crawl,
+      viewport,
+      exceptions,
+      checklistId: checklist_id,
+      scoringPolicy,
+      onProgress: reportProgress
+    });
+    const analysisId = await storeAnalysis(siteReport, { checklistId: checklist_id, source: 'crawl' });
+    return { analysisId, ...siteReport };
+  }
+
+  const analysisResult = await analyzeWebsite(url, viewport, {
+    onProgress: reportProgress,
+    localSite,
+    auth,
+    interactions,
+    exceptionSelectors: getExceptionSelectors(exceptions),
+    scoringPolicy
   });
+  if (!analysisResult.success) {
+    throw new Error(analysisResult.error);
+  }
+
+  reportProgress({ stage: 'exceptions', status: 'started', progress: 95, message: '예외 처리 적용 시작' });
+  const finalResult = applyExceptionsToResult(analysisResult.data, exceptions, checklist_id);
+
+  const data = buildResponseData(finalResult, url, viewport);
+  const analysisId = await storeAnalysis(data, { checklistId: checklist_id, source: 'job' });
+  return { analysisId, ...data };
+}
+
+// 분석 작업 큐 (동시 실행 수: JOB_CONCURRENCY)
+const jobQueue = createJobQueue(processAnalysisJob, {
+  concurrency: process.env.JOB_CONCURRENCY,
+  ttlMs: process.env.JOB_TTL_MS
 });
 
 /**
  * 메인 분석 API
  * POST /api/analyze
  */
-app.post('/api/analyze', async (req, res) => {
-  const { url, viewport = 'desktop', exceptions = [], checklist_id } = req.body;
+app.post('/api/analyze', archiveBody, async (req, res) => {
+  let request;
+  try {
+    request = parseAnalysisRequest(req);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const { url, viewport, exceptions, checklist_id, localSite, auth, interactions, scoringPolicy } = request;
 
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('📥 [API 요청]');
   console.log('  URL:', url);
+  if (localSite) {
+    console.log('  로컬 콘텐츠:', localSite.type, `(${localSite.fileCount}개 파일, 시작 ${localSite.entry})`);
+  }
+  if (auth) {
+    // 인증 값은 출력하지 않음
+    console.log('  인증:', describeAuth(auth).methods.join(', '));
+  }
+  if (interactions) {
+    console.log('  상호작용:', `사전 동작 ${interactions.actions.length}단계, 상태 ${interactions.states.length}개`);
+  }
   console.log('  Viewport:', viewport);
+  console.log('  점수 정책:', scoringPolicy.name);
   console.log('  예외 항목:', exceptions.length, '개');
   console.log('  체크리스트 ID:', checklist_id);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-  if (!url) {
-    return res.status(400).json({
-      success: false,
-      error: 'URL is required'
-    });
-  }
-
   try {
     // 1. KRDS 분석 실행
-    const analysisResult = await analyzeWebsite(url, viewport);
+    const analysisResult = await analyzeWebsite(url, viewport, {
+      localSite,
+      auth,
+      interactions,
+      exceptionSelectors: getExceptionSelectors(exceptions),
+      scoringPolicy
+    });
 
     if (!analysisResult.success) {
       return res.status(500).json(analysisResult);
     }
 
     // 2. 예외 처리 적용
-    const finalResult = applyExceptions(
+    const finalResult = applyExceptionsToResult(
       analysisResult.data,
       exceptions,
       checklist_id
@@ -93,38 +362,21 @@ app.post('/api/analyze', async (req, res) => {
       }
 
       // 안전한 응답 데이터 생성 (모든 필드 포함)
+      const data = buildResponseData(finalResult, url, viewport);
+      const analysisId = await storeAnalysis(data, { checklistId: checklist_id, source: 'api' });
       const safeResponseData = {
         success: true,
-        data: {
-          url: String(finalResult.url || url),
-          viewport: finalResult.viewport || viewport,
-          timestamp: finalResult.timestamp || new Date().toISOString(),
-          executionTime: finalResult.executionTime || 0,
-          
-          // KRDS 점수
-          overallScore: Number(finalResult.overallScore) || 0,
-          
-          // 카테고리별 상세 데이터
-          designStyles: finalResult.designStyles || [],
-          components: finalResult.components || [],
-          basicPatterns: finalResult.basicPatterns || [],
-          servicePatterns: finalResult.servicePatterns || [],
-          
-          // KRDS 컴플라이언스
-          krdsCompliance: finalResult.krdsCompliance || {},
-          
-          // ♿ axe-core 접근성 분석 결과
-          axeResults: finalResult.axeResults || null,
-          kwcagReport: finalResult.kwcagReport || null,
-          
-          // 예외 처리 정보
-          exceptionInfo: finalResult.exceptionInfo || null
-        }
+        data: { analysisId, ...data }
       };
 
       console.log('✅ [응답 데이터 검증 완료]');
-      console.log('  axeResults:', safeResponseData.data.axeResults ? '✓' : '✗');
-      console.log('  kwcagReport:', safeResponseData.data.kwcagReport ? '✓' : '✗');
+      if (safeResponseData.data.comparison) {
+        console.log('  뷰포트:', safeResponseData.data.viewport.join(', '));
+        console.log('  반응형 이슈:', safeResponseData.data.comparison.issues.length, '개');
+      } else {
+        console.log('  axeResults:', safeResponseData.data.axeResults ? '✓' : '✗');
+        console.log('  kwcagReport:', safeResponseData.data.kwcagReport ? '✓' : '✗');
+      }
       
       res.json(safeResponseData);
 
@@ -148,6 +400,630 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
+/**
+ * 비동기 분석 작업 등록
+ * POST /api/jobs
+ */
+app.post('/api/jobs', archiveBody, (req, res) => {
+  let request;
+  try {
+    request = parseAnalysisRequest(req);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const { url } = request;
+  const job = jobQueue.enqueue(request);
+
+  console.log('📥 [작업 등록]', job.id, url, `(대기 ${job.queuePosition})`);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    }
+  });
+});
+
+/**
+ * 사이트 크롤링 작업 등록
+ * POST /api/crawl
+ */
+app.post('/api/crawl', (req, res) => {
+  const { url, viewport = 'desktop', checklist_id, crawl = {} } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL is required'
+    });
+  }
+
+  try {
+    new URL(url);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid URL: ${url}`
+    });
+  }
+
+  if (Array.isArray(viewport)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Crawl supports a single viewport'
+    });
+  }
+
+  let exceptions;
+  let scoringPolicy;
+  try {
+    exceptions = resolveExceptions(req.body.exceptions, checklist_id);
+    scoringPolicy = resolveScoringPolicy(req.body.scoring_policy);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const job = jobQueue.enqueue({ type: 'crawl', url, viewport, exceptions, checklist_id, crawl, scoringPolicy });
+
+  console.log('📥 [크롤링 작업 등록]', job.id, url, crawl);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    }
+  });
+});
+
+/**
+ * 작업 상태/결과 조회
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * 작업 진행 스트림 (Server-Sent Events)
+ * GET /api/jobs/:id/events
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+  if (!jobQueue.get(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  const sendEvent = (event) => {
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+  };
+
+  let unsubscribe = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  unsubscribe = jobQueue.subscribe(req.params.id, sendEvent, close);
+  req.on('close', close);
+});
+
+/**
+ * 분석 이력 목록
+ * GET /api/analyses?url=&from=&to=&page=&limit=
+ */
+app.get('/api/analyses', (req, res) => {
+  const { url, from, to, page, limit } = req.query;
+
+  const invalidDate = [from, to].find(value => value && Number.isNaN(new Date(value).getTime()));
+  if (invalidDate) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid date: ${invalidDate}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: analysisStore.list({ url, from, to, page, limit })
+  });
+});
+
+/**
+ * URL별 점수 추이 (overallScore, KWCAG 준수율)
+ * GET /api/analyses/trend?url=&from=&to=&viewport=
+ */
+app.get('/api/analyses/trend', (req, res) => {
+  const { url, from, to, viewport } = req.query;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL is required'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: analysisStore.trend(url, { from, to, viewport })
+  });
+});
+
+/**
+ * 두 분석 결과 비교 (회귀 분석)
+ * POST /api/analyses/diff
+ * body: { baseId, headId } 저장된 분석 또는 { base, head } 분석 결과 직접 전달
+ */
+app.post('/api/analyses/diff', async (req, res) => {
+  const { baseId, headId, base, head } = req.body;
+
+  // 저장된 분석 ID 또는 직접 전달한 결과
+  const resolve = async (id, inline, label) => {
+    if (inline && typeof inline === 'object') return inline;
+    if (!id) throw Object.assign(new Error(`${label}Id or ${label} is required`), { status: 400 });
+    const record = await analysisStore.get(id);
+    if (!record) throw Object.assign(new Error(`Analysis not found: ${id}`), { status: 404 });
+    return { analysisId: record.id, ...record.result };
+  };
+
+  try {
+    const baseResult = await resolve(baseId, base, 'base');
+    const headResult = await resolve(headId, head, 'head');
+
+    let diff;
+    try {
+      diff = diffAnalyses(baseResult, headResult);
+    } catch (error) {
+      error.status = 400;
+      throw error;
+    }
+
+    console.log('🔀 [분석 비교]', baseResult.analysisId || 'inline', '→', headResult.analysisId || 'inline');
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    if (!error.status) console.error('❌ [분석 비교 실패]:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 보고서 응답 (format: html | pdf)
+ */
+async function sendReport(res, result, format = 'html') {
+  if (!['html', 'pdf'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format: ${format} (allowed: html, pdf)`
+    });
+  }
+
+  let html;
+  try {
+    html = renderHtmlReport(result);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const filename = `viewchecker-report-${result.analysisId || Date.now()}`;
+
+  if (format === 'html') {
+    res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+    return res.type('html').send(html);
+  }
+
+  console.log('📑 [PDF 보고서 생성]', result.url);
+  const pdf = await renderPdfReport(result);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}.pdf"`
+  });
+  res.send(pdf);
+}
+
+/**
+ * CI 형식 응답 (format: sarif | junit)
+ */
+function sendExport(res, result, format) {
+  if (!['sarif', 'junit'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format: ${format} (allowed: sarif, junit)`
+    });
+  }
+
+  try {
+    if (format === 'sarif') {
+      res.type('application/sarif+json').send(JSON.stringify(toSarif(result), null, 2));
+    } else {
+      res.type('application/xml').send(toJUnit(result));
+    }
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 저장된 분석의 CI 형식 출력
+ * GET /api/analyses/:id/export?format=sarif|junit
+ */
+app.get('/api/analyses/:id/export', async (req, res) => {
+  try {
+    const record = await analysisStore.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `Analysis not found: ${req.params.id}`
+      });
+    }
+
+    sendExport(res, { analysisId: record.id, ...record.result }, req.query.format || 'sarif');
+  } catch (error) {
+    console.error('❌ [CI 형식 변환 실패]:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 분석 결과를 직접 전달해 CI 형식 출력
+ * POST /api/export
+ * body: { analysis, format }
+ */
+app.post('/api/export', (req, res) => {
+  const { analysis, format = 'sarif' } = req.body;
+
+  if (!analysis || typeof analysis !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'analysis is required'
+    });
+  }
+
+  sendExport(res, analysis, format);
+});
+
+/**
+ * 저장된 분석의 보고서
+ * GET /api/analyses/:id/report?format=html|pdf
+ */
+app.get('/api/analyses/:id/report', async (req, res) => {
+  try {
+    const record = await analysisStore.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `Analysis not found: ${req.params.id}`
+      });
+    }
+
+    await sendReport(res, { analysisId: record.id, ...record.result }, req.query.format);
+  } catch (error) {
+    console.error('❌ [보고서 생성 실패]:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 분석 결과를 직접 전달해 보고서 생성
+ * POST /api/report
+ * body: { analysis, format }
+ */
+app.post('/api/report', async (req, res) => {
+  const { analysis, format } = req.body;
+
+  if (!analysis || typeof analysis !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'analysis is required'
+    });
+  }
+
+  try {
+    await sendReport(res, analysis, format);
+  } catch (error) {
+    console.error('❌ [보고서 생성 실패]:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 분석 결과 조회
+ * GET /api/analyses/:id
+ */
+app.get('/api/analyses/:id', async (req, res) => {
+  try {
+    const record = await analysisStore.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `Analysis not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { analysisId: record.id, ...record.result }
+    });
+  } catch (error) {
+    console.error('❌ [이력 조회 실패]:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 체크리스트 요청 처리 공통 (검증 오류 400, 그 외 500)
+ * @param {Function} handler - async (req, res) => void
+ */
+const checklistRoute = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (!error.status) console.error('❌ [체크리스트 처리 실패]:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const checklistNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Checklist not found: ${id}`
+});
+
+const exceptionNotFound = (res, id, exceptionId) => res.status(404).json({
+  success: false,
+  error: `Exception not found: ${exceptionId} (checklist ${id})`
+});
+
+/**
+ * 체크리스트 목록
+ * GET /api/checklists
+ */
+app.get('/api/checklists', (req, res) => {
+  res.json({
+    success: true,
+    data: checklistStore.list()
+  });
+});
+
+/**
+ * 체크리스트 생성
+ * POST /api/checklists
+ * body: { name, description, exceptions: [{ item_key, reason, approver, expires_at }], actor }
+ */
+app.post('/api/checklists', checklistRoute(async (req, res) => {
+  const checklist = await checklistStore.create(req.body, getActor(req));
+  console.log('📋 [체크리스트 생성]', checklist.id, checklist.name, `(예외 ${checklist.exceptions.length}개)`);
+  res.status(201).json({
+    success: true,
+    data: checklist
+  });
+}));
+
+/**
+ * 체크리스트 조회
+ * GET /api/checklists/:id
+ */
+app.get('/api/checklists/:id', (req, res) => {
+  const checklist = checklistStore.get(req.params.id);
+  if (!checklist) return checklistNotFound(res, req.params.id);
+
+  res.json({
+    success: true,
+    data: checklist
+  });
+});
+
+/**
+ * 체크리스트 수정 (exceptions를 보내면 전체 교체, 기존 항목은 id로 유지)
+ * PUT /api/checklists/:id
+ */
+app.put('/api/checklists/:id', checklistRoute(async (req, res) => {
+  const checklist = await checklistStore.update(req.params.id, req.body, getActor(req));
+  if (!checklist) return checklistNotFound(res, req.params.id);
+
+  console.log('📋 [체크리스트 수정]', checklist.id, `v${checklist.version}`);
+  res.json({
+    success: true,
+    data: checklistStore.get(checklist.id)
+  });
+}));
+
+/**
+ * 체크리스트 삭제
+ * DELETE /api/checklists/:id?actor=
+ */
+app.delete('/api/checklists/:id', checklistRoute(async (req, res) => {
+  const removed = await checklistStore.remove(req.params.id, getActor(req));
+  if (!removed) return checklistNotFound(res, req.params.id);
+
+  console.log('📋 [체크리스트 삭제]', req.params.id);
+  res.json({
+    success: true,
+    data: { id: req.params.id, deleted: true }
+  });
+}));
+
+/**
+ * 예외 항목 추가
+ * POST /api/checklists/:id/exceptions
+ */
+app.post('/api/checklists/:id/exceptions', checklistRoute(async (req, res) => {
+  const checklist = await checklistStore.addException(req.params.id, req.body, getActor(req));
+  if (!checklist) return checklistNotFound(res, req.params.id);
+
+  res.status(201).json({
+    success: true,
+    data: checklistStore.get(checklist.id)
+  });
+}));
+
+/**
+ * 예외 항목 수정 (보낸 필드만 변경)
+ * PUT /api/checklists/:id/exceptions/:exceptionId
+ */
+app.put('/api/checklists/:id/exceptions/:exceptionId', checklistRoute(async (req, res) => {
+  const { id, exceptionId } = req.params;
+  if (!checklistStore.get(id)) return checklistNotFound(res, id);
+
+  const checklist = await checklistStore.updateException(id, exceptionId, req.body, getActor(req));
+  if (!checklist) return exceptionNotFound(res, id, exceptionId);
+
+  res.json({
+    success: true,
+    data: checklistStore.get(checklist.id)
+  });
+}));
+
+/**
+ * 예외 항목 삭제
+ * DELETE /api/checklists/:id/exceptions/:exceptionId?actor=
+ */
+app.delete('/api/checklists/:id/exceptions/:exceptionId', checklistRoute(async (req, res) => {
+  const { id, exceptionId } = req.params;
+  if (!checklistStore.get(id)) return checklistNotFound(res, id);
+
+  const checklist = await checklistStore.removeException(id, exceptionId, getActor(req));
+  if (!checklist) return exceptionNotFound(res, id, exceptionId);
+
+  res.json({
+    success: true,
+    data: checklistStore.get(checklist.id)
+  });
+}));
+
+/**
+ * 체크리스트 변경 이력 (최신순, 삭제된 체크리스트 포함)
+ * GET /api/checklists/:id/audit?limit=
+ */
+app.get('/api/checklists/:id/audit', checklistRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await checklistStore.getAuditLog(req.params.id, { limit: req.query.limit })
+  });
+}));
+
+/**
+ * KRDS 규칙 카탈로그
+ * GET /api/rules?section=designStyles
+ */
+app.get('/api/rules', (req, res) => {
+  const { section } = req.query;
+  const rules = listRules({ section });
+
+  res.json({
+    success: true,
+    data: {
+      version: RULES_VERSION,
+      total: rules.length,
+      sections: SECTIONS,
+      rules
+    }
+  });
+});
+
+/**
+ * KRDS 규칙 단건 조회
+ * GET /api/rules/:id
+ */
+app.get('/api/rules/:id', (req, res) => {
+  const rule = getRule(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: `Rule not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * 점수 정책 목록
+ * GET /api/scoring-policies
+ */
+app.get('/api/scoring-policies', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: DEFAULT_POLICY,
+      policies: listScoringPolicies()
+    }
+  });
+});
+
 /**
  * 404 핸들러
  */
@@ -189,11 +1065,13 @@ app.listen(PORT, () => {
   console.log('✅ 예외 처리 기능: 활성화');
   console.log('✅ KRDS 분석 엔진: 활성화');
   console.log('✅ Playwright 크롤러: 활성화');
+  console.log(`✅ 비동기 작업 큐: 활성화 (동시 실행 ${jobQueue.stats().concurrency}개)`);
   console.log('');
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('📴 SIGTERM 신호 수신 - 서버 종료 중...');
+  await closeBrowserPool().catch(() => {});
   process.exit(0);
 });
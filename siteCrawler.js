@@ -0,0 +1,444 @@
+/**
+ * 사이트 크롤링 분석
+ * 시작 URL(또는 sitemap.xml)부터 같은 출처 페이지를 따라가며 페이지별 KRDS 분석 후 사이트 보고서 생성
+ */
+
+const { analyzeWebsite } = require('./analyzer');
+const { applyExceptions, getExceptionSelectors } = require('./exceptionHandler');
+const { issueFingerprint, sectionScore } = require('./analysisDiff');
+const { resolveScoringPolicy } = require('./scoringPolicy');
+
+const USER_AGENT = 'ViewCheckerBot';
+
+const DEFAULT_OPTIONS = {
+  maxDepth: 2,
+  maxPages: 10,
+  sitemap: true,
+  respectRobots: true
+};
+
+// 상한 (요청 값이 커도 이 이상 크롤링하지 않음)
+const LIMITS = {
+  maxDepth: 5,
+  maxPages: 50
+};
+
+const FETCH_TIMEOUT = 10000;
+
+// 분석 대상이 아닌 파일 확장자
+const SKIP_EXTENSIONS = /\.(pdf|hwp|hwpx|docx?|xlsx?|pptx?|zip|rar|7z|jpe?g|png|gif|svg|webp|ico|mp3|mp4|avi|mov|css|js|json|xml|txt)$/i;
+
+// 분석 결과 섹션 → 항목 이름 필드
+const SECTION_KEYS = {
+  designStyles: 'category',
+  components: 'type',
+  basicPatterns: 'name',
+  servicePatterns: 'name'
+};
+
+/**
+ * 크롤링 옵션 정규화 (기본값 + 상한)
+ */
+function normalizeCrawlOptions(options = {}) {
+  const clamp = (value, fallback, max) => {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number) || number < 0) return fallback;
+    return Math.min(number, max);
+  };
+
+  return {
+    maxDepth: clamp(options.maxDepth, DEFAULT_OPTIONS.maxDepth, LIMITS.maxDepth),
+    maxPages: Math.max(1, clamp(options.maxPages, DEFAULT_OPTIONS.maxPages, LIMITS.maxPages)),
+    sitemap: options.sitemap !== undefined ? Boolean(options.sitemap) : DEFAULT_OPTIONS.sitemap,
+    respectRobots: options.respectRobots !== undefined ? Boolean(options.respectRobots) : DEFAULT_OPTIONS.respectRobots
+  };
+}
+
+/**
+ * 텍스트 가져오기 (실패 시 null)
+ */
+async function fetchText(url) {
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${USER_AGENT}/1.0)` },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT)
+    });
+    if (!response.ok) return null;
+    return await response.text();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * URL 정규화 (해시 제거) - 분석 대상이 아니면 null
+ */
+function normalizeUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    if (!/^https?:$/.test(url.protocol)) return null;
+    if (SKIP_EXTENSIONS.test(url.pathname)) return null;
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * robots.txt 파싱 (User-agent: * 또는 ViewCheckerBot 그룹)
+ * @returns {Object} { rules: [{ allow, path }], sitemaps: [] }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = /^([A-Za-z-]+)\s*:\s*(.*)$/.exec(line);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+    if (field === 'allow' || field === 'disallow') {
+      // 빈 Disallow는 전체 허용
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  // 전용 그룹 우선, 없으면 * 그룹
+  const agent = USER_AGENT.toLowerCase();
+  const specific = groups.filter(g => g.agents.some(a => a !== '*' && agent.includes(a)));
+  const selected = specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'));
+
+  return {
+    rules: selected.flatMap(g => g.rules),
+    sitemaps
+  };
+}
+
+/**
+ * robots.txt 경로 패턴 매칭 (* 와일드카드, $ 끝 고정)
+ */
+function matchRobotsPath(pattern, path) {
+  // $ 는 그대로 두어 정규식의 끝 고정으로 사용
+  const regex = pattern
+    .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${regex}`).test(path);
+}
+
+/**
+ * robots.txt 허용 여부 (가장 긴 규칙 우선, 같으면 Allow 우선)
+ */
+function isAllowedByRobots(robots, url) {
+  if (!robots || robots.rules.length === 0) return true;
+
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+
+  let matched = null;
+  robots.rules.forEach(rule => {
+    if (!matchRobotsPath(rule.path, path)) return;
+    if (!matched ||
+      rule.path.length > matched.path.length ||
+      (rule.path.length === matched.path.length && rule.allow)) {
+      matched = rule;
+    }
+  });
+
+  return matched ? matched.allow : true;
+}
+
+/**
+ * sitemap.xml URL 목록 (sitemapindex는 한 단계까지 펼침)
+ */
+async function loadSitemapUrls(sitemapUrls, limit) {
+  const extractLocs = (xml) => Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi))
+    .map(match => match[1].replace(/&amp;/g, '&'));
+
+  const urls = [];
+  for (const sitemapUrl of sitemapUrls) {
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) continue;
+
+    if (/<sitemapindex/i.test(xml)) {
+      for (const child of extractLocs(xml)) {
+        const childXml = await fetchText(child);
+        if (childXml) urls.push(...extractLocs(childXml));
+        if (urls.length >= limit) break;
+      }
+    } else {
+      urls.push(...extractLocs(xml));
+    }
+    if (urls.length >= limit) break;
+  }
+
+  return urls.slice(0, limit);
+}
+
+/**
+ * 페이지 간 KRDS 이슈 중복 제거
+ */
+function dedupeIssues(pages) {
+  const issues = new Map();
+
+  pages.forEach(({ url, result }) => {
+    Object.entries(SECTION_KEYS).forEach(([section, keyField]) => {
+      (result[section] || []).forEach(item => {
+        (item.issues || []).forEach(issue => {
+          const key = issueFingerprint(issue);
+          if (!issues.has(key)) {
+            issues.set(key, {
+              ...issue,
+              section,
+              item: item[keyField],
+              pages: [],
+              occurrences: 0
+            });
+          }
+          const entry = issues.get(key);
+          if (!entry.pages.includes(url)) entry.pages.push(url);
+          entry.occurrences++;
+        });
+      });
+    });
+  });
+
+  return Array.from(issues.values())
+    .sort((a, b) => b.pages.length - a.pages.length);
+}
+
+/**
+ * 페이지 간 axe 위반 중복 제거 (규칙 + 요소 셀렉터 기준)
+ */
+function dedupeAxeViolations(pages) {
+  const rules = new Map();
+
+  pages.forEach(({ url, result }) => {
+    (result.axeResults?.violations || []).forEach(violation => {
+      if (!rules.has(violation.id)) {
+        rules.set(violation.id, {
+          id: violation.id,
+          impact: violation.impact,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          pages: [],
+          nodes: new Map()
+        });
+      }
+      const entry = rules.get(violation.id);
+      if (!entry.pages.includes(url)) entry.pages.push(url);
+
+      (violation.nodes || []).forEach(node => {
+        const target = (node.target || []).join(' ');
+        if (!entry.nodes.has(target)) {
+          entry.nodes.set(target, { target: node.target, html: node.html, pages: [] });
+        }
+        const nodeEntry = entry.nodes.get(target);
+        if (!nodeEntry.pages.includes(url)) nodeEntry.pages.push(url);
+      });
+    });
+  });
+
+  return Array.from(rules.values())
+    .map(entry => ({ ...entry, nodes: Array.from(entry.nodes.values()) }))
+    .sort((a, b) => b.pages.length - a.pages.length);
+}
+
+/**
+ * 사이트 보고서 생성
+ */
+function buildSiteReport(pages, failures) {
+  const average = (values) => {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0
+      ? Math.round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length)
+      : null;
+  };
+
+  const pageSummaries = pages.map(({ url, depth, result }) => ({
+    url,
+    depth,
+    overallScore: result.overallScore,
+    sectionScores: Object.fromEntries(
+      Object.keys(SECTION_KEYS).map(section => [section, sectionScore(result, section)])
+    ),
+    kwcagCompliance: result.kwcagReport?.overallCompliance ?? null,
+    wcagLevel: result.kwcagReport?.wcagLevel || 'None',
+    issueCount: Object.keys(SECTION_KEYS)
+      .reduce((sum, section) => sum + (result[section] || [])
+        .reduce((count, item) => count + (item.issues || []).length, 0), 0),
+    axeViolations: result.axeResults?.violations?.length || 0,
+    executionTime: result.executionTime
+  }));
+
+  const issues = dedupeIssues(pages);
+  const axeViolations = dedupeAxeViolations(pages);
+
+  return {
+    aggregate: {
+      overallScore: average(pageSummaries.map(p => p.overallScore)) ?? 0,
+      kwcagCompliance: average(pageSummaries.map(p => p.kwcagCompliance)),
+      sectionScores: Object.fromEntries(
+        Object.keys(SECTION_KEYS).map(section => [
+          section,
+          average(pageSummaries.map(p => p.sectionScores[section]))
+        ])
+      ),
+      pagesAnalyzed: pages.length,
+      pagesFailed: failures.length,
+      uniqueIssues: issues.length,
+      totalIssues: pageSummaries.reduce((sum, p) => sum + p.issueCount, 0),
+      uniqueAxeViolations: axeViolations.length
+    },
+    pages: pageSummaries,
+    failures,
+    issues,
+    axeViolations
+  };
+}
+
+/**
+ * 🕸️ 사이트 크롤링 분석
+ * @param {String} startUrl - 시작 URL
+ * @param {Object} options - { viewport, maxDepth, maxPages, sitemap, respectRobots, exceptions, checklistId, scoringPolicy, onProgress }
+ * @returns {Object} 사이트 보고서
+ */
+async function crawlSite(startUrl, options = {}) {
+  const crawlOptions = normalizeCrawlOptions(options);
+  const { viewport = 'desktop', exceptions = [], checklistId, onProgress } = options;
+  const exceptionSelectors = getExceptionSelectors(exceptions);
+  const scoringPolicy = resolveScoringPolicy(options.scoringPolicy);
+  const start = new URL(startUrl);
+  const origin = start.origin;
+  const startTime = Date.now();
+
+  console.log(`🕸️ [크롤링 시작] ${startUrl}`, crawlOptions);
+
+  const report = (message, progress) => {
+    if (typeof onProgress !== 'function') return;
+    try {
+      onProgress({ stage: 'crawl', status: 'running', progress, message });
+    } catch (error) {
+      console.error('⚠️ 진행 알림 실패:', error.message);
+    }
+  };
+
+  // robots.txt
+  const robots = crawlOptions.respectRobots || crawlOptions.sitemap
+    ? parseRobots(await fetchText(`${origin}/robots.txt`))
+    : { rules: [], sitemaps: [] };
+  const activeRobots = crawlOptions.respectRobots ? robots : null;
+
+  const queue = [];
+  const seen = new Set();
+  const skipped = [];
+
+  const enqueue = (href, depth, base) => {
+    const url = normalizeUrl(href, base);
+    if (!url || seen.has(url)) return;
+    if (new URL(url).origin !== origin) return;
+    seen.add(url);
+    if (!isAllowedByRobots(activeRobots, url)) {
+      skipped.push({ url, reason: 'robots.txt' });
+      return;
+    }
+    queue.push({ url, depth });
+  };
+
+  enqueue(start.href, 0);
+
+  // sitemap.xml (robots.txt의 Sitemap 또는 /sitemap.xml)
+  let sitemapUrls = [];
+  if (crawlOptions.sitemap) {
+    const sources = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    sitemapUrls = await loadSitemapUrls(sources, crawlOptions.maxPages * 5);
+    sitemapUrls.forEach(url => enqueue(url, 1));
+  }
+
+  const pages = [];
+  const failures = [];
+
+  // 실패/리다이렉트 제외 페이지도 시도 횟수에 포함 (maxPages = 페이지 로드 상한)
+  let attempts = 0;
+  while (queue.length > 0 && attempts < crawlOptions.maxPages) {
+    const { url, depth } = queue.shift();
+    attempts++;
+    report(`${attempts}번째 페이지 분석: ${url}`, Math.round(((attempts - 1) / crawlOptions.maxPages) * 100));
+
+    const analysisResult = await analyzeWebsite(url, viewport, { collectLinks: true, exceptionSelectors, scoringPolicy });
+
+    if (!analysisResult.success) {
+      failures.push({ url, depth, error: analysisResult.error });
+      continue;
+    }
+
+    const { links = [], finalUrl, ...data } = analysisResult.data;
+
+    // 리다이렉트로 다른 출처로 이동한 페이지는 제외
+    if (finalUrl && new URL(finalUrl).origin !== origin) {
+      skipped.push({ url, reason: `redirected to ${finalUrl}` });
+      continue;
+    }
+
+    const result = applyExceptions(data, exceptions, checklistId);
+    pages.push({ url, depth, result });
+
+    if (depth < crawlOptions.maxDepth) {
+      links.forEach(link => enqueue(link, depth + 1, finalUrl || url));
+    }
+  }
+
+  const siteReport = buildSiteReport(pages, failures);
+
+  console.log('🕸️ [크롤링 완료]', {
+    페이지: pages.length,
+    실패: failures.length,
+    평균점수: siteReport.aggregate.overallScore
+  });
+
+  return {
+    url: startUrl,
+    viewport,
+    timestamp: new Date().toISOString(),
+    executionTime: Date.now() - startTime,
+    scoringPolicy,
+    crawl: {
+      ...crawlOptions,
+      sitemapUrls: sitemapUrls.length,
+      robotsRules: activeRobots ? activeRobots.rules.length : 0,
+      attempted: attempts,
+      notVisited: queue.length,
+      skipped
+    },
+    ...siteReport
+  };
+}
+
+module.exports = {
+  crawlSite,
+  normalizeCrawlOptions,
+  parseRobots,
+  isAllowedByRobots
+};
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffAnalyses } = require('../analysisDiff');
+
+const colorIssue = (count, selector = '#title') => ({
+  ruleId: 'KRDS-DS-COLOR',
+  message: `명도 대비 부족 (${count}개)`,
+  evidence: [{ selector }]
+});
+
+// 분석 결과 (색상/타이포그래피 + axe 위반)
+function createResult({ colorScore, typographyScore = 80, colorIssues = [], violations = [], overallScore }) {
+  return {
+    url: 'https://www.example.go.kr/',
+    viewport: 'desktop',
+    overallScore,
+    designStyles: [
+      { category: '색상', ruleId: 'KRDS-DS-COLOR', score: colorScore, issues: colorIssues },
+      { category: '타이포그래피', ruleId: 'KRDS-DS-TYPOGRAPHY', score: typographyScore, issues: [] }
+    ],
+    components: [],
+    basicPatterns: [],
+    servicePatterns: [],
+    axeResults: { violations, passes: [] }
+  };
+}
+
+const violation = (id, targets) => ({
+  id,
+  impact: 'serious',
+  help: id,
+  nodes: targets.map(target => ({ target: [target] }))
+});
+
+test('점수 변화: 종합/섹션/항목별 개선과 회귀', () => {
+  const base = createResult({ colorScore: 40, typographyScore: 90, overallScore: 65 });
+  const head = createResult({ colorScore: 80, typographyScore: 70, overallScore: 75 });
+
+  const diff = diffAnalyses(base, head);
+
+  assert.equal(diff.sameUrl, true);
+  assert.equal(diff.overallScore.delta, 10);
+  assert.deepEqual(diff.sections.designStyles, { before: 65, after: 75, delta: 10 });
+  assert.deepEqual(diff.categories.improved.map(c => [c.ruleId, c.delta]), [['KRDS-DS-COLOR', 40]]);
+  assert.deepEqual(diff.categories.regressed.map(c => [c.ruleId, c.delta]), [['KRDS-DS-TYPOGRAPHY', -20]]);
+});
+
+test('이슈 변화: 메시지 숫자만 바뀐 이슈는 같은 이슈', () => {
+  const base = createResult({ colorScore: 40, colorIssues: [colorIssue(3), colorIssue(1, '#old')] });
+  const head = createResult({ colorScore: 40, colorIssues: [colorIssue(5), colorIssue(1, '#new')] });
+
+  const { issues } = diffAnalyses(base, head);
+
+  assert.equal(issues.unchanged, 1);
+  assert.deepEqual(issues.added.map(i => i.evidence[0].selector), ['#new']);
+  assert.deepEqual(issues.resolved.map(i => i.evidence[0].selector), ['#old']);
+  assert.equal(issues.added[0].section, 'designStyles');
+  assert.equal(issues.added[0].item, '색상');
+});
+
+test('이슈 변화: 예외 처리로 가려진 이슈는 신규/해결이 아님', () => {
+  const base = createResult({ colorScore: 40, colorIssues: [colorIssue(3)] });
+  const head = createResult({ colorScore: 100 });
+  Object.assign(head.designStyles[0], { excluded: true, exclusionReason: '기관 CI 색상' });
+
+  const diff = diffAnalyses(base, head);
+
+  assert.deepEqual(diff.issues.resolved, []);
+  assert.equal(diff.issues.maskedByException.length, 1);
+  assert.equal(diff.issues.maskedByException[0].excludedIn, 'head');
+  assert.equal(diff.categories.other[0].change, 'exceptionApplied');
+  assert.deepEqual(diff.exceptions.onlyInHead.map(e => [e.ruleId, e.reason, e.otherRunScore]), [['KRDS-DS-COLOR', '기관 CI 색상', 40]]);
+});
+
+test('axe 위반 변화: 규칙과 대상 요소 기준 신규/해결', () => {
+  const base = createResult({ colorScore: 80, violations: [violation('image-alt', ['#logo', '#banner'])] });
+  const head = createResult({
+    colorScore: 80,
+    violations: [violation('image-alt', ['#logo']), violation('label', ['#search'])]
+  });
+
+  const { axeViolations } = diffAnalyses(base, head);
+
+  assert.deepEqual(axeViolations.new.map(v => [v.ruleId, v.targets]), [['label', ['#search']]]);
+  assert.deepEqual(axeViolations.fixed.map(v => [v.ruleId, v.targets]), [['image-alt', ['#banner']]]);
+  assert.deepEqual(axeViolations.totals, { before: 1, after: 2 });
+});
+
+test('다중 뷰포트: 공통 뷰포트끼리 비교', () => {
+  const base = { url: 'https://www.example.go.kr', viewports: { desktop: createResult({ colorScore: 40 }), mobile: createResult({ colorScore: 40 }) } };
+  const head = { url: 'https://www.example.go.kr/', viewports: { mobile: createResult({ colorScore: 60 }) } };
+
+  const diff = diffAnalyses(base, head);
+
+  assert.equal(diff.sameUrl, true);
+  assert.deepEqual(Object.keys(diff.viewports), ['mobile']);
+  assert.equal(diff.viewports.mobile.categories.improved[0].delta, 20);
+});
+
+test('비교할 수 없는 결과 형식은 오류', () => {
+  const single = createResult({ colorScore: 80 });
+
+  assert.throws(() => diffAnalyses({ aggregate: {} }, single), /Site crawl results cannot be compared/);
+  assert.throws(() => diffAnalyses({ viewports: { desktop: single } }, single), /multi-viewport/);
+  assert.throws(
+    () => diffAnalyses({ viewports: { desktop: single } }, { viewports: { mobile: single } }),
+    /No common viewport/
+  );
+});
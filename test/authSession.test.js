@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAuth, redactSecrets } = require('../authSession');
+
+const TARGET_URL = 'https://intra.example.go.kr/mypage';
+
+function createAuth() {
+  return normalizeAuth({
+    cookies: [{ name: 'SESSION', value: 'session-abc123' }],
+    headers: { Authorization: 'Bearer token-xyz789' },
+    httpCredentials: { username: 'tester', password: 'basic-pass' },
+    loginScript: [
+      { action: 'goto', url: '/login' },
+      { action: 'fill', selector: '#id', value: 'user01' },
+      { action: 'fill', selector: '#pw', value: 'login-secret' },
+      { action: 'click', selector: '#login' }
+    ]
+  }, TARGET_URL);
+}
+
+test('인증 값 가리기: 쿠키/헤더/비밀번호/입력값', () => {
+  const message = [
+    'Cookie: SESSION=session-abc123',
+    'Authorization: Bearer token-xyz789',
+    'basic auth basic-pass',
+    'fill #id user01, #pw login-secret'
+  ].join('\n');
+
+  assert.equal(redactSecrets(message, createAuth()), [
+    'Cookie: SESSION=***',
+    'Authorization: ***',
+    'basic auth ***',
+    'fill #id ***, #pw ***'
+  ].join('\n'));
+});
+
+test('인증 값 가리기: 여러 번 나와도 모두 가림', () => {
+  const redacted = redactSecrets('login-secret / login-secret', createAuth());
+  assert.equal(redacted, '*** / ***');
+});
+
+test('인증 값 가리기: 긴 값부터 가려 일부만 남지 않음', () => {
+  const auth = normalizeAuth({
+    cookies: [{ name: 'A', value: 'secret' }, { name: 'B', value: 'secret-long' }]
+  }, TARGET_URL);
+
+  assert.equal(redactSecrets('value secret-long', auth), 'value ***');
+});
+
+test('인증 값 가리기: 짧은 값과 인증 정보가 없으면 그대로', () => {
+  const auth = normalizeAuth({ cookies: [{ name: 'lang', value: 'ko' }] }, TARGET_URL);
+
+  assert.equal(redactSecrets('lang=ko', auth), 'lang=ko');
+  assert.equal(redactSecrets('Timeout 30000ms exceeded', null), 'Timeout 30000ms exceeded');
+});
+
+test('인증 설정 검증: 잘못된 값은 오류', () => {
+  assert.throws(() => normalizeAuth({ cookies: [{ name: 'A' }] }, TARGET_URL), /auth\.cookies\[0\] requires name and value/);
+  assert.throws(() => normalizeAuth({ headers: { 'X-Token': 1 } }, TARGET_URL), /auth\.headers\.X-Token must be a string/);
+  assert.throws(() => normalizeAuth({}, 'not a url'), /valid http\(s\) url/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toSarif, toJUnit } = require('../ciExport');
+const { getRule } = require('../krdsRules');
+
+function createAnalysis() {
+  return {
+    url: 'https://www.example.go.kr/',
+    overallScore: 72,
+    executionTime: 1500,
+    designStyles: [
+      {
+        category: '링크',
+        ruleId: 'KRDS-DS-LINK',
+        score: 50,
+        issues: [{
+          ruleId: 'KRDS-DS-LINK',
+          message: '본문 링크가 <a> 밑줄 없이 색상으로만 구분됩니다',
+          expected: 'text-decoration: underline',
+          measured: null,
+          remediation: '밑줄을 유지하세요.',
+          evidence: [{ selector: '#content > a', snippet: '<a href="/1">공지</a>' }]
+        }]
+      },
+      { category: '색상', ruleId: 'KRDS-DS-COLOR', score: 100, issues: [], excluded: true, exclusionReason: '기관 CI 색상' },
+      { category: '형태', ruleId: 'KRDS-DS-SHAPE', score: 100, issues: [] }
+    ],
+    components: [{ type: 'card', ruleId: 'KRDS-CP-CARD', applicable: false, status: '해당없음', score: null, issues: [] }],
+    basicPatterns: [],
+    servicePatterns: [],
+    axeResults: {
+      violations: [{
+        id: 'image-alt',
+        impact: 'critical',
+        help: 'Images must have alternate text',
+        helpUrl: 'https://dequeuniversity.com/rules/axe/4.8/image-alt',
+        tags: ['wcag2a'],
+        nodes: [{ target: ['#logo'], html: '<img id="logo">', failureSummary: 'Fix: add alt' }]
+      }],
+      excepted: [{
+        id: 'color-contrast',
+        impact: 'serious',
+        help: 'Elements must have sufficient color contrast',
+        nodes: [{ target: ['.badge'], html: '<span class="badge">', exception: { reason: '장식 배지' } }]
+      }],
+      passes: [{ id: 'html-has-lang' }]
+    }
+  };
+}
+
+test('SARIF: axe 위반, 예외 처리된 위반(suppressions), KRDS 이슈를 결과로 변환', () => {
+  const sarif = toSarif(createAnalysis());
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.deepEqual(run.results.map(result => result.ruleId), ['image-alt', 'color-contrast', 'KRDS-DS-LINK']);
+
+  const [axe, excepted, krds] = run.results;
+  assert.equal(axe.level, 'error');
+  assert.equal(axe.suppressions, undefined);
+  assert.deepEqual(excepted.suppressions, [{ kind: 'external', justification: '장식 배지' }]);
+  assert.equal(krds.level, 'note');
+  assert.match(krds.message.text, /기준: text-decoration: underline/);
+  assert.equal(krds.locations[0].physicalLocation.region.snippet.text, '<a href="/1">공지</a>');
+  assert.equal(run.tool.driver.rules[run.results[2].ruleIndex].id, 'KRDS-DS-LINK');
+});
+
+test('SARIF: KRDS 규칙마다 KRDS 가이드 링크(helpUri)', () => {
+  const analysis = createAnalysis();
+  analysis.components = [{
+    type: 'button',
+    ruleId: 'KRDS-CP-BUTTON',
+    score: 40,
+    issues: [{ ruleId: 'KRDS-CP-BUTTON', message: '레이블이 없는 버튼', evidence: [] }]
+  }];
+  const krdsRules = toSarif(analysis).runs[0].tool.driver.rules.filter(rule => rule.id.startsWith('KRDS-'));
+
+  assert.equal(krdsRules.length, 2);
+  krdsRules.forEach(rule => {
+    assert.match(rule.helpUri, /^https:\/\/www\.krds\.go\.kr\//);
+    assert.equal(rule.helpUri, getRule(rule.id).url);
+  });
+});
+
+test('JUnit: 이슈는 실패, 예외/해당없음 항목과 예외 처리된 axe 규칙은 건너뜀', () => {
+  const xml = toJUnit(createAnalysis());
+
+  // KRDS 4개 + axe 3개 (위반, 통과, 예외 처리)
+  assert.match(xml, /<testsuites name="ViewChecker https:\/\/www\.example\.go\.kr\/" tests="7" failures="2" errors="0" skipped="3" time="1\.500">/);
+  assert.match(xml, /<testcase name="\[KRDS-DS-COLOR\] 색상" classname="krds\.designStyles" time="0">\s*<skipped message="예외 처리: 기관 CI 색상"/);
+  assert.match(xml, /<testcase name="\[KRDS-CP-CARD\] card" classname="krds\.components" time="0">\s*<skipped message="해당없음"/);
+  assert.match(xml, /<testcase name="\[KRDS-DS-SHAPE\] 형태" classname="krds\.designStyles" time="0"\/>/);
+  assert.match(xml, /&lt;a&gt; 밑줄 없이/);
+  assert.doesNotMatch(xml, /<a> 밑줄/);
+});
+
+test('사이트 크롤링 결과는 변환하지 않음', () => {
+  assert.throws(() => toSarif({ aggregate: {} }), /cannot be exported/);
+  assert.throws(() => toJUnit({ aggregate: {} }), /cannot be exported/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCliArgs, checkThresholds } = require('../cli');
+
+const NO_THRESHOLDS = { minScore: null, minSection: {}, minKwcag: null, minLevel: null };
+
+test('CLI 인자: 기본값', () => {
+  const options = parseCliArgs(['https://www.example.go.kr']);
+
+  assert.equal(options.target, 'https://www.example.go.kr');
+  assert.equal(options.viewport, 'desktop');
+  assert.equal(options.output, 'viewchecker-result.json');
+  assert.deepEqual(options.thresholds, NO_THRESHOLDS);
+});
+
+test('CLI 인자: 여러 뷰포트와 기준 점수', () => {
+  const options = parseCliArgs([
+    'https://www.example.go.kr',
+    '--viewport', 'desktop, mobile',
+    '--min-score', '80',
+    '--min-section', '70',
+    '--min-section', 'designStyles=60',
+    '--min-kwcag', '90',
+    '--min-level', 'aa'
+  ]);
+
+  assert.deepEqual(options.viewport, ['desktop', 'mobile']);
+  assert.deepEqual(options.thresholds, {
+    minScore: 80,
+    minSection: { '*': 70, designStyles: 60 },
+    minKwcag: 90,
+    minLevel: 'AA'
+  });
+});
+
+test('CLI 인자: 잘못된 값은 오류', () => {
+  assert.throws(() => parseCliArgs([]), /URL 또는 HTML 파일을 하나 지정/);
+  assert.throws(() => parseCliArgs(['https://a.go.kr', '--viewport', 'watch']), /알 수 없는 뷰포트: watch/);
+  assert.throws(() => parseCliArgs(['https://a.go.kr', '--min-score', 'high']), /--min-score 값이 숫자가 아닙니다/);
+  assert.throws(() => parseCliArgs(['https://a.go.kr', '--min-section', 'colors=70']), /알 수 없는 섹션: colors/);
+  assert.throws(() => parseCliArgs(['https://a.go.kr', '--min-level', 'AAA']), /알 수 없는 WCAG 수준/);
+  assert.throws(() => parseCliArgs(['site.zip', '--auth', 'auth.json']), /--auth는 http\(s\) URL 분석에만/);
+});
+
+test('CLI 인자: --help', () => {
+  assert.deepEqual(parseCliArgs(['--help']), { help: true });
+});
+
+// 기록된 섹션 점수가 있는 분석 결과
+const result = {
+  overallScore: 72,
+  scoring: { sections: { designStyles: 55, components: 90, basicPatterns: null, servicePatterns: 80 } },
+  kwcagReport: { overallCompliance: 85, wcagLevel: 'A' }
+};
+
+test('기준 점수: 미달 항목만 메시지로 반환', () => {
+  const failures = checkThresholds(result, {
+    minScore: 80,
+    minSection: { '*': 70, components: 95 },
+    minKwcag: 90,
+    minLevel: 'AA'
+  }, 'mobile');
+
+  assert.deepEqual(failures, [
+    '[mobile] 종합 점수 72 < 80',
+    '[mobile] 디자인 스타일 점수 55 < 70',
+    '[mobile] 컴포넌트 점수 90 < 95',
+    '[mobile] KWCAG 준수율 85% < 90%',
+    '[mobile] WCAG 수준 A < AA'
+  ]);
+});
+
+test('기준 점수: 해당없음 섹션은 검사하지 않고, 기준이 없으면 통과', () => {
+  assert.deepEqual(checkThresholds(result, { ...NO_THRESHOLDS, minSection: { basicPatterns: 100 } }), []);
+  assert.deepEqual(checkThresholds(result, NO_THRESHOLDS), []);
+});
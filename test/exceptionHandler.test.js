@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyExceptionsToResult, isExceptionExpired } = require('../exceptionHandler');
+const { resolveScoringPolicy, scoreResult } = require('../scoringPolicy');
+
+// 분석 결과 (색상 20점 + 타이포그래피 80점, 치명적 axe 위반 1개)
+function createResult(policyName = 'default') {
+  const data = {
+    url: 'https://www.example.go.kr/',
+    designStyles: [
+      {
+        category: '색상',
+        ruleId: 'KRDS-DS-COLOR',
+        score: 20,
+        issues: [{ ruleId: 'KRDS-DS-COLOR', message: '팔레트 밖 색상', evidence: [] }]
+      },
+      { category: '타이포그래피', ruleId: 'KRDS-DS-TYPOGRAPHY', score: 80, issues: [] }
+    ],
+    components: [],
+    basicPatterns: [],
+    servicePatterns: [],
+    axeResults: {
+      violations: [{ id: 'image-alt', impact: 'critical', tags: ['wcag2a'], nodes: [{ target: ['#logo'], html: '<img id="logo">' }] }],
+      passes: []
+    }
+  };
+  return { ...data, ...scoreResult(data, resolveScoringPolicy(policyName)) };
+}
+
+const colorException = { item_key: 'KRDS-DS-COLOR', reason: '기관 CI 색상', approver: '홍길동' };
+
+test('perfect 정책: 예외 항목을 100점으로 계산', () => {
+  const result = applyExceptionsToResult(createResult('default'), [colorException], 'checklist-1');
+
+  const color = result.designStyles.find(item => item.ruleId === 'KRDS-DS-COLOR');
+  assert.equal(color.excluded, true);
+  assert.equal(color.score, 100);
+  assert.deepEqual(color.issues, []);
+  assert.equal(result.scoring.sections.designStyles, 90);
+  assert.equal(result.overallScore, 90);
+  assert.equal(result.exceptionInfo.applied, true);
+  assert.equal(result.exceptionInfo.originalScore, 50);
+  assert.equal(result.exceptionInfo.checklistId, 'checklist-1');
+});
+
+test('exclude 정책: 분석 시 정책으로 재계산하고 axe 상한 유지', () => {
+  const result = applyExceptionsToResult(createResult('strict'), [colorException]);
+
+  assert.equal(result.scoring.policy.name, 'strict');
+  assert.equal(result.scoring.sections.designStyles, 80);
+  assert.equal(result.scoring.uncappedScore, 80);
+  assert.equal(result.overallScore, 60);
+});
+
+test('axe 규칙 예외로 위반을 제외하면 상한 해제', () => {
+  const result = applyExceptionsToResult(createResult('strict'), [
+    colorException,
+    { axe_rule: 'image-alt', reason: '장식 이미지', approver: '홍길동' }
+  ]);
+
+  assert.deepEqual(result.axeResults.violations, []);
+  assert.equal(result.axeResults.excepted[0].id, 'image-alt');
+  assert.equal(result.scoring.cap, null);
+  assert.equal(result.overallScore, 80);
+});
+
+test('만료된 예외는 적용하지 않고 exceptionInfo.expired에 기록', () => {
+  const original = createResult('default');
+  const result = applyExceptionsToResult(original, [{ ...colorException, expires_at: '2000-01-01' }]);
+
+  assert.equal(result.overallScore, original.overallScore);
+  assert.equal(result.designStyles[0].excluded, undefined);
+  assert.equal(result.exceptionInfo.applied, false);
+  assert.equal(result.exceptionInfo.expired.length, 1);
+  assert.equal(result.exceptionInfo.expired[0].expires_at, '2000-01-01');
+});
+
+test('날짜만 지정한 만료일은 KST 기준 그날 끝까지 유효', () => {
+  const exc = { expires_at: '2026-12-31' };
+  assert.equal(isExceptionExpired(exc, new Date('2026-12-31T14:59:59Z')), false);
+  assert.equal(isExceptionExpired(exc, new Date('2026-12-31T15:00:00Z')), true);
+  assert.equal(isExceptionExpired({}, new Date()), false);
+});
+
+test('다중 뷰포트 결과는 뷰포트별로 적용 후 가장 낮은 점수를 대표 점수로', () => {
+  const desktop = createResult('default');
+  const mobile = { ...createResult('default'), designStyles: [{ category: '색상', ruleId: 'KRDS-DS-COLOR', score: 20, issues: [] }] };
+  Object.assign(mobile, scoreResult(mobile, resolveScoringPolicy('default')));
+
+  const result = applyExceptionsToResult({
+    url: desktop.url,
+    overallScore: 20,
+    viewports: { desktop, mobile },
+    comparison: { issues: [] }
+  }, [colorException]);
+
+  assert.equal(result.viewports.desktop.overallScore, 90);
+  assert.equal(result.viewports.mobile.overallScore, 100);
+  assert.equal(result.overallScore, 90);
+  assert.deepEqual(result.comparison.scores, { desktop: 90, mobile: 100 });
+});
+
+test('URL 패턴 예외는 상태별 분석 결과에도 원래 페이지 url로 적용', () => {
+  const { url, ...state } = createResult('default');
+  const result = applyExceptionsToResult({
+    ...createResult('default'),
+    states: [{ ...state, name: '메뉴 열림', actions: ['click nav button'] }, { name: '실패 상태', error: 'timeout' }]
+  }, [
+    { ...colorException, url: 'https://www.example.go.kr/*' },
+    { axe_rule: 'image-alt', url: 'https://www.other.go.kr/*', reason: '다른 사이트', approver: '홍길동' }
+  ]);
+
+  assert.equal(result.overallScore, 90);
+  assert.equal(result.states[0].overallScore, 90);
+  assert.equal(result.states[0].designStyles[0].excluded, true);
+  assert.equal(result.states[0].axeResults.violations.length, 1);
+  assert.equal(result.states[0].exceptionInfo.totalExceptions, 1);
+  assert.deepEqual(result.states[1], { name: '실패 상태', error: 'timeout' });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createLocalSite, extractZip, normalizeEntryPath } = require('../localSite');
+
+// 테스트용 zip 생성 (entries: [{ name, content, deflate }])
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content, deflate = false }) => {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const raw = Buffer.from(content, 'utf-8');
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const method = deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, eocd]);
+}
+
+test('압축 경로: 상위 경로 탈출은 제외', () => {
+  assert.equal(normalizeEntryPath('../evil.html'), null);
+  assert.equal(normalizeEntryPath('site/../../evil.html'), null);
+  assert.equal(normalizeEntryPath('..\\..\\evil.html'), null);
+  assert.equal(normalizeEntryPath('..'), null);
+  assert.equal(normalizeEntryPath('.'), null);
+});
+
+test('압축 경로: 절대 경로와 역슬래시는 사이트 안 경로로 정규화', () => {
+  assert.equal(normalizeEntryPath('/etc/passwd'), 'etc/passwd');
+  assert.equal(normalizeEntryPath('site\\css\\main.css'), 'site/css/main.css');
+  assert.equal(normalizeEntryPath('site/./img/../index.html'), 'site/index.html');
+});
+
+test('압축 경로: OS 메타 파일 제외', () => {
+  assert.equal(normalizeEntryPath('__MACOSX/site/._index.html'), null);
+  assert.equal(normalizeEntryPath('site/.DS_Store'), null);
+});
+
+test('zip 해제: stored/deflate 항목을 읽고 탈출 경로는 건너뜀', () => {
+  const files = extractZip(createZip([
+    { name: 'site/index.html', content: '<h1>홈</h1>' },
+    { name: 'site/css/main.css', content: 'body { margin: 0; }'.repeat(20), deflate: true },
+    { name: '../../outside.html', content: 'evil' },
+    { name: 'site/../../../outside.js', content: 'evil' }
+  ]));
+
+  assert.deepEqual(Array.from(files.keys()), ['site/index.html', 'site/css/main.css']);
+  assert.equal(files.get('site/index.html').toString('utf-8'), '<h1>홈</h1>');
+  assert.equal(files.get('site/css/main.css').toString('utf-8'), 'body { margin: 0; }'.repeat(20));
+});
+
+test('zip 해제: 손상된 압축 파일은 오류', () => {
+  assert.throws(() => extractZip(Buffer.from('not a zip archive at all')), /Invalid zip archive/);
+});
+
+test('로컬 사이트: 공통 폴더를 루트로, 탈출 경로는 시작 페이지로 지정 불가', () => {
+  const archive = createZip([
+    { name: 'site/index.html', content: '<h1>홈</h1>' },
+    { name: 'site/sub/page.html', content: '<h1>하위</h1>' }
+  ]);
+
+  const site = createLocalSite({ archive });
+  assert.equal(site.entry, 'index.html');
+  assert.deepEqual(Array.from(site.files.keys()), ['index.html', 'sub/page.html']);
+
+  assert.throws(() => createLocalSite({ archive, entry: '../index.html' }), /Entry file not found/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveScoringPolicy, calculateSectionScore, scoreResult } = require('../scoringPolicy');
+
+const criticalViolation = { id: 'image-alt', impact: 'critical', nodes: [{ target: ['img'] }] };
+
+test('해당없음 항목과 빈 섹션은 점수 계산에서 제외', () => {
+  const { overallScore, scoring } = scoreResult({
+    designStyles: [
+      { category: '색상', ruleId: 'KRDS-DS-COLOR', score: 60 },
+      { category: '타이포그래피', ruleId: 'KRDS-DS-TYPOGRAPHY', score: 80 }
+    ],
+    components: [{ type: 'button', ruleId: 'KRDS-CP-BUTTON', score: 90 }],
+    basicPatterns: [],
+    servicePatterns: [{ name: '로그인', ruleId: 'KRDS-SP-LOGIN', applicable: false, score: null }]
+  });
+
+  assert.deepEqual(scoring.sections, { designStyles: 70, components: 90, basicPatterns: null, servicePatterns: null });
+  assert.equal(overallScore, 80);
+  assert.equal(scoring.cap, null);
+});
+
+test('모든 섹션이 해당없음이면 0점', () => {
+  assert.equal(scoreResult({}).overallScore, 0);
+  assert.equal(calculateSectionScore(null, 'designStyles'), null);
+});
+
+test('예외 항목: perfect는 100점, exclude는 분모에서 제외', () => {
+  const items = [
+    { category: '색상', ruleId: 'KRDS-DS-COLOR', score: 100, excluded: true },
+    { category: '타이포그래피', ruleId: 'KRDS-DS-TYPOGRAPHY', score: 40 }
+  ];
+
+  assert.equal(calculateSectionScore(items, 'designStyles', resolveScoringPolicy('default')), 70);
+  assert.equal(calculateSectionScore(items, 'designStyles', resolveScoringPolicy({ exceptedItems: 'exclude' })), 40);
+});
+
+test('심각도 가중치 (strict)', () => {
+  const items = [
+    { type: 'button', ruleId: 'KRDS-CP-BUTTON', score: 100 }, // critical ×3
+    { type: 'card', ruleId: 'KRDS-CP-CARD', score: 0 } // minor ×1
+  ];
+
+  assert.equal(calculateSectionScore(items, 'components', resolveScoringPolicy('strict')), 75);
+});
+
+test('남은 axe 위반 영향도로 전체 점수 상한', () => {
+  const data = {
+    designStyles: [{ category: '색상', ruleId: 'KRDS-DS-COLOR', score: 90 }],
+    axeResults: { violations: [criticalViolation] }
+  };
+
+  const { overallScore, scoring } = scoreResult(data, resolveScoringPolicy('strict'));
+  assert.equal(overallScore, 60);
+  assert.equal(scoring.uncappedScore, 90);
+  assert.deepEqual(scoring.cap, { impact: 'critical', limit: 60, violations: 1 });
+
+  // 상한이 없는 정책
+  assert.equal(scoreResult(data, resolveScoringPolicy('default')).overallScore, 90);
+});
+
+test('원점수가 상한보다 낮으면 cap 없음', () => {
+  const { overallScore, scoring } = scoreResult({
+    designStyles: [{ category: '색상', ruleId: 'KRDS-DS-COLOR', score: 40 }],
+    axeResults: { violations: [criticalViolation] }
+  }, resolveScoringPolicy('strict'));
+
+  assert.equal(overallScore, 40);
+  assert.equal(scoring.cap, null);
+});
+
+test('잘못된 정책은 오류', () => {
+  assert.throws(() => resolveScoringPolicy('unknown'), /Unknown scoring policy/);
+  assert.throws(() => resolveScoringPolicy({ exceptedItems: 'ignore' }), /exceptedItems/);
+  assert.throws(() => resolveScoringPolicy({ ruleWeights: { 'KRDS-NOPE': 1 } }), /not a KRDS rule/);
+  assert.throws(() => resolveScoringPolicy({ axeCaps: { critical: 120 } }), /between 0 and 100/);
+});
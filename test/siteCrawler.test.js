@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobots, isAllowedByRobots } = require('../siteCrawler');
+
+const ROBOTS = `# 예시 robots.txt
+User-agent: *
+Disallow: /admin/
+Allow: /admin/public
+Disallow: /*.pdf$
+Disallow:
+
+Sitemap: https://www.example.go.kr/sitemap.xml
+`;
+
+test('robots.txt: * 그룹 규칙과 sitemap 수집', () => {
+  const robots = parseRobots(ROBOTS);
+
+  assert.deepEqual(robots.rules, [
+    { allow: false, path: '/admin/' },
+    { allow: true, path: '/admin/public' },
+    { allow: false, path: '/*.pdf$' }
+  ]);
+  assert.deepEqual(robots.sitemaps, ['https://www.example.go.kr/sitemap.xml']);
+});
+
+test('robots.txt: 가장 긴 규칙 우선, 와일드카드와 끝 고정', () => {
+  const robots = parseRobots(ROBOTS);
+  const allowed = (path) => isAllowedByRobots(robots, `https://www.example.go.kr${path}`);
+
+  assert.equal(allowed('/'), true);
+  assert.equal(allowed('/admin/users'), false);
+  assert.equal(allowed('/admin/public/notice'), true);
+  assert.equal(allowed('/files/guide.pdf'), false);
+  assert.equal(allowed('/files/guide.pdf?download=1'), true);
+});
+
+test('robots.txt: 같은 길이면 Allow 우선', () => {
+  const robots = parseRobots('User-agent: *\nDisallow: /page\nAllow: /page\n');
+
+  assert.equal(isAllowedByRobots(robots, 'https://www.example.go.kr/page'), true);
+});
+
+test('robots.txt: 전용 User-agent 그룹이 있으면 * 그룹 대신 사용', () => {
+  const robots = parseRobots([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: Googlebot',
+    'User-agent: ViewCheckerBot',
+    'Disallow: /private'
+  ].join('\n'));
+
+  assert.equal(isAllowedByRobots(robots, 'https://www.example.go.kr/notice'), true);
+  assert.equal(isAllowedByRobots(robots, 'https://www.example.go.kr/private/1'), false);
+});
+
+test('robots.txt: 없거나 규칙이 없으면 전체 허용', () => {
+  assert.equal(isAllowedByRobots(null, 'https://www.example.go.kr/admin'), true);
+  assert.equal(isAllowedByRobots(parseRobots(''), 'https://www.example.go.kr/admin'), true);
+});